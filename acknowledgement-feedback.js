@@ -0,0 +1,177 @@
+/**
+ * Acknowledgement Feedback
+ *
+ * Optional feedback an agent gives while acknowledging an audit on
+ * audit-view.html: whether they agree with it, a free-text reflection and an
+ * improvement goal for the audit's top error parameter. Stored one row per
+ * audit in `audit_acknowledgement_feedback`; supervisors read it on
+ * acknowledgement-management.html and employee-performance.html.
+ *
+ * getTopErrorParameter() uses scoring-engine.js; the rest has no dependencies.
+ */
+
+// Goals an agent can pick; {parameter} is replaced with the top error parameter
+const ACK_FEEDBACK_GOAL_TYPES = [
+  { value: 'review_guideline', label: 'Review the guideline for {parameter}' },
+  { value: 'no_repeat', label: 'No {parameter} errors in my next 5 audits' },
+  { value: 'coaching', label: 'Ask my Team Lead for coaching on {parameter}' },
+  { value: 'custom', label: 'Set my own goal' }
+]
+
+const ACK_FEEDBACK_BATCH_SIZE = 100 // Supabase limit for .in() queries
+
+const AcknowledgementFeedback = {
+  GOAL_TYPES: ACK_FEEDBACK_GOAL_TYPES,
+
+  /**
+   * Error parameter with the most occurrences in an audit; ties go to the
+   * higher penalty, then to scorecard order. Hidden parameters are skipped.
+   * @param {Array} parameters - scorecard_parameters rows
+   * @param {Object} values - audit row ({ [field_id]: value })
+   * @param {Object} [context] - { channel } for visibility conditions
+   * @returns {{key: string, label: string, count: number}|null}
+   */
+  getTopErrorParameter(parameters, values, context = {}) {
+    let top = null
+    ScoringEngine.getVisibleParameters(parameters || [], values, context).forEach(param => {
+      const count = ScoringEngine.getErrorCount(values, param)
+      if (count <= 0) return
+
+      const penalty = parseFloat(param.penalty_points) || 0
+      if (!top || count > top.count || (count === top.count && penalty > top.penalty)) {
+        top = { key: param.field_id, label: param.error_name || param.field_id, count, penalty }
+      }
+    })
+    return top ? { key: top.key, label: top.label, count: top.count } : null
+  },
+
+  /**
+   * Goal text for a goal type
+   * @param {string} goalType - a GOAL_TYPES value
+   * @param {string} parameterLabel
+   * @param {string} [customGoal] - the agent's own goal for 'custom'
+   * @returns {string}
+   */
+  buildGoal(goalType, parameterLabel, customGoal) {
+    if (goalType === 'custom') return (customGoal || '').trim()
+    const goal = ACK_FEEDBACK_GOAL_TYPES.find(type => type.value === goalType)
+    return goal ? goal.label.replace('{parameter}', parameterLabel || 'this parameter') : ''
+  },
+
+  /**
+   * Store an agent's feedback on an audit (replaces earlier feedback)
+   * @param {Object} entry
+   * @param {string} entry.auditId
+   * @param {string} entry.tableName
+   * @param {string} entry.employeeEmail
+   * @param {string} [entry.employeeName]
+   * @param {boolean|null} [entry.agrees]
+   * @param {string} [entry.reflection]
+   * @param {Object|null} [entry.goalParameter] - getTopErrorParameter() result
+   * @param {string} [entry.goalType]
+   * @param {string} [entry.customGoal]
+   * @returns {Promise<Object>} stored row
+   */
+  async save(entry) {
+    const goal = entry.goalType ? this.buildGoal(entry.goalType, entry.goalParameter?.label, entry.customGoal) : ''
+    if (entry.goalType === 'custom' && !goal) throw new Error('Write down your goal or pick another one.')
+
+    const { data, error } = await window.supabaseClient
+      .from('audit_acknowledgement_feedback')
+      .upsert({
+        audit_id: String(entry.auditId),
+        scorecard_table_name: entry.tableName,
+        employee_email: (entry.employeeEmail || '').toLowerCase().trim(),
+        employee_name: entry.employeeName || null,
+        agrees: typeof entry.agrees === 'boolean' ? entry.agrees : null,
+        reflection: entry.reflection && entry.reflection.trim() ? entry.reflection.trim() : null,
+        goal_parameter_key: goal ? entry.goalParameter?.key || null : null,
+        goal_parameter_label: goal ? entry.goalParameter?.label || null : null,
+        goal_type: goal ? entry.goalType : null,
+        goal: goal || null,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'audit_id,scorecard_table_name' })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  },
+
+  /**
+   * Whether the agent gave any feedback at all
+   * @param {Object} entry - save() entry
+   * @returns {boolean}
+   */
+  hasContent(entry) {
+    return !!entry && (typeof entry.agrees === 'boolean' || !!(entry.reflection || '').trim() || !!entry.goalType)
+  },
+
+  /**
+   * Feedback on a set of audits
+   * @param {Array<{audit_id: string, table_name: string}>} audits
+   * @returns {Promise<Array>} rows, newest first
+   */
+  async listForAudits(audits) {
+    const idsByTable = new Map()
+    ;(audits || []).forEach(audit => {
+      if (!audit.audit_id || !audit.table_name) return
+      if (!idsByTable.has(audit.table_name)) idsByTable.set(audit.table_name, new Set())
+      idsByTable.get(audit.table_name).add(String(audit.audit_id))
+    })
+
+    const rows = []
+    for (const [tableName, idSet] of idsByTable.entries()) {
+      const ids = [...idSet]
+      for (let i = 0; i < ids.length; i += ACK_FEEDBACK_BATCH_SIZE) {
+        const { data, error } = await window.supabaseClient
+          .from('audit_acknowledgement_feedback')
+          .select('*')
+          .eq('scorecard_table_name', tableName)
+          .in('audit_id', ids.slice(i, i + ACK_FEEDBACK_BATCH_SIZE))
+        if (error) throw error
+        rows.push(...(data || []))
+      }
+    }
+    return rows.sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+  },
+
+  /**
+   * Totals for a list of feedback rows
+   * @param {Array} entries
+   * @returns {{total: number, agreed: number, disagreed: number, reflections: number, goals: number, goalsByParameter: Object}}
+   */
+  summarize(entries) {
+    const summary = { total: 0, agreed: 0, disagreed: 0, reflections: 0, goals: 0, goalsByParameter: {} }
+    ;(entries || []).forEach(entry => {
+      summary.total++
+      if (entry.agrees === true) summary.agreed++
+      if (entry.agrees === false) summary.disagreed++
+      if (entry.reflection) summary.reflections++
+      if (entry.goal) {
+        summary.goals++
+        const label = entry.goal_parameter_label || 'Other'
+        summary.goalsByParameter[label] = (summary.goalsByParameter[label] || 0) + 1
+      }
+    })
+    return summary
+  },
+
+  /**
+   * Display text for the agrees column
+   * @param {boolean|null} agrees
+   * @returns {string}
+   */
+  formatAgreement(agrees) {
+    if (agrees === true) return 'Agrees'
+    if (agrees === false) return 'Disagrees'
+    return '-'
+  }
+}
+
+window.AcknowledgementFeedback = AcknowledgementFeedback
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AcknowledgementFeedback
+}
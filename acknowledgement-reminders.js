@@ -0,0 +1,299 @@
+/**
+ * Acknowledgement Reminders
+ *
+ * Reminder campaigns for agents with unacknowledged audits. A supervisor picks
+ * agents on acknowledgement-management.html; each one gets an in-app
+ * notification (a row in `acknowledgement_reminders`, shown on home.html) and
+ * an email sent by n8n through the acknowledgement-reminder webhook.
+ *
+ * The first reminder is sent from here when the campaign is created.
+ * Follow-ups and auto-acknowledgement are done by the acknowledgement-reminders
+ * edge function on a schedule, which also sends the first reminder to any agent
+ * it couldn't be sent to from here. It keeps its own copy of
+ * buildWebhookPayload(), change both together.
+ */
+
+const ACK_REMINDER_WEBHOOK_DEFAULT_URL = 'https://qaatsaas.app.n8n.cloud/webhook/acknowledgement-reminder'
+
+const ACK_REMINDER_HOUR_MS = 60 * 60 * 1000
+
+const ACK_REMINDER_COMPLETION_LABELS = {
+  acknowledged: 'All acknowledged',
+  follow_ups_exhausted: 'Follow-ups sent',
+  cancelled: 'Cancelled'
+}
+
+const AcknowledgementReminders = {
+  COMPLETION_LABELS: ACK_REMINDER_COMPLETION_LABELS,
+
+  /**
+   * n8n webhook that emails the reminders
+   * @returns {string}
+   */
+  getWebhookUrl() {
+    return window.env?.ACK_REMINDER_WEBHOOK_URL || window.ACK_REMINDER_WEBHOOK_URL || ACK_REMINDER_WEBHOOK_DEFAULT_URL
+  },
+
+  /**
+   * Body of the reminder email request
+   * @param {Object} campaign - acknowledgement_reminder_campaigns row
+   * @param {Object} recipient - acknowledgement_reminder_recipients row
+   * @param {Object} reminder - acknowledgement_reminders row
+   * @returns {Object}
+   */
+  buildWebhookPayload(campaign, recipient, reminder) {
+    const baseUrl = window.location?.origin || window.env?.BASE_URL || window.BASE_URL || ''
+    const autoAcknowledgeAt = campaign.auto_acknowledge_after_days && recipient.first_reminded_at
+      ? new Date(new Date(recipient.first_reminded_at).getTime() + campaign.auto_acknowledge_after_days * 24 * ACK_REMINDER_HOUR_MS).toISOString()
+      : null
+
+    return {
+      type: 'acknowledgement_reminder',
+      kind: reminder.kind,
+      sequence: reminder.sequence,
+      campaign_id: campaign.id,
+      campaign_name: campaign.name,
+      message: campaign.message || null,
+      employee_email: recipient.agent_email,
+      employee_name: recipient.agent_name || null,
+      team_lead_email: recipient.team_lead_email || null,
+      pending_count: reminder.pending_count,
+      auto_acknowledge_at: autoAcknowledgeAt,
+      audits: (recipient.audits || []).map(audit => ({
+        audit_id: audit.audit_id,
+        table_name: audit.table_name,
+        audit_url: baseUrl ? `${baseUrl}/audit-view.html?id=${audit.audit_id}&table=${audit.table_name}` : null
+      }))
+    }
+  },
+
+  /**
+   * Create a campaign and send each agent their first reminder. An agent whose
+   * reminder can't be recorded doesn't stop the others; the scheduled edge
+   * function sends it on its next run.
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} [options.message] - shown in the notification and email
+   * @param {number} options.followUpIntervalHours
+   * @param {number} options.maxFollowUps
+   * @param {number|null} [options.autoAcknowledgeAfterDays] - null to never auto-acknowledge
+   * @param {Array<{email: string, name: string, teamLeadEmail: string, audits: Array<{audit_id: string, table_name: string}>}>} options.agents
+   * @param {{email: string, name: string}} options.sentBy
+   * @returns {Promise<{campaign: Object, reminded: number, emailFailures: number, failedAgents: Array<string>}>} failedAgents: emails left to the edge function
+   */
+  async createCampaign({ name, message, followUpIntervalHours, maxFollowUps, autoAcknowledgeAfterDays, agents, sentBy }) {
+    const agentsWithAudits = (agents || []).filter(agent => agent.email && (agent.audits || []).length > 0)
+    if (!name || !name.trim()) throw new Error('Give the campaign a name.')
+    if (agentsWithAudits.length === 0) throw new Error('None of the selected agents has an audit they can acknowledge.')
+    if (!(parseFloat(followUpIntervalHours) > 0)) throw new Error('The follow-up interval must be more than 0 hours.')
+    if (!(parseInt(maxFollowUps) >= 0)) throw new Error('The number of follow-ups can\'t be negative.')
+    if (autoAcknowledgeAfterDays && !(parseInt(autoAcknowledgeAfterDays) > 0)) throw new Error('Auto-acknowledge must be at least 1 day.')
+
+    const { data: campaign, error: campaignError } = await window.supabaseClient
+      .from('acknowledgement_reminder_campaigns')
+      .insert([{
+        name: name.trim(),
+        message: message && message.trim() ? message.trim() : null,
+        follow_up_interval_hours: parseFloat(followUpIntervalHours),
+        max_follow_ups: parseInt(maxFollowUps),
+        auto_acknowledge_after_days: autoAcknowledgeAfterDays ? parseInt(autoAcknowledgeAfterDays) : null,
+        created_by_email: sentBy?.email || null,
+        created_by_name: sentBy?.name || null
+      }])
+      .select()
+      .single()
+    if (campaignError) throw campaignError
+
+    const { data: recipients, error: recipientsError } = await window.supabaseClient
+      .from('acknowledgement_reminder_recipients')
+      .insert(agentsWithAudits.map(agent => ({
+        campaign_id: campaign.id,
+        agent_email: agent.email.toLowerCase().trim(),
+        agent_name: agent.name || null,
+        team_lead_email: agent.teamLeadEmail || null,
+        audits: agent.audits
+      })))
+      .select()
+    if (recipientsError) throw recipientsError
+
+    let reminded = 0
+    let emailFailures = 0
+    const failedAgents = []
+    for (const recipient of recipients || []) {
+      try {
+        const reminder = await this.sendReminder(campaign, recipient, { kind: 'initial', sequence: 0, sentBy })
+        reminded++
+        if (reminder.email_error) emailFailures++
+      } catch (error) {
+        console.warn(`Reminder to ${recipient.agent_email} failed:`, error)
+        failedAgents.push(recipient.agent_email)
+      }
+    }
+
+    return { campaign, reminded, emailFailures, failedAgents }
+  },
+
+  /**
+   * Record a reminder (the agent's in-app notification), email it and move the
+   * recipient's follow-up clock on
+   * @param {Object} campaign
+   * @param {Object} recipient
+   * @param {Object} options
+   * @param {string} options.kind - 'initial' or 'follow_up'
+   * @param {number} options.sequence - 0 for the first reminder, then 1, 2, ...
+   * @param {{email: string, name: string}} [options.sentBy]
+   * @returns {Promise<Object>} stored acknowledgement_reminders row
+   */
+  async sendReminder(campaign, recipient, { kind, sequence, sentBy }) {
+    const now = new Date()
+    const nowIso = now.toISOString()
+
+    const { data: reminder, error: reminderError } = await window.supabaseClient
+      .from('acknowledgement_reminders')
+      .insert([{
+        campaign_id: campaign.id,
+        recipient_id: recipient.id,
+        agent_email: recipient.agent_email,
+        kind,
+        sequence,
+        pending_count: (recipient.audits || []).length,
+        message: campaign.message || null,
+        sent_at: nowIso,
+        sent_by_email: sentBy?.email || null,
+        sent_by_name: sentBy?.name || null
+      }])
+      .select()
+      .single()
+    if (reminderError) throw reminderError
+
+    const firstRemindedAt = recipient.first_reminded_at || nowIso
+    const followUpsSent = kind === 'follow_up' ? recipient.follow_ups_sent + 1 : recipient.follow_ups_sent
+    const nextFollowUpAt = followUpsSent < campaign.max_follow_ups
+      ? new Date(now.getTime() + parseFloat(campaign.follow_up_interval_hours) * ACK_REMINDER_HOUR_MS).toISOString()
+      : null
+
+    const { error: recipientError } = await window.supabaseClient
+      .from('acknowledgement_reminder_recipients')
+      .update({ first_reminded_at: firstRemindedAt, last_reminded_at: nowIso, follow_ups_sent: followUpsSent, next_follow_up_at: nextFollowUpAt })
+      .eq('id', recipient.id)
+    if (recipientError) throw recipientError
+
+    // The in-app notification is already stored; a failed email is recorded, not thrown
+    let emailError = null
+    try {
+      const response = await fetch(this.getWebhookUrl(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(this.buildWebhookPayload(campaign, { ...recipient, first_reminded_at: firstRemindedAt }, reminder))
+      })
+      if (!response.ok) emailError = `${response.status} ${await response.text()}`
+    } catch (error) {
+      emailError = error.message || String(error)
+    }
+    if (emailError) console.warn(`Reminder email to ${recipient.agent_email} failed:`, emailError)
+
+    const emailUpdate = emailError ? { email_error: emailError } : { emailed_at: new Date().toISOString() }
+    const { error: emailUpdateError } = await window.supabaseClient
+      .from('acknowledgement_reminders')
+      .update(emailUpdate)
+      .eq('id', reminder.id)
+    if (emailUpdateError) console.warn('Could not record the reminder email status:', emailUpdateError)
+
+    return { ...reminder, ...emailUpdate }
+  },
+
+  /**
+   * Campaigns, newest first, with their recipients
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Promise<Array>}
+   */
+  async listCampaigns({ limit = 50 } = {}) {
+    const { data, error } = await window.supabaseClient
+      .from('acknowledgement_reminder_campaigns')
+      .select('*, acknowledgement_reminder_recipients(*)')
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Reminders sent in a campaign, newest first
+   * @param {string} campaignId
+   * @returns {Promise<Array>}
+   */
+  async listReminders(campaignId) {
+    const { data, error } = await window.supabaseClient
+      .from('acknowledgement_reminders')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .order('sent_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Stop a campaign: no more follow-ups or auto-acknowledgement
+   * @param {string} campaignId
+   */
+  async cancelCampaign(campaignId) {
+    const nowIso = new Date().toISOString()
+
+    const { error } = await window.supabaseClient
+      .from('acknowledgement_reminder_campaigns')
+      .update({ status: 'cancelled', completed_at: nowIso })
+      .eq('id', campaignId)
+      .eq('status', 'active')
+    if (error) throw error
+
+    const { error: recipientsError } = await window.supabaseClient
+      .from('acknowledgement_reminder_recipients')
+      .update({ completed_at: nowIso, completion_reason: 'cancelled', next_follow_up_at: null })
+      .eq('campaign_id', campaignId)
+      .is('completed_at', null)
+    if (recipientsError) throw recipientsError
+  },
+
+  /**
+   * An agent's reminders (their in-app notifications), newest first
+   * @param {string} agentEmail
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Promise<Array>} rows with the campaign name embedded
+   */
+  async listForAgent(agentEmail, { limit = 20 } = {}) {
+    const { data, error } = await window.supabaseClient
+      .from('acknowledgement_reminders')
+      .select('*, acknowledgement_reminder_campaigns(name, status)')
+      .eq('agent_email', (agentEmail || '').toLowerCase().trim())
+      .order('sent_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Mark an in-app reminder as read
+   * @param {string} reminderId
+   */
+  async markRead(reminderId) {
+    const { error } = await window.supabaseClient
+      .from('acknowledgement_reminders')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', reminderId)
+      .is('read_at', null)
+
+    if (error) throw error
+  }
+}
+
+window.AcknowledgementReminders = AcknowledgementReminders
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AcknowledgementReminders
+}
@@ -0,0 +1,240 @@
+/**
+ * Assignment Lifecycle
+ *
+ * Reassigning with a reason, snoozing and expiring audit_assignments, and
+ * their history, for audit-distribution.html. Changes are written with who
+ * made them and why (changed_by_email, changed_by_name, change_reason); the
+ * audit_assignments trigger turns every change of status, auditor, snooze or
+ * scheduled date into an audit_assignment_history entry and an
+ * audit_activity_log row. Expiry itself runs in the assignment-lifecycle edge
+ * function; runExpiry() triggers it now, for the roles in
+ * ASSIGNMENT_EXPIRY_ROLES (the edge function checks them too).
+ */
+
+const ASSIGNMENT_LIFECYCLE_ACTIONS = {
+  created: 'Created',
+  rolled_over: 'Rolled over',
+  status_changed: 'Status changed',
+  reassigned: 'Reassigned',
+  snoozed: 'Snoozed',
+  unsnoozed: 'Snooze cleared',
+  rescheduled: 'Rescheduled',
+  expired: 'Expired',
+  deleted: 'Deleted'
+}
+
+// Only assignments nobody has started can be snoozed
+const ASSIGNMENT_SNOOZABLE_STATUSES = ['pending']
+
+const ASSIGNMENT_REASSIGNABLE_STATUSES = ['pending', 'in_progress']
+
+// Roles that may run expiry on demand; FORCE_ROLES in the edge function
+const ASSIGNMENT_EXPIRY_ROLES = ['Super Admin', 'Admin', 'Quality Supervisor']
+
+function getAssignmentLifecycleActor() {
+  const userInfo = JSON.parse(localStorage.getItem('userInfo') || '{}')
+  return { email: userInfo.email || null, name: userInfo.name || userInfo.email || null }
+}
+
+const AssignmentLifecycle = {
+  ACTIONS: ASSIGNMENT_LIFECYCLE_ACTIONS,
+
+  /**
+   * Display label for a history action
+   * @param {string} action
+   * @returns {string}
+   */
+  getActionLabel(action) {
+    return ASSIGNMENT_LIFECYCLE_ACTIONS[action] || action || '-'
+  },
+
+  /**
+   * Columns that attribute a change to the signed-in user
+   * @param {string} [reason]
+   * @returns {{changed_by_email: string|null, changed_by_name: string|null, change_reason: string|null}}
+   */
+  attribution(reason) {
+    const actor = getAssignmentLifecycleActor()
+    return {
+      changed_by_email: actor.email,
+      changed_by_name: actor.name,
+      change_reason: reason && reason.trim() ? reason.trim() : null
+    }
+  },
+
+  /**
+   * Whether an assignment is snoozed on a day
+   * @param {Object} assignment
+   * @param {string} today - Dhaka date, 'YYYY-MM-DD'
+   * @returns {boolean}
+   */
+  isSnoozed(assignment, today) {
+    return !!assignment?.snoozed_until && String(assignment.snoozed_until).slice(0, 10) > today
+  },
+
+  /**
+   * Move assignments to another auditor
+   * @param {Array<string>} assignmentIds
+   * @param {string} auditorEmail
+   * @param {string} reason - required
+   * @returns {Promise<number>} assignments moved; completed and expired ones are left alone
+   */
+  async reassign(assignmentIds, auditorEmail, reason) {
+    if (!auditorEmail) throw new Error('Pick the auditor to reassign to.')
+    if (!reason || !reason.trim()) throw new Error('Give a reason for the reassignment.')
+
+    const { data, error } = await window.supabaseClient
+      .from('audit_assignments')
+      .update({ auditor_email: auditorEmail, ...this.attribution(reason) })
+      .in('id', assignmentIds)
+      .in('status', ASSIGNMENT_REASSIGNABLE_STATUSES)
+      .neq('auditor_email', auditorEmail)
+      .select('id')
+
+    if (error) throw error
+    return (data || []).length
+  },
+
+  /**
+   * Hide pending assignments from their auditor until a date; expiry waits
+   * for that date's week
+   * @param {Array<string>} assignmentIds
+   * @param {string} until - Dhaka date, 'YYYY-MM-DD', after today
+   * @param {string} [reason]
+   * @param {string} today - Dhaka date
+   * @returns {Promise<number>} assignments snoozed
+   */
+  async snooze(assignmentIds, until, reason, today) {
+    if (!until || until <= today) throw new Error('Snooze until a date after today.')
+
+    const { data, error } = await window.supabaseClient
+      .from('audit_assignments')
+      .update({ snoozed_until: until, ...this.attribution(reason) })
+      .in('id', assignmentIds)
+      .in('status', ASSIGNMENT_SNOOZABLE_STATUSES)
+      .select('id')
+
+    if (error) throw error
+    return (data || []).length
+  },
+
+  /**
+   * Clear a snooze
+   * @param {Array<string>} assignmentIds
+   * @param {string} [reason]
+   * @returns {Promise<number>}
+   */
+  async unsnooze(assignmentIds, reason) {
+    const { data, error } = await window.supabaseClient
+      .from('audit_assignments')
+      .update({ snoozed_until: null, ...this.attribution(reason) })
+      .in('id', assignmentIds)
+      .not('snoozed_until', 'is', null)
+      .select('id')
+
+    if (error) throw error
+    return (data || []).length
+  },
+
+  /**
+   * Everything that happened to an assignment, oldest first, following
+   * rollovers back to the assignment it replaced
+   * @param {Object} assignment - audit_assignments row
+   * @param {Array<Object>} [assignments] - rows to look rolled-over assignments up in
+   * @returns {Promise<Array>} audit_assignment_history rows
+   */
+  async getHistory(assignment, assignments) {
+    const ids = [assignment.id]
+    let previous = assignment.rolled_over_from
+    while (previous && !ids.includes(previous)) {
+      ids.push(previous)
+      previous = (assignments || []).find(entry => entry.id === previous)?.rolled_over_from
+    }
+
+    const { data, error } = await window.supabaseClient
+      .from('audit_assignment_history')
+      .select('*')
+      .in('assignment_id', ids)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Expiry settings
+   * @returns {Promise<{auto_expire: boolean, rollover: boolean, grace_days: number}>}
+   */
+  async loadSettings() {
+    const { data, error } = await window.supabaseClient
+      .from('audit_assignment_lifecycle_settings')
+      .select('*')
+      .maybeSingle()
+
+    if (error) throw error
+    return data || { auto_expire: true, rollover: false, grace_days: 0 }
+  },
+
+  /**
+   * @param {{autoExpire: boolean, rollover: boolean, graceDays: number}} settings
+   */
+  async saveSettings(settings) {
+    const graceDays = parseInt(settings.graceDays)
+    if (!(graceDays >= 0 && graceDays <= 14)) throw new Error('Grace days must be between 0 and 14.')
+
+    const { error } = await window.supabaseClient
+      .from('audit_assignment_lifecycle_settings')
+      .upsert([{
+        id: true,
+        auto_expire: !!settings.autoExpire,
+        rollover: !!settings.rollover,
+        grace_days: graceDays,
+        updated_by: getAssignmentLifecycleActor().email,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'id' })
+
+    if (error) throw error
+  },
+
+  /**
+   * Whether the signed-in user may run expiry on demand
+   * @returns {boolean}
+   */
+  canRunExpiry() {
+    const userInfo = JSON.parse(localStorage.getItem('userInfo') || '{}')
+    return ASSIGNMENT_EXPIRY_ROLES.includes(userInfo.role)
+  },
+
+  /**
+   * Expire (and roll over) stale assignments now, even with automatic expiry off.
+   * Sent with the user's session token, which the edge function checks.
+   * @returns {Promise<{checked: number, expired: number, rolled_over: number, errors: number}>}
+   */
+  async runExpiry() {
+    const supabaseUrl = window.env?.SUPABASE_URL || window.SupabaseConfig?.url
+    const supabaseAnonKey = window.env?.SUPABASE_ANON_KEY || window.SupabaseConfig?.anonKey
+    const { data: { session } } = await window.supabaseClient.auth.getSession()
+    if (!session?.access_token) throw new Error('Your session has expired. Sign in again to expire assignments.')
+
+    const response = await fetch(`${supabaseUrl}/functions/v1/assignment-lifecycle`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`,
+        'apikey': supabaseAnonKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ force: true })
+    })
+
+    const result = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(result.error || `Expiry request failed: ${response.statusText}`)
+    return result
+  }
+}
+
+window.AssignmentLifecycle = AssignmentLifecycle
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AssignmentLifecycle
+}
@@ -0,0 +1,247 @@
+/**
+ * ATA Rubrics
+ *
+ * Configurable rubrics for grading an auditor's audit during an ATA
+ * (audit-the-auditor) review. Rubrics are managed on ata.html and filled in on
+ * create-audit.html in ATA mode; the graded result is stored on the
+ * ata_reviews row (rubric_scores, rubric_score).
+ *
+ * Each criterion is rated from 1 to the rubric's scale_max. The rubric score is
+ * the weighted mean of the ratings as a percentage: all top ratings give 100.
+ * A criterion with suggest_from_parameters is pre-filled from the share of
+ * parameters the reviewer scored the same as the auditor.
+ */
+
+const ATA_RUBRIC_DEFAULT_SCALE = 5
+
+const ATA_RUBRIC_DEFAULT_CRITERIA = [
+  { key: 'error_identification', label: 'Correct error identification', description: 'Errors were found and scored on the right parameters, with none missed or invented', weight: 50, suggest_from_parameters: true },
+  { key: 'feedback_quality', label: 'Feedback quality', description: 'Feedback is specific, explains each error and gives the agent a clear next step', weight: 30, suggest_from_parameters: false },
+  { key: 'tone', label: 'Tone', description: 'Feedback is respectful, objective and constructive', weight: 20, suggest_from_parameters: false }
+]
+
+const AtaRubrics = {
+  DEFAULT_SCALE: ATA_RUBRIC_DEFAULT_SCALE,
+  DEFAULT_CRITERIA: ATA_RUBRIC_DEFAULT_CRITERIA,
+
+  /**
+   * All rubrics, general rubric first, then by name
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const { data, error } = await window.supabaseClient
+      .from('ata_rubrics')
+      .select('*')
+      .order('name', { ascending: true })
+
+    if (error) throw error
+    return (data || []).sort((a, b) => (a.scorecard_id ? 1 : 0) - (b.scorecard_id ? 1 : 0))
+  },
+
+  /**
+   * The active rubric for a scorecard: its own, otherwise the general one
+   * @param {string|null} scorecardId
+   * @returns {Promise<Object|null>} ata_rubrics row
+   */
+  async getForScorecard(scorecardId) {
+    let query = window.supabaseClient
+      .from('ata_rubrics')
+      .select('*')
+      .eq('is_active', true)
+    query = scorecardId ? query.or(`scorecard_id.eq.${scorecardId},scorecard_id.is.null`) : query.is('scorecard_id', null)
+
+    const { data, error } = await query
+    if (error) throw error
+    const rubrics = data || []
+    return rubrics.find(rubric => scorecardId && rubric.scorecard_id === scorecardId) ||
+      rubrics.find(rubric => !rubric.scorecard_id) ||
+      null
+  },
+
+  /**
+   * Key for a criterion label
+   * @param {string} label
+   * @returns {string}
+   */
+  toKey(label) {
+    return (label || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+  },
+
+  /**
+   * Validate and tidy a rubric's criteria
+   * @param {Array} criteria - { key?, label, description?, weight, suggest_from_parameters? }
+   * @returns {Array} criteria with keys and numeric weights
+   */
+  normalizeCriteria(criteria) {
+    const list = (criteria || []).filter(criterion => criterion && (criterion.label || '').trim())
+    if (list.length === 0) throw new Error('Add at least one criterion.')
+
+    const keys = new Set()
+    return list.map(criterion => {
+      const label = criterion.label.trim()
+      const key = criterion.key || this.toKey(label)
+      const weight = parseFloat(criterion.weight)
+      if (!key) throw new Error(`"${label}" needs a name with letters or numbers.`)
+      if (keys.has(key)) throw new Error(`There is more than one criterion called "${label}".`)
+      if (!(weight > 0)) throw new Error(`Give "${label}" a weight above 0.`)
+      keys.add(key)
+
+      return {
+        key,
+        label,
+        description: (criterion.description || '').trim(),
+        weight,
+        suggest_from_parameters: !!criterion.suggest_from_parameters
+      }
+    })
+  },
+
+  /**
+   * Create or update a rubric
+   * @param {Object} rubric
+   * @param {string} [rubric.id] - updates this rubric when set
+   * @param {string} rubric.name
+   * @param {string} [rubric.description]
+   * @param {string|null} [rubric.scorecardId] - null for every scorecard
+   * @param {number} [rubric.scaleMax]
+   * @param {Array} rubric.criteria
+   * @param {boolean} [rubric.isActive]
+   * @param {string} [rubric.createdBy]
+   * @returns {Promise<Object>} stored row
+   */
+  async save(rubric) {
+    if (!rubric.name || !rubric.name.trim()) throw new Error('Give the rubric a name.')
+    const scaleMax = parseInt(rubric.scaleMax) || ATA_RUBRIC_DEFAULT_SCALE
+    if (scaleMax < 2 || scaleMax > 10) throw new Error('The rating scale must top out between 2 and 10.')
+
+    const row = {
+      name: rubric.name.trim(),
+      description: rubric.description && rubric.description.trim() ? rubric.description.trim() : null,
+      scorecard_id: rubric.scorecardId || null,
+      scale_max: scaleMax,
+      criteria: this.normalizeCriteria(rubric.criteria),
+      is_active: rubric.isActive !== false,
+      updated_at: new Date().toISOString()
+    }
+
+    const query = rubric.id
+      ? window.supabaseClient.from('ata_rubrics').update(row).eq('id', rubric.id)
+      : window.supabaseClient.from('ata_rubrics').insert([{ ...row, created_by: rubric.createdBy || null }])
+    const { data, error } = await query.select().single()
+
+    if (error) {
+      if (error.code === '23505') throw new Error('That scorecard already has an active rubric. Deactivate it first.')
+      throw error
+    }
+    return data
+  },
+
+  /**
+   * Activate or deactivate a rubric
+   * @param {string} rubricId
+   * @param {boolean} isActive
+   */
+  async setActive(rubricId, isActive) {
+    const { error } = await window.supabaseClient
+      .from('ata_rubrics')
+      .update({ is_active: !!isActive, updated_at: new Date().toISOString() })
+      .eq('id', rubricId)
+
+    if (error) {
+      if (error.code === '23505') throw new Error('That scorecard already has an active rubric. Deactivate it first.')
+      throw error
+    }
+  },
+
+  /**
+   * Delete a rubric; reviews graded with it keep their snapshot
+   * @param {string} rubricId
+   */
+  async remove(rubricId) {
+    const { error } = await window.supabaseClient
+      .from('ata_rubrics')
+      .delete()
+      .eq('id', rubricId)
+
+    if (error) throw error
+  },
+
+  /**
+   * Suggested rating for suggest_from_parameters criteria: the share of
+   * parameters the reviewer scored the same as the auditor, on the rubric's
+   * scale
+   * @param {Array} parameters - scorecard_parameters rows
+   * @param {Object} originalAudit - the auditor's audit row
+   * @param {Object} review - the reviewer's values ({ [field_id]: value })
+   * @param {number} scaleMax
+   * @returns {number|null} null when there are no parameters to compare
+   */
+  suggestRating(parameters, originalAudit, review, scaleMax) {
+    const compared = (parameters || []).filter(param => param.field_id)
+    if (compared.length === 0) return null
+
+    const matched = compared.filter(param => {
+      const original = (originalAudit || {})[param.field_id]
+      const reviewed = (review || {})[param.field_id]
+      return String(original ?? 0) === String(reviewed ?? 0)
+    }).length
+    return Math.max(1, Math.round((matched / compared.length) * scaleMax))
+  },
+
+  /**
+   * Grade a review with a rubric
+   * @param {Object} rubric - ata_rubrics row
+   * @param {Object} ratings - { [criterion key]: { rating, comment } }
+   * @returns {{score: number, criteria: Array}} score 0-100; criteria is the
+   *   snapshot stored as ata_reviews.rubric_scores
+   */
+  grade(rubric, ratings) {
+    const scaleMax = rubric.scale_max || ATA_RUBRIC_DEFAULT_SCALE
+    const values = ratings || {}
+    let weighted = 0
+    let totalWeight = 0
+
+    const criteria = (rubric.criteria || []).map(criterion => {
+      const entry = values[criterion.key] || {}
+      const rating = parseInt(entry.rating)
+      if (!(rating >= 1 && rating <= scaleMax)) throw new Error(`Rate "${criterion.label}" from 1 to ${scaleMax}.`)
+
+      const weight = parseFloat(criterion.weight) || 0
+      weighted += (rating / scaleMax) * weight
+      totalWeight += weight
+      return {
+        key: criterion.key,
+        label: criterion.label,
+        weight,
+        rating,
+        scale_max: scaleMax,
+        comment: entry.comment && entry.comment.trim() ? entry.comment.trim() : null
+      }
+    })
+
+    return {
+      score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 10000) / 100 : 0,
+      criteria
+    }
+  },
+
+  /**
+   * The score a review counts with: the rubric score when it was graded with a
+   * rubric, otherwise the re-score accuracy
+   * @param {Object} review - ata_reviews row
+   * @returns {number|null}
+   */
+  getReviewScore(review) {
+    const rubricScore = parseFloat(review?.rubric_score)
+    if (!isNaN(rubricScore)) return rubricScore
+    const accuracy = parseFloat(review?.ata_accuracy_score)
+    return isNaN(accuracy) ? null : accuracy
+  }
+}
+
+window.AtaRubrics = AtaRubrics
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AtaRubrics
+}
@@ -0,0 +1,151 @@
+/**
+ * Audit Drafts
+ *
+ * Server-side drafts of in-progress audits, stored in the `audit_drafts`
+ * table. audit-form.html autosaves the form and timer here (debounced) so a
+ * draft survives switching machines or clearing browser storage, and
+ * auditor-dashboard.html lists them under "My drafts".
+ *
+ * Drafts are keyed by auditor and timer session id. Every save bumps
+ * `revision`; saving on top of an older revision than the stored one is
+ * reported as a conflict instead of overwriting, which is how two tabs
+ * editing the same draft are detected.
+ */
+
+const DRAFT_FIELDS = [
+  'auditor_email',
+  'session_key',
+  'scorecard_id',
+  'assignment_id',
+  'interaction_id',
+  'employee_name',
+  'form_data',
+  'elapsed_seconds',
+  'audit_start_time'
+]
+
+const UNIQUE_VIOLATION = '23505'
+
+function pickDraftFields(draft) {
+  const row = {}
+  DRAFT_FIELDS.forEach(field => {
+    row[field] = draft[field] === undefined || draft[field] === '' ? null : draft[field]
+  })
+  row.form_data = draft.form_data || {}
+  row.elapsed_seconds = parseInt(draft.elapsed_seconds) || 0
+  return row
+}
+
+const AuditDrafts = {
+  /**
+   * Drafts of an auditor, most recently saved first
+   * @param {string} auditorEmail
+   * @returns {Promise<Array>}
+   */
+  async listForAuditor(auditorEmail) {
+    const { data, error } = await window.supabaseClient
+      .from('audit_drafts')
+      .select('*')
+      .eq('auditor_email', auditorEmail)
+      .order('updated_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Load a single draft by id
+   * @param {string} draftId
+   * @returns {Promise<Object|null>}
+   */
+  async get(draftId) {
+    if (!draftId) return null
+    const { data, error } = await window.supabaseClient
+      .from('audit_drafts')
+      .select('*')
+      .eq('id', draftId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data || null
+  },
+
+  /**
+   * Draft saved for a timer session
+   * @param {string} auditorEmail
+   * @param {string} sessionKey
+   * @returns {Promise<Object|null>}
+   */
+  async getBySession(auditorEmail, sessionKey) {
+    if (!auditorEmail || !sessionKey) return null
+    const { data, error } = await window.supabaseClient
+      .from('audit_drafts')
+      .select('*')
+      .eq('auditor_email', auditorEmail)
+      .eq('session_key', sessionKey)
+      .maybeSingle()
+
+    if (error) throw error
+    return data || null
+  },
+
+  /**
+   * Save a draft on top of the revision this tab last saved or loaded.
+   * Returns the stored draft with conflict: true when it was saved elsewhere
+   * in the meantime, and draft: null with conflict: true when it was
+   * submitted or discarded elsewhere; nothing is written in either case.
+   * @param {Object} draft - audit_drafts fields (form_data, elapsed_seconds, ...)
+   * @param {Object|null} previous - audit_drafts row this tab is based on, null for a new draft
+   * @returns {Promise<{draft: Object|null, conflict: boolean}>}
+   */
+  async save(draft, previous) {
+    const row = pickDraftFields(draft)
+
+    if (!previous) {
+      const { data, error } = await window.supabaseClient
+        .from('audit_drafts')
+        .insert([{ ...row, revision: 1 }])
+        .select()
+        .single()
+
+      if (error && error.code === UNIQUE_VIOLATION) {
+        return { draft: await this.getBySession(row.auditor_email, row.session_key), conflict: true }
+      }
+      if (error) throw error
+      return { draft: data, conflict: false }
+    }
+
+    const { data, error } = await window.supabaseClient
+      .from('audit_drafts')
+      .update({ ...row, revision: previous.revision + 1, updated_at: new Date().toISOString() })
+      .eq('id', previous.id)
+      .eq('revision', previous.revision)
+      .select()
+
+    if (error) throw error
+    if (data && data.length > 0) return { draft: data[0], conflict: false }
+
+    // No row matched: either saved elsewhere (newer revision) or submitted/discarded elsewhere
+    return { draft: await this.get(previous.id), conflict: true }
+  },
+
+  /**
+   * Delete a draft
+   * @param {string} draftId
+   */
+  async remove(draftId) {
+    const { error } = await window.supabaseClient
+      .from('audit_drafts')
+      .delete()
+      .eq('id', draftId)
+
+    if (error) throw error
+  }
+}
+
+window.AuditDrafts = AuditDrafts
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditDrafts
+}
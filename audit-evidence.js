@@ -0,0 +1,142 @@
+/**
+ * Audit Evidence
+ *
+ * Transcript messages attached as evidence to audit parameters, stored in the
+ * `audit_parameter_evidence` table. Auditors click a message bubble in the
+ * transcript next to the audit form (create-audit, audit-form) to attach it to
+ * a parameter; audit-view highlights those messages and jumps to them from the
+ * error details.
+ *
+ * Each item keeps the Intercom conversation_part id and a quoted snippet, so
+ * the quote still reads correctly when the transcript can't be loaded.
+ *
+ * Evidence shape used by the pages: { [field_id]: [{ conversation_part_id,
+ * snippet, author_name }] }
+ */
+
+const SNIPPET_MAX_LENGTH = 280
+
+const AuditEvidence = {
+  SNIPPET_MAX_LENGTH,
+
+  /**
+   * Quote stored for a message: whitespace collapsed and cut to
+   * SNIPPET_MAX_LENGTH characters
+   * @param {string} text - selected text or full message text
+   * @returns {string}
+   */
+  buildSnippet(text) {
+    const snippet = String(text || '').replace(/\s+/g, ' ').trim()
+    if (snippet.length <= SNIPPET_MAX_LENGTH) return snippet
+    return snippet.slice(0, SNIPPET_MAX_LENGTH - 1).trimEnd() + '…'
+  },
+
+  /**
+   * Group audit_parameter_evidence rows by parameter
+   * @param {Array} rows
+   * @returns {Object} { [field_id]: Array }
+   */
+  groupByParameter(rows) {
+    const evidence = {}
+    ;(rows || []).forEach(row => {
+      if (!evidence[row.field_id]) evidence[row.field_id] = []
+      evidence[row.field_id].push({
+        conversation_part_id: row.conversation_part_id,
+        snippet: row.snippet,
+        author_name: row.author_name || null
+      })
+    })
+    return evidence
+  },
+
+  /**
+   * Conversation part ids referenced by any parameter
+   * @param {Object} evidence - { [field_id]: Array }
+   * @returns {Array<string>}
+   */
+  getPartIds(evidence) {
+    const partIds = new Set()
+    Object.values(evidence || {}).forEach(items => {
+      items.forEach(item => partIds.add(String(item.conversation_part_id)))
+    })
+    return [...partIds]
+  },
+
+  /**
+   * Evidence saved for an audit
+   * @param {string} scorecardId
+   * @param {string} auditId - id of the row in the scorecard's audit table
+   * @returns {Promise<Object>} { [field_id]: Array }
+   */
+  async listForAudit(scorecardId, auditId) {
+    if (!scorecardId || !auditId) return {}
+    const { data, error } = await window.supabaseClient
+      .from('audit_parameter_evidence')
+      .select('*')
+      .eq('scorecard_id', scorecardId)
+      .eq('audit_id', auditId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return this.groupByParameter(data)
+  },
+
+  /**
+   * audit_parameter_evidence rows for an audit's evidence
+   * @param {Object} options - same as saveForAudit
+   * @returns {Array<Object>}
+   */
+  buildRows({ scorecardId, auditId, conversationId, evidence, createdBy }) {
+    const rows = []
+    Object.entries(evidence || {}).forEach(([fieldId, items]) => {
+      items.forEach(item => {
+        rows.push({
+          scorecard_id: scorecardId,
+          audit_id: auditId,
+          field_id: fieldId,
+          conversation_id: conversationId || null,
+          conversation_part_id: String(item.conversation_part_id),
+          snippet: item.snippet,
+          author_name: item.author_name || null,
+          created_by: createdBy || null
+        })
+      })
+    })
+    return rows
+  },
+
+  /**
+   * Replace the evidence saved for an audit
+   * @param {Object} options
+   * @param {string} options.scorecardId
+   * @param {string} options.auditId
+   * @param {string} options.conversationId - Intercom conversation (interaction id)
+   * @param {Object} options.evidence - { [field_id]: Array }
+   * @param {string} options.createdBy - Email of the auditor
+   */
+  async saveForAudit(options) {
+    const { error: deleteError } = await window.supabaseClient
+      .from('audit_parameter_evidence')
+      .delete()
+      .eq('scorecard_id', options.scorecardId)
+      .eq('audit_id', options.auditId)
+
+    if (deleteError) throw deleteError
+
+    const rows = this.buildRows(options)
+    if (rows.length === 0) return
+
+    const { error } = await window.supabaseClient
+      .from('audit_parameter_evidence')
+      .insert(rows)
+
+    if (error) throw error
+  }
+}
+
+window.AuditEvidence = AuditEvidence
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditEvidence
+}
@@ -0,0 +1,372 @@
+/**
+ * Audit Outbox
+ *
+ * Audits submitted from audit-form.html while offline are queued here, in
+ * IndexedDB, and replayed once the browser is back online. Each entry holds
+ * the audit insert followed by its follow-ups (assignment completion,
+ * audit_activity_log, evidence, email notification, draft cleanup) as a list
+ * of data-only steps, so an entry can be replayed by any page that loads
+ * this module, not only the tab that queued it.
+ *
+ * Steps are replayed in order and marked done as they succeed. A network
+ * error stops the replay and leaves the entry pending for the next attempt.
+ * Any other error on the audit insert marks the entry failed; errors on
+ * follow-ups are logged on the entry and skipped so the audit itself is not
+ * held back. The audit id is generated client-side and inserted with an
+ * upsert, so replaying an entry whose insert already went through is safe.
+ *
+ * sw.js caches the audit form shell for offline use and forwards Background
+ * Sync events, which trigger a replay. load-sidebar.js shows the number of
+ * queued audits from the `auditOutboxChanged` event, and auditor-dashboard.html
+ * lists them under "Offline Submissions" with retry() and remove().
+ */
+
+const OUTBOX_DB_NAME = 'cqms-audit-outbox'
+const OUTBOX_DB_VERSION = 1
+const OUTBOX_STORE_NAME = 'outbox'
+const OUTBOX_SYNC_TAG = 'audit-outbox'
+const OUTBOX_CHANGED_EVENT = 'auditOutboxChanged'
+const SERVICE_WORKER_URL = 'sw.js'
+
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+}
+
+let outboxDbPromise = null
+let flushPromise = null
+let isInitialized = false
+
+function openOutboxDB() {
+  if (outboxDbPromise) return outboxDbPromise
+
+  outboxDbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'))
+      return
+    }
+
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION)
+    request.onerror = () => reject(request.error)
+    request.onsuccess = () => resolve(request.result)
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result
+      if (!db.objectStoreNames.contains(OUTBOX_STORE_NAME)) {
+        const store = db.createObjectStore(OUTBOX_STORE_NAME, { keyPath: 'id' })
+        store.createIndex('created_at', 'created_at', { unique: false })
+      }
+    }
+  })
+  outboxDbPromise.catch(() => {
+    outboxDbPromise = null
+  })
+  return outboxDbPromise
+}
+
+/**
+ * Run a request against the outbox store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - receives the object store, returns an IDBRequest
+ */
+async function withOutboxStore(mode, operation) {
+  const db = await openOutboxDB()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE_NAME, mode)
+    const request = operation(transaction.objectStore(OUTBOX_STORE_NAME))
+    transaction.oncomplete = () => resolve(request ? request.result : undefined)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+function notifyOutboxChanged(status) {
+  document.dispatchEvent(new CustomEvent(OUTBOX_CHANGED_EVENT, { detail: status }))
+}
+
+function formatStepError(error) {
+  if (!error) return 'Unknown error'
+  return error.message || String(error)
+}
+
+/**
+ * Apply `{ column: value }` equality filters to a Supabase query
+ */
+function applyMatch(query, match) {
+  Object.entries(match || {}).forEach(([column, value]) => {
+    query = query.eq(column, value)
+  })
+  return query
+}
+
+/**
+ * Replay one step. Supabase steps throw the returned error so network
+ * failures and database errors are handled the same way as fetch steps.
+ */
+async function runStep(step) {
+  const client = window.supabaseClient
+
+  switch (step.type) {
+    case 'upsert': {
+      const row = { ...step.row }
+      if (!row.scorecard_version_id && step.scorecard_snapshot && window.ScorecardVersions) {
+        // The version couldn't be resolved offline; pin it to the definition the audit was scored with
+        try {
+          const version = await ScorecardVersions.recordVersion(step.scorecard_snapshot.scorecard, step.scorecard_snapshot.parameters)
+          if (version) row.scorecard_version_id = version.id
+        } catch (error) {
+          if (AuditOutbox.isNetworkError(error)) throw error
+          console.warn('Could not resolve scorecard version for queued audit:', error)
+        }
+      }
+      const { error } = await client.from(step.table).upsert([row], { onConflict: step.on_conflict || 'id' })
+      if (error) throw error
+      return
+    }
+    case 'insert': {
+      if (!step.rows || step.rows.length === 0) return
+      const { error } = await client.from(step.table).insert(step.rows)
+      if (error) throw error
+      return
+    }
+    case 'update': {
+      const { error } = await applyMatch(client.from(step.table).update(step.values), step.match)
+      if (error) throw error
+      return
+    }
+    case 'delete': {
+      const { error } = await applyMatch(client.from(step.table).delete(), step.match)
+      if (error) throw error
+      return
+    }
+    case 'fetch': {
+      const response = await fetch(step.url, {
+        method: step.method || 'POST',
+        headers: step.headers || {},
+        body: step.body
+      })
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`)
+      }
+      return
+    }
+    default:
+      throw new Error(`Unknown outbox step type "${step.type}"`)
+  }
+}
+
+const AuditOutbox = {
+  STATUS: OUTBOX_STATUS,
+  CHANGED_EVENT: OUTBOX_CHANGED_EVENT,
+
+  /**
+   * Whether an error means the request never reached the server
+   * @param {Error|Object} error - thrown error or Supabase error object
+   * @returns {boolean}
+   */
+  isNetworkError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true
+    if (!error) return false
+    const message = String(error.message || error).toLowerCase()
+    return (error.name === 'TypeError' && message.includes('fetch')) ||
+      message.includes('failed to fetch') ||
+      message.includes('networkerror') ||
+      message.includes('network request failed') ||
+      message.includes('load failed')
+  },
+
+  /**
+   * Queue an audit submission
+   * @param {Object} entry
+   * @param {string} entry.audit_id - client-generated id of the audit row
+   * @param {Array<Object>} entry.steps - upsert/insert/update/delete/fetch steps, audit insert first
+   * @returns {Promise<Object>} stored entry
+   */
+  async enqueue({ audit_id, steps }) {
+    const entry = {
+      id: `outbox_${audit_id || Date.now()}`,
+      audit_id: audit_id || null,
+      created_at: new Date().toISOString(),
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      last_error: null,
+      step_errors: [],
+      steps: (steps || []).map(step => ({ ...step, done: false }))
+    }
+
+    await withOutboxStore('readwrite', store => store.put(entry))
+    await this.requestBackgroundSync()
+    notifyOutboxChanged(await this.getStatus())
+    return entry
+  },
+
+  /**
+   * Queued entries, oldest first
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const entries = await withOutboxStore('readonly', store => store.getAll())
+    return (entries || []).sort((a, b) => a.created_at.localeCompare(b.created_at))
+  },
+
+  /**
+   * Counts of queued entries by status
+   * @returns {Promise<{pending: number, failed: number, syncing: boolean}>}
+   */
+  async getStatus() {
+    const entries = await this.list()
+    return {
+      pending: entries.filter(entry => entry.status === OUTBOX_STATUS.PENDING).length,
+      failed: entries.filter(entry => entry.status === OUTBOX_STATUS.FAILED).length,
+      syncing: !!flushPromise
+    }
+  },
+
+  /**
+   * Drop an entry, e.g. a failed one the auditor has re-entered by hand
+   * @param {string} entryId
+   */
+  async remove(entryId) {
+    await withOutboxStore('readwrite', store => store.delete(entryId))
+    notifyOutboxChanged(await this.getStatus())
+  },
+
+  /**
+   * Mark a failed entry pending again and replay it
+   * @param {string} entryId
+   */
+  async retry(entryId) {
+    const entry = await withOutboxStore('readonly', store => store.get(entryId))
+    if (!entry) return
+    entry.status = OUTBOX_STATUS.PENDING
+    entry.last_error = null
+    await withOutboxStore('readwrite', store => store.put(entry))
+    return this.flush()
+  },
+
+  /**
+   * Replay pending entries. Concurrent calls share the running replay.
+   * @returns {Promise<{synced: number, failed: number, remaining: number}>}
+   */
+  flush() {
+    if (flushPromise) return flushPromise
+
+    flushPromise = (async () => {
+      const summary = { synced: 0, failed: 0, remaining: 0 }
+      if (!window.supabaseClient || navigator.onLine === false) {
+        summary.remaining = (await this.list()).filter(entry => entry.status === OUTBOX_STATUS.PENDING).length
+        return summary
+      }
+
+      notifyOutboxChanged({ ...(await this.getStatus()), syncing: true })
+
+      const entries = (await this.list()).filter(entry => entry.status === OUTBOX_STATUS.PENDING)
+      for (const entry of entries) {
+        const outcome = await this.replayEntry(entry)
+        summary[outcome]++
+        if (outcome === 'remaining') {
+          // Offline again: leave this and later entries for the next attempt
+          summary.remaining += entries.length - entries.indexOf(entry) - 1
+          break
+        }
+      }
+      return summary
+    })()
+
+    return flushPromise.finally(async () => {
+      flushPromise = null
+      try {
+        notifyOutboxChanged(await this.getStatus())
+      } catch (error) {
+        console.error('Error reading audit outbox status:', error)
+      }
+    })
+  },
+
+  /**
+   * Replay the remaining steps of one entry
+   * @returns {Promise<string>} 'synced', 'failed' or 'remaining'
+   */
+  async replayEntry(entry) {
+    entry.attempts++
+
+    for (let index = 0; index < entry.steps.length; index++) {
+      const step = entry.steps[index]
+      if (step.done) continue
+
+      try {
+        await runStep(step)
+      } catch (error) {
+        if (this.isNetworkError(error)) {
+          entry.last_error = formatStepError(error)
+          await withOutboxStore('readwrite', store => store.put(entry))
+          return 'remaining'
+        }
+
+        if (index === 0) {
+          console.error('Queued audit could not be saved:', error)
+          entry.status = OUTBOX_STATUS.FAILED
+          entry.last_error = formatStepError(error)
+          await withOutboxStore('readwrite', store => store.put(entry))
+          return 'failed'
+        }
+
+        // Follow-ups don't hold back the audit
+        console.error(`Queued audit follow-up "${step.type} ${step.table || step.url}" failed:`, error)
+        entry.step_errors.push({ step: index, error: formatStepError(error) })
+      }
+
+      step.done = true
+      await withOutboxStore('readwrite', store => store.put(entry))
+    }
+
+    await withOutboxStore('readwrite', store => store.delete(entry.id))
+    return 'synced'
+  },
+
+  /**
+   * Ask the service worker to wake the page for a replay when connectivity
+   * returns (Background Sync, where supported)
+   */
+  async requestBackgroundSync() {
+    try {
+      if (!('serviceWorker' in navigator)) return
+      const registration = await navigator.serviceWorker.getRegistration()
+      if (registration && registration.sync) await registration.sync.register(OUTBOX_SYNC_TAG)
+    } catch (error) {
+      console.warn('Background sync not available for the audit outbox:', error)
+    }
+  },
+
+  /**
+   * Register the service worker and replay the outbox on start, when the
+   * browser comes back online and when the service worker asks for it.
+   * Safe to call more than once.
+   */
+  init() {
+    if (isInitialized) return
+    isInitialized = true
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+        console.warn('Service worker registration failed:', error)
+      })
+      navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'audit-outbox-sync') this.flush()
+      })
+    }
+
+    window.addEventListener('online', () => this.flush())
+    window.addEventListener('offline', async () => notifyOutboxChanged(await this.getStatus()))
+
+    this.flush().catch(error => {
+      console.error('Error replaying the audit outbox:', error)
+    })
+  }
+}
+
+window.AuditOutbox = AuditOutbox
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditOutbox
+}
@@ -0,0 +1,205 @@
+/**
+ * Audit Targets
+ *
+ * How many audits each agent should get in a month, stored in audit_targets
+ * and shared by audit-distribution.html (agent-wise summary, employee list,
+ * target editor) and auditor-dashboard.html. A target is set as a default,
+ * per role, per channel or per agent, for every month or for one month; an
+ * agent gets the most specific one (see resolve()).
+ *
+ * audit-distribution.html used to keep per-agent targets in localStorage;
+ * importLocalOverrides() moves those into the table.
+ */
+
+// Used when audit_targets has no default row
+const AUDIT_TARGET_FALLBACK = 22
+
+// Most specific first
+const AUDIT_TARGET_SCOPES = ['agent', 'channel', 'role', 'default']
+
+const AUDIT_TARGET_STORAGE_PATTERN = /^audit_target_(.+)_(\d{4})_(\d{1,2})$/
+
+const AuditTargets = {
+  FALLBACK: AUDIT_TARGET_FALLBACK,
+  SCOPES: AUDIT_TARGET_SCOPES,
+
+  /**
+   * The current month
+   * @returns {{year: number, month: number}} month is 1-12
+   */
+  currentMonth() {
+    const now = new Date()
+    return { year: now.getFullYear(), month: now.getMonth() + 1 }
+  },
+
+  /**
+   * scope_value as stored: lowercased email for agents, '' for the default
+   * @param {string} scope
+   * @param {string} value
+   * @returns {string}
+   */
+  toScopeValue(scope, value) {
+    if (scope === 'default') return ''
+    const trimmed = (value || '').trim()
+    return scope === 'agent' ? trimmed.toLowerCase() : trimmed
+  },
+
+  /**
+   * Every target row that can apply in a month: standing rows and the month's own
+   * @param {{year: number, month: number}} period
+   * @returns {Promise<Array>} audit_targets rows
+   */
+  async load({ year, month }) {
+    const { data, error } = await window.supabaseClient
+      .from('audit_targets')
+      .select('*')
+      .or(`and(year.eq.0,month.eq.0),and(year.eq.${parseInt(year)},month.eq.${parseInt(month)})`)
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * An agent's target from load() rows
+   * @param {Array} rows - load() result
+   * @param {{email: string, channel?: string, role?: string}} user
+   * @returns {{target: number, scope: string|null, monthOnly: boolean}} scope
+   *   is null when no row applies and the fallback is used
+   */
+  resolve(rows, user) {
+    const values = {
+      agent: this.toScopeValue('agent', user?.email),
+      channel: this.toScopeValue('channel', user?.channel),
+      role: this.toScopeValue('role', user?.role),
+      default: ''
+    }
+
+    for (const scope of AUDIT_TARGET_SCOPES) {
+      if (scope !== 'default' && !values[scope]) continue
+      const matches = (rows || []).filter(row => row.scope === scope && row.scope_value === values[scope])
+      const row = matches.find(entry => entry.month > 0) || matches[0]
+      if (row) return { target: row.monthly_target, scope, monthOnly: row.month > 0 }
+    }
+    return { target: AUDIT_TARGET_FALLBACK, scope: null, monthOnly: false }
+  },
+
+  /**
+   * Targets of several agents in a month
+   * @param {Array<{email: string, channel?: string, role?: string}>} users
+   * @param {{year: number, month: number}} period
+   * @returns {Promise<Map<string, Object>>} lowercased email -> resolve() result
+   */
+  async getTargets(users, period) {
+    const rows = await this.load(period)
+    const targets = new Map()
+    ;(users || []).forEach(user => {
+      if (user?.email) targets.set(user.email.toLowerCase().trim(), this.resolve(rows, user))
+    })
+    return targets
+  },
+
+  /**
+   * Create or replace targets
+   * @param {Array<{scope: string, value?: string, year?: number, month?: number, target: number}>} entries
+   *   year and month left out (or 0) for a standing target
+   * @param {string} [updatedBy] - email
+   */
+  async save(entries, updatedBy) {
+    const now = new Date().toISOString()
+    const rows = (entries || []).map(entry => {
+      if (!AUDIT_TARGET_SCOPES.includes(entry.scope)) throw new Error(`Unknown target scope "${entry.scope}".`)
+      const target = parseInt(entry.target)
+      if (isNaN(target) || target < 0) throw new Error('Targets must be 0 or more.')
+      const scopeValue = this.toScopeValue(entry.scope, entry.value)
+      if (entry.scope !== 'default' && !scopeValue) throw new Error(`A ${entry.scope} target needs a ${entry.scope}.`)
+
+      return {
+        scope: entry.scope,
+        scope_value: scopeValue,
+        year: parseInt(entry.year) || 0,
+        month: entry.year ? parseInt(entry.month) || 0 : 0,
+        monthly_target: target,
+        updated_by: updatedBy || null,
+        updated_at: now
+      }
+    })
+    if (rows.length === 0) return
+
+    const { error } = await window.supabaseClient
+      .from('audit_targets')
+      .upsert(rows, { onConflict: 'scope,scope_value,year,month' })
+
+    if (error) throw error
+  },
+
+  /**
+   * Remove targets so the next less specific one applies
+   * @param {string} scope
+   * @param {Array<string>} values - scope values, e.g. agent emails
+   * @param {{year: number, month: number}} [period] - leave out for standing targets
+   */
+  async clear(scope, values, period) {
+    const scopeValues = (values || []).map(value => this.toScopeValue(scope, value))
+    if (scopeValues.length === 0) return
+
+    const { error } = await window.supabaseClient
+      .from('audit_targets')
+      .delete()
+      .eq('scope', scope)
+      .in('scope_value', scopeValues)
+      .eq('year', period ? parseInt(period.year) : 0)
+      .eq('month', period ? parseInt(period.month) : 0)
+
+    if (error) throw error
+  },
+
+  /**
+   * Move per-agent targets this browser kept in localStorage into the table,
+   * without overwriting targets already set there
+   * @param {string} [updatedBy] - email
+   * @returns {Promise<number>} targets moved
+   */
+  async importLocalOverrides(updatedBy) {
+    const found = []
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i)
+      const match = key && key.match(AUDIT_TARGET_STORAGE_PATTERN)
+      const target = match ? parseInt(localStorage.getItem(key)) : NaN
+      if (match && !isNaN(target) && target >= 0) {
+        found.push({ key, scope: 'agent', value: match[1], year: parseInt(match[2]), month: parseInt(match[3]), target })
+      }
+    }
+    if (found.length === 0) return 0
+
+    // One row per agent and month, even if the same email was stored with different casing
+    const now = new Date().toISOString()
+    const rows = new Map()
+    found.forEach(entry => {
+      const scopeValue = this.toScopeValue('agent', entry.value)
+      rows.set(`${scopeValue}_${entry.year}_${entry.month}`, {
+        scope: 'agent',
+        scope_value: scopeValue,
+        year: entry.year,
+        month: entry.month,
+        monthly_target: entry.target,
+        updated_by: updatedBy || null,
+        updated_at: now
+      })
+    })
+
+    const { error } = await window.supabaseClient
+      .from('audit_targets')
+      .upsert([...rows.values()], { onConflict: 'scope,scope_value,year,month', ignoreDuplicates: true })
+
+    if (error) throw error
+    found.forEach(entry => localStorage.removeItem(entry.key))
+    return found.length
+  }
+}
+
+window.AuditTargets = AuditTargets
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditTargets
+}
@@ -981,6 +981,174 @@ window.generateAuditFormHTML = function(options = {}) {
 
 
 
+/**
+ * Generate badge HTML for a parameter's fail action (Auto-Fail, Zeroes Category, ...)
+ * Requires scoring-engine.js. Returns an empty string when the parameter has no fail action.
+ * @param {Object} param - scorecard_parameters row
+ */
+window.generateFailActionBadge = function(param) {
+    const label = window.ScoringEngine ? window.ScoringEngine.describeFailAction(param) : '';
+    if (!label) return '';
+    return `<span class="fail-action-badge" title="${escapeHtml(label)}" style="display: inline-block; margin-left: 0.2425rem; background: #fee2e2; color: #b91c1c; border: 0.0304rem solid #fca5a5; padding: 0.0404rem 0.2425rem; border-radius: 0.1617rem; font-size: 0.4043rem; font-weight: 700; text-transform: uppercase; letter-spacing: 0.0122rem; vertical-align: middle;">${escapeHtml(label)}</span>`;
+};
+
+/**
+ * Generate badge HTML for a parameter's visibility condition (Only if channel is Email, ...)
+ * Requires scoring-engine.js. Returns an empty string when the parameter is always shown.
+ * @param {Object} param - scorecard_parameters row
+ * @param {Array} parameters - all parameters of the scorecard (names the referenced parameter)
+ */
+window.generateVisibilityConditionBadge = function(param, parameters) {
+    const label = window.ScoringEngine ? window.ScoringEngine.describeVisibilityCondition(param, parameters) : '';
+    if (!label) return '';
+    return `<span class="visibility-condition-badge" title="${escapeHtml(label)}" style="display: inline-block; margin-left: 0.2425rem; background: #eff6ff; color: #1d4ed8; border: 0.0304rem solid #bfdbfe; padding: 0.0404rem 0.2425rem; border-radius: 0.1617rem; font-size: 0.4043rem; font-weight: 600; vertical-align: middle;">${escapeHtml(label)}</span>`;
+};
+
+/**
+ * Show or hide parameter rows for conditional parameters
+ * Rows are matched by their data-parameter-row attribute (the field_id). Inputs in
+ * hidden rows stop being required so the browser doesn't block submission on them.
+ * A row shown again gets back the inline display it had (e.g. grid) before it was hidden.
+ * @param {Array<string>} hiddenFieldIds - ScoringEngine.calculateScore(...).hiddenParameters
+ * @param {Document|Element} root - Element to search within (defaults to document)
+ */
+window.applyParameterVisibility = function(hiddenFieldIds, root = document) {
+    const hidden = new Set(hiddenFieldIds || []);
+    root.querySelectorAll('[data-parameter-row]').forEach(row => {
+        const isHidden = hidden.has(row.getAttribute('data-parameter-row'));
+        if (isHidden && row.style.display !== 'none') {
+            row.setAttribute('data-visibility-display', row.style.display);
+            row.style.display = 'none';
+        } else if (!isHidden && row.style.display === 'none') {
+            row.style.display = row.getAttribute('data-visibility-display') || '';
+            row.removeAttribute('data-visibility-display');
+        }
+        row.querySelectorAll('input, textarea, select').forEach(input => {
+            if (isHidden && input.required) {
+                input.required = false;
+                input.setAttribute('data-visibility-required', 'true');
+            } else if (!isHidden && input.hasAttribute('data-visibility-required')) {
+                input.required = true;
+                input.removeAttribute('data-visibility-required');
+            }
+        });
+    });
+};
+
+// ============================================================================
+// Transcript Evidence Helpers
+// ============================================================================
+
+/**
+ * Quote to store when a transcript message is attached as evidence
+ * Uses the text selected inside the message when there is a selection, otherwise
+ * the message text. Requires audit-evidence.js.
+ * @param {Element} messageEl - Message element (carries data-part-id)
+ * @returns {string}
+ */
+window.getTranscriptMessageSnippet = function(messageEl) {
+    if (!messageEl) return '';
+    const selection = window.getSelection ? window.getSelection() : null;
+    let text = '';
+    if (selection && !selection.isCollapsed && selection.rangeCount > 0 && messageEl.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+        text = selection.toString();
+    }
+    if (!text.trim()) {
+        const textEl = messageEl.querySelector('.message-text-content');
+        text = textEl ? textEl.innerText : messageEl.innerText;
+    }
+    return window.AuditEvidence ? window.AuditEvidence.buildSnippet(text) : String(text || '').trim();
+};
+
+/**
+ * Generate the list of evidence quotes attached to a parameter
+ * @param {Array} items - [{ conversation_part_id, snippet, author_name }]
+ * @param {Object} options
+ * @param {string} options.fieldId - Parameter the evidence belongs to
+ * @param {boolean} options.removable - Show remove buttons (calls removeParameterEvidence(fieldId, index))
+ * @returns {string} HTML (empty when there is no evidence)
+ */
+window.generateEvidenceListHtml = function(items, options = {}) {
+    if (!items || items.length === 0) return '';
+    const { fieldId = '', removable = false } = options;
+    return `<div class="parameter-evidence-list" style="display: flex; flex-direction: column; gap: 0.1617rem; margin-top: 0.2425rem;">
+        ${items.map((item, index) => `
+            <div class="parameter-evidence-item" data-evidence-part-id="${escapeHtml(String(item.conversation_part_id))}" onclick="if (window.scrollToTranscriptMessage) { event.stopPropagation(); window.scrollToTranscriptMessage('${escapeHtml(String(item.conversation_part_id))}'); }" title="Jump to message" style="display: flex; align-items: flex-start; gap: 0.2425rem; background: #fffbeb; border-left: 0.0808rem solid #f59e0b; padding: 0.1617rem 0.2425rem; border-radius: 0.1617rem; font-size: 0.4447rem; color: #374151; cursor: pointer;">
+                <span style="flex: 1; min-width: 0; font-style: italic; overflow-wrap: anywhere;">${item.author_name ? `<strong style="font-style: normal;">${escapeHtml(item.author_name)}:</strong> ` : ''}“${escapeHtml(item.snippet)}”</span>
+                ${removable ? `<button type="button" onclick="event.stopPropagation(); removeParameterEvidence('${escapeHtml(fieldId)}', ${index})" title="Remove evidence" style="background: none; border: none; color: #9ca3af; cursor: pointer; font-size: 0.5659rem; line-height: 1; padding: 0;">&times;</button>` : ''}
+            </div>
+        `).join('')}
+    </div>`;
+};
+
+/**
+ * Highlight transcript messages that are attached as evidence
+ * Messages are matched by their data-part-id attribute; previous highlights are cleared.
+ * @param {Array<string>} partIds - conversation_part ids (AuditEvidence.getPartIds)
+ * @param {Document|Element} root - Element to search within (defaults to document)
+ */
+window.highlightEvidenceMessages = function(partIds, root = document) {
+    const highlighted = new Set((partIds || []).map(String));
+    root.querySelectorAll('[data-part-id]').forEach(messageEl => {
+        const isEvidence = highlighted.has(messageEl.getAttribute('data-part-id'));
+        if (isEvidence) {
+            messageEl.setAttribute('data-evidence', 'true');
+            messageEl.style.outline = '0.0808rem solid #f59e0b';
+            messageEl.style.outlineOffset = '0.1617rem';
+            messageEl.style.borderRadius = '0.4852rem';
+        } else if (messageEl.hasAttribute('data-evidence')) {
+            messageEl.removeAttribute('data-evidence');
+            messageEl.style.outline = '';
+            messageEl.style.outlineOffset = '';
+            messageEl.style.borderRadius = '';
+        }
+    });
+};
+
+/**
+ * Scroll the transcript to a message and flash it
+ * @param {string} partId - conversation_part id
+ * @returns {boolean} Whether the message was found in the transcript
+ */
+window.scrollToTranscriptMessage = function(partId) {
+    const messageEl = document.querySelector(`[data-part-id="${CSS.escape(String(partId))}"]`);
+    if (!messageEl) return false;
+    messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageEl.style.transition = 'background-color 0.3s ease';
+    messageEl.style.backgroundColor = 'rgba(245, 158, 11, 0.2)';
+    setTimeout(() => {
+        messageEl.style.backgroundColor = '';
+    }, 1500);
+    return true;
+};
+
+// ============================================================================
+// Form Value Helpers
+// ============================================================================
+
+/**
+ * Read parameter values from the rendered audit form
+ * Returns the plain values map expected by ScoringEngine.calculateScore
+ * @param {Array} parameters - scorecard_parameters rows (uses field_id and field_type)
+ * @param {Document|Element} root - Element to search within (defaults to document)
+ * @returns {Object} { [field_id]: number }
+ */
+window.collectParameterValues = function(parameters, root = document) {
+    const values = {};
+    (parameters || []).forEach(param => {
+        let value = 0;
+        if (param.field_type === 'radio') {
+            const selectedRadio = root.querySelector(`input[name="${param.field_id}"]:checked`);
+            value = selectedRadio ? parseInt(selectedRadio.value) : 0;
+        } else {
+            const field = root.querySelector(`#${CSS.escape(param.field_id)}`);
+            value = field ? (parseInt(field.value) || 0) : 0;
+        }
+        values[param.field_id] = isNaN(value) ? 0 : value;
+    });
+    return values;
+};
+
 // Export for use in other files
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -999,7 +1167,23 @@ if (typeof module !== 'undefined' && module.exports) {
 
         generateSplitter: window.generateSplitter,
 
-        generateAuditFormHTML: window.generateAuditFormHTML
+        generateAuditFormHTML: window.generateAuditFormHTML,
+
+        generateFailActionBadge: window.generateFailActionBadge,
+
+        generateVisibilityConditionBadge: window.generateVisibilityConditionBadge,
+
+        applyParameterVisibility: window.applyParameterVisibility,
+
+        getTranscriptMessageSnippet: window.getTranscriptMessageSnippet,
+
+        generateEvidenceListHtml: window.generateEvidenceListHtml,
+
+        highlightEvidenceMessages: window.highlightEvidenceMessages,
+
+        scrollToTranscriptMessage: window.scrollToTranscriptMessage,
+
+        collectParameterValues: window.collectParameterValues
 
     };
 
@@ -0,0 +1,244 @@
+/**
+ * Auditor Accuracy
+ *
+ * One accuracy score per auditor, shown on auditor-dashboard.html next to the
+ * productivity stats. It combines three signals:
+ *   - ATA: the rubric score of the auditor's ATA reviews (ata_reviews), or the
+ *     re-score accuracy for reviews graded without a rubric
+ *   - Calibration: how often the auditor's calibration results matched the
+ *     gold answer of completed sessions (100 minus the calibration deviation)
+ *   - Reversals: 100 minus the share of decided reversals on the auditor's
+ *     audits that were overturned
+ * Weighted by AUDITOR_ACCURACY_WEIGHTS over the signals the auditor has data
+ * for; an auditor with no data at all has no score.
+ *
+ * Uses ata-rubrics.js, calibration-blind.js and reversal-analytics.js.
+ */
+
+const AUDITOR_ACCURACY_WEIGHTS = {
+  ata: 50,
+  calibration: 25,
+  reversals: 25
+}
+
+// Supabase limit for .in() filters
+const AUDITOR_ACCURACY_BATCH_SIZE = 100
+
+function normalizeAccuracyEmail(email) {
+  return (email || '').toLowerCase().trim()
+}
+
+function averageAccuracy(values) {
+  if (values.length === 0) return null
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+}
+
+const AuditorAccuracy = {
+  WEIGHTS: AUDITOR_ACCURACY_WEIGHTS,
+
+  /**
+   * Everything the score is built from in a period, as one event per ATA
+   * review, calibration result and decided reversal
+   * @param {Object} range
+   * @param {Date|string} range.from
+   * @param {Date|string} range.to
+   * @returns {Promise<Array<{email: string, name: string, at: string, source: string, value: number}>>}
+   *   source is 'ata', 'calibration' or 'reversals'; value is 0-100
+   */
+  async load({ from, to }) {
+    const fromIso = new Date(from).toISOString()
+    const toIso = new Date(to).toISOString()
+    const [ata, calibration, reversals] = await Promise.all([
+      this.loadAtaEvents(fromIso, toIso),
+      this.loadCalibrationEvents(fromIso, toIso),
+      this.loadReversalEvents(fromIso, toIso)
+    ])
+    return [...ata, ...calibration, ...reversals]
+  },
+
+  /**
+   * ATA reviews of audits, by the review date
+   * @param {string} fromIso
+   * @param {string} toIso
+   * @returns {Promise<Array>} load() events
+   */
+  async loadAtaEvents(fromIso, toIso) {
+    const { data, error } = await window.supabaseClient
+      .from('ata_reviews')
+      .select('original_auditor_email, original_auditor_name, reviewed_at, rubric_score, ata_accuracy_score')
+      .gte('reviewed_at', fromIso)
+      .lte('reviewed_at', toIso)
+
+    if (error) throw error
+    return (data || [])
+      .map(review => ({
+        email: normalizeAccuracyEmail(review.original_auditor_email),
+        name: review.original_auditor_name || '',
+        at: review.reviewed_at,
+        source: 'ata',
+        value: window.AtaRubrics.getReviewScore(review)
+      }))
+      .filter(event => event.email && event.value !== null)
+  },
+
+  /**
+   * Calibration results of sessions completed with a gold answer, by completion date
+   * @param {string} fromIso
+   * @param {string} toIso
+   * @returns {Promise<Array>} load() events
+   */
+  async loadCalibrationEvents(fromIso, toIso) {
+    const { data: sessions, error } = await window.supabaseClient
+      .from('calibration_sessions')
+      .select('id, completed_at, gold_error_parameters')
+      .eq('status', 'completed')
+      .not('gold_error_parameters', 'is', null)
+      .gte('completed_at', fromIso)
+      .lte('completed_at', toIso)
+
+    if (error) throw error
+    if (!sessions || sessions.length === 0) return []
+
+    const results = []
+    const sessionIds = sessions.map(session => session.id)
+    for (let i = 0; i < sessionIds.length; i += AUDITOR_ACCURACY_BATCH_SIZE) {
+      const { data, error: resultsError } = await window.supabaseClient
+        .from('calibration_results')
+        .select('id, calibration_session_id, participant_email, participant_name, error_parameters')
+        .in('calibration_session_id', sessionIds.slice(i, i + AUDITOR_ACCURACY_BATCH_SIZE))
+      if (resultsError) throw resultsError
+      results.push(...(data || []))
+    }
+
+    const sessionsById = new Map(sessions.map(session => [session.id, session]))
+    return results
+      .map(result => {
+        const session = sessionsById.get(result.calibration_session_id)
+        const gold = session.gold_error_parameters || {}
+        const parameters = Object.keys(gold).map(fieldId => ({ field_id: fieldId }))
+        const [participant] = window.CalibrationBlind.buildReveal(parameters, [result], gold).participants
+        return {
+          email: normalizeAccuracyEmail(result.participant_email),
+          name: result.participant_name || '',
+          at: session.completed_at,
+          source: 'calibration',
+          value: participant && participant.total > 0 ? participant.accuracy : null
+        }
+      })
+      .filter(event => event.email && event.value !== null)
+  },
+
+  /**
+   * Decided reversals, by request date
+   * @param {string} fromIso
+   * @param {string} toIso
+   * @returns {Promise<Array>} load() events
+   */
+  async loadReversalEvents(fromIso, toIso) {
+    const records = await window.ReversalAnalytics.load({ from: fromIso, to: toIso })
+    return records
+      .filter(record => record.auditorEmail && record.outcome !== window.ReversalAnalytics.OUTCOMES.PENDING)
+      .map(record => ({
+        email: record.auditorEmail,
+        name: record.auditorName || '',
+        at: record.requestedAt,
+        source: 'reversals',
+        value: record.outcome === window.ReversalAnalytics.OUTCOMES.OVERTURNED ? 0 : 100
+      }))
+  },
+
+  /**
+   * Weighted score from the signals that have data
+   * @param {{ata: number|null, calibration: number|null, reversals: number|null}} components - 0-100 each
+   * @returns {number|null}
+   */
+  combine(components) {
+    let weighted = 0
+    let totalWeight = 0
+    Object.keys(AUDITOR_ACCURACY_WEIGHTS).forEach(source => {
+      const value = components[source]
+      if (value === null || value === undefined) return
+      weighted += value * AUDITOR_ACCURACY_WEIGHTS[source]
+      totalWeight += AUDITOR_ACCURACY_WEIGHTS[source]
+    })
+    return totalWeight > 0 ? Math.round((weighted / totalWeight) * 10) / 10 : null
+  },
+
+  /**
+   * Score and signals of one set of events
+   * @param {Array} events - load() events
+   * @returns {{score: number|null, ata: Object, calibration: Object, reversals: Object}}
+   *   ata: { score, count }; calibration: { accuracy, deviation, count };
+   *   reversals: { overturnRate, decided }
+   */
+  scoreEvents(events) {
+    const values = { ata: [], calibration: [], reversals: [] }
+    ;(events || []).forEach(event => values[event.source] && values[event.source].push(event.value))
+
+    const ata = averageAccuracy(values.ata)
+    const calibration = averageAccuracy(values.calibration)
+    const reversals = averageAccuracy(values.reversals)
+    return {
+      score: this.combine({ ata, calibration, reversals }),
+      ata: { score: ata, count: values.ata.length },
+      calibration: { accuracy: calibration, deviation: calibration === null ? null : Math.round((100 - calibration) * 10) / 10, count: values.calibration.length },
+      reversals: { overturnRate: reversals === null ? null : Math.round((100 - reversals) * 10) / 10, decided: values.reversals.length }
+    }
+  },
+
+  /**
+   * Score per auditor, best first; auditors without a score last
+   * @param {Array} events - load() events
+   * @param {Array<{email: string, name: string}>} [auditors] - always include these
+   * @returns {Array<Object>} { email, name, ...scoreEvents() }
+   */
+  byAuditor(events, auditors = []) {
+    const groups = new Map()
+    auditors.forEach(auditor => {
+      const email = normalizeAccuracyEmail(auditor.email)
+      if (email) groups.set(email, { email, name: auditor.name || email, events: [] })
+    })
+    ;(events || []).forEach(event => {
+      if (!groups.has(event.email)) groups.set(event.email, { email: event.email, name: event.name || event.email, events: [] })
+      groups.get(event.email).events.push(event)
+    })
+
+    return [...groups.values()]
+      .map(group => ({ email: group.email, name: group.name, ...this.scoreEvents(group.events) }))
+      .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.name.localeCompare(b.name))
+  },
+
+  /**
+   * Score per week (Monday start) of a period
+   * @param {Array} events - load() events, e.g. of one auditor
+   * @param {Date|string} from
+   * @param {Date|string} to
+   * @returns {Array<{weekStart: Date, score: number|null, events: number}>}
+   */
+  weeklyTrend(events, from, to) {
+    const weeks = []
+    const end = new Date(to)
+    for (let week = window.ReversalAnalytics.getWeekStart(from); week <= end; week = new Date(week.getFullYear(), week.getMonth(), week.getDate() + 7)) {
+      weeks.push({ weekStart: week, events: [] })
+    }
+
+    ;(events || []).forEach(event => {
+      const weekStart = window.ReversalAnalytics.getWeekStart(event.at).getTime()
+      const week = weeks.find(entry => entry.weekStart.getTime() === weekStart)
+      if (week) week.events.push(event)
+    })
+
+    return weeks.map(week => ({
+      weekStart: week.weekStart,
+      score: this.scoreEvents(week.events).score,
+      events: week.events.length
+    }))
+  }
+}
+
+window.AuditorAccuracy = AuditorAccuracy
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditorAccuracy
+}
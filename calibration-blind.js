@@ -0,0 +1,281 @@
+/**
+ * Blind Calibration
+ *
+ * Keeps calibration sessions blind on calibration.html. A participant's
+ * submission is locked once made (the blind_calibration migration rejects
+ * edits and second submissions). While a session is active, a participant sees
+ * only their own result and who else has submitted, not peers' scores; the
+ * database enforces this too (row-level security on calibration_results, with
+ * calibration_session_submissions() listing who has submitted). The
+ * session owner closes the session by choosing the calibrated "gold" answer for
+ * each parameter. After that the reveal compares every participant with the
+ * gold answer, parameter by parameter.
+ *
+ * Result values are the calibration_results.error_parameters counts keyed by
+ * field_id; null means the parameter was marked N/A.
+ */
+
+const CALIBRATION_BLIND_LOCKED_MESSAGE = 'You have already submitted this calibration. Submissions are locked and can\'t be changed.'
+
+const CalibrationBlind = {
+  /**
+   * Whether an email is one of the session's participants
+   * @param {Object} session - calibration_sessions row
+   * @param {string} email
+   * @returns {boolean}
+   */
+  isParticipant(session, email) {
+    const normalized = (email || '').toLowerCase().trim()
+    const participants = Array.isArray(session?.participants) ? session.participants : []
+    return !!normalized && participants.some(participant => (participant || '').toLowerCase().trim() === normalized)
+  },
+
+  /**
+   * Whether a user may see other participants' scores. Participants only see
+   * them once the session is completed; the owner and other reviewers who
+   * aren't scoring the sample always can.
+   * @param {Object} session - calibration_sessions row
+   * @param {string} email
+   * @returns {boolean}
+   */
+  canSeePeerResults(session, email) {
+    return session?.status === 'completed' || !this.isParticipant(session, email)
+  },
+
+  /**
+   * A session's results as the given user may see them. When peers are hidden,
+   * other participants' rows only carry who submitted and when, and have
+   * `hidden: true`.
+   * @param {Object} session - calibration_sessions row
+   * @param {string} email - current user
+   * @returns {Promise<{results: Array, blind: boolean}>} results newest first
+   */
+  async loadSessionResults(session, email) {
+    const blind = !this.canSeePeerResults(session, email)
+    if (!blind) {
+      const { data, error } = await window.supabaseClient
+        .from('calibration_results')
+        .select('*')
+        .eq('calibration_session_id', session.id)
+        .order('submitted_at', { ascending: false })
+
+      if (error && error.code !== 'PGRST116') throw error
+      return { results: data || [], blind }
+    }
+
+    const { data, error } = await window.supabaseClient
+      .rpc('calibration_session_submissions', { p_session_id: session.id })
+    if (error) throw error
+
+    const own = await this.getSubmission(session.id, email)
+    const results = (data || []).map(result => own && result.id === own.id ? own : { ...result, hidden: true })
+    return { results, blind }
+  },
+
+  /**
+   * The user's own submission for a session
+   * @param {string} sessionId
+   * @param {string} email
+   * @returns {Promise<Object|null>}
+   */
+  async getSubmission(sessionId, email) {
+    if (!email) return null
+    const { data, error } = await window.supabaseClient
+      .from('calibration_results')
+      .select('*')
+      .eq('calibration_session_id', sessionId)
+      .eq('participant_email', email)
+      .order('submitted_at', { ascending: true })
+      .limit(1)
+
+    if (error && error.code !== 'PGRST116') throw error
+    return data && data.length > 0 ? data[0] : null
+  },
+
+  /**
+   * Whether a session's deadline has passed
+   * @param {Object} session - calibration_sessions row
+   * @returns {boolean}
+   */
+  isPastDeadline(session) {
+    return !!session?.deadline && new Date(session.deadline) <= new Date()
+  },
+
+  /**
+   * Throw unless the user can still submit to the session: it must be active,
+   * before its deadline, and they must not have submitted yet (submissions are
+   * locked)
+   * @param {string} sessionId
+   * @param {string} email
+   */
+  async assertCanSubmit(sessionId, email) {
+    const { data: session, error } = await window.supabaseClient
+      .from('calibration_sessions')
+      .select('id, status, deadline')
+      .eq('id', sessionId)
+      .single()
+
+    if (error) throw error
+    if (session.status !== 'active') throw new Error('This calibration session is closed and no longer takes submissions.')
+    if (this.isPastDeadline(session)) throw new Error('The deadline for this calibration session has passed.')
+    if (await this.getSubmission(sessionId, email)) {
+      throw new Error(CALIBRATION_BLIND_LOCKED_MESSAGE)
+    }
+  },
+
+  /**
+   * Error to show for a failed calibration_results insert: a second submission
+   * sent at the same time as the first fails the unique index
+   * @param {Object} error - Supabase error
+   * @returns {Error|Object}
+   */
+  toSubmitError(error) {
+    return error && error.code === '23505' ? new Error(CALIBRATION_BLIND_LOCKED_MESSAGE) : error
+  },
+
+  /**
+   * A participant's value for a parameter (null when marked N/A)
+   * @param {Object} result - calibration_results row
+   * @param {string} fieldId
+   * @returns {number|null}
+   */
+  getValue(result, fieldId) {
+    const value = (result?.error_parameters || {})[fieldId]
+    if (value === null || value === undefined || value === '') return null
+    const count = parseInt(value)
+    return isNaN(count) ? null : count
+  },
+
+  /**
+   * How many participants gave each value for a parameter, most common first
+   * @param {Array} results - calibration_results rows
+   * @param {string} fieldId
+   * @returns {Array<{value: number|null, count: number}>}
+   */
+  getDistribution(results, fieldId) {
+    const counts = new Map()
+    ;(results || []).forEach(result => {
+      const value = this.getValue(result, fieldId)
+      counts.set(value, (counts.get(value) || 0) + 1)
+    })
+    return [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count)
+  },
+
+  /**
+   * Suggested gold answer: the most common value for each parameter. A tie
+   * goes to the sample audit's own value when it is one of the tied values.
+   * @param {Array} parameters - scorecard_parameters rows
+   * @param {Array} results - calibration_results rows
+   * @param {Object} [sampleAudit] - the audit the session calibrates on
+   * @returns {Object} { [field_id]: number|null }
+   */
+  suggestGold(parameters, results, sampleAudit) {
+    const gold = {}
+    ;(parameters || []).forEach(param => {
+      const distribution = this.getDistribution(results, param.field_id)
+      const sampleValue = sampleAudit && param.field_id in sampleAudit
+        ? this.getValue({ error_parameters: sampleAudit }, param.field_id)
+        : undefined
+      if (distribution.length === 0) {
+        gold[param.field_id] = sampleValue === undefined ? null : sampleValue
+        return
+      }
+
+      const tied = distribution.filter(entry => entry.count === distribution[0].count)
+      const fromSample = tied.find(entry => entry.value === sampleValue)
+      gold[param.field_id] = (fromSample || tied[0]).value
+    })
+    return gold
+  },
+
+  /**
+   * Close a session with its gold answer. Only active sessions can be closed.
+   * @param {string} sessionId
+   * @param {Object} gold - { [field_id]: number|null }
+   * @param {string} completedBy - email
+   * @returns {Promise<Object>} updated calibration_sessions row
+   */
+  async completeSession(sessionId, gold, completedBy) {
+    const { data, error } = await window.supabaseClient
+      .from('calibration_sessions')
+      .update({
+        status: 'completed',
+        gold_error_parameters: gold || {},
+        completed_at: new Date().toISOString(),
+        completed_by: completedBy || null
+      })
+      .eq('id', sessionId)
+      .eq('status', 'active')
+      .select()
+
+    if (error) throw error
+    if (!data || data.length === 0) throw new Error('This session has already been completed.')
+    return data[0]
+  },
+
+  /**
+   * Compare every participant with the gold answer
+   * @param {Array} parameters - scorecard_parameters rows
+   * @param {Array} results - calibration_results rows
+   * @param {Object} gold - { [field_id]: number|null }
+   * @returns {{rows: Array, participants: Array}} rows: one per parameter with
+   *   each participant's value and whether it matches; participants: matched
+   *   parameters and accuracy (0-100) per participant
+   */
+  buildReveal(parameters, results, gold) {
+    const goldValues = gold || {}
+    const participants = (results || []).map(result => ({
+      email: result.participant_email,
+      name: result.participant_name || result.participant_email,
+      resultId: result.id,
+      matched: 0,
+      total: 0,
+      accuracy: 0
+    }))
+
+    const rows = (parameters || [])
+      .filter(param => Object.prototype.hasOwnProperty.call(goldValues, param.field_id))
+      .map(param => {
+        const goldValue = goldValues[param.field_id] === null ? null : parseInt(goldValues[param.field_id])
+        const values = (results || []).map((result, index) => {
+          const value = this.getValue(result, param.field_id)
+          const matches = value === goldValue
+          participants[index].total++
+          if (matches) participants[index].matched++
+          return { email: result.participant_email, value, matches }
+        })
+        const matchedCount = values.filter(entry => entry.matches).length
+        return {
+          key: param.field_id,
+          label: param.error_name || param.field_id,
+          gold: goldValue,
+          values,
+          agreement: values.length > 0 ? Math.round((matchedCount / values.length) * 1000) / 10 : 0
+        }
+      })
+
+    participants.forEach(participant => {
+      participant.accuracy = participant.total > 0 ? Math.round((participant.matched / participant.total) * 1000) / 10 : 0
+    })
+
+    return { rows, participants }
+  },
+
+  /**
+   * Display text for a parameter value
+   * @param {number|null} value
+   * @returns {string}
+   */
+  formatValue(value) {
+    return value === null || value === undefined ? 'N/A' : String(value)
+  }
+}
+
+window.CalibrationBlind = CalibrationBlind
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CalibrationBlind
+}
@@ -0,0 +1,179 @@
+/**
+ * Calibration Schedules
+ *
+ * Recurring calibration sessions, managed on calibration.html. A schedule
+ * opens sessions for one scorecard every day, week, two weeks or month, with
+ * samples picked from recent audits (random, borderline scores near the
+ * scorecard's passing_threshold, or recently reversed) and every active Quality
+ * Analyst invited. Sessions are opened by the calibration-scheduler edge
+ * function, on its own schedule or through runNow(); it keeps its own copy of
+ * getNextRunAt(), change both together.
+ */
+
+const CALIBRATION_SCHEDULE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'biweekly', label: 'Every 2 weeks' },
+  { value: 'monthly', label: 'Monthly' }
+]
+
+const CALIBRATION_SCHEDULE_STRATEGIES = [
+  { value: 'random', label: 'Random', description: 'Any audit from the lookback window' },
+  { value: 'borderline', label: 'Borderline scores', description: 'Scores closest to the passing threshold' },
+  { value: 'recently_reversed', label: 'Recently reversed', description: 'Audits whose reversal was approved' }
+]
+
+const CalibrationSchedules = {
+  FREQUENCIES: CALIBRATION_SCHEDULE_FREQUENCIES,
+  STRATEGIES: CALIBRATION_SCHEDULE_STRATEGIES,
+
+  /**
+   * When a schedule runs after `from`
+   * @param {Date|string} from
+   * @param {string} frequency - a FREQUENCIES value
+   * @returns {Date}
+   */
+  getNextRunAt(from, frequency) {
+    const next = new Date(from)
+    if (frequency === 'daily') next.setDate(next.getDate() + 1)
+    else if (frequency === 'biweekly') next.setDate(next.getDate() + 14)
+    else if (frequency === 'monthly') next.setMonth(next.getMonth() + 1)
+    else next.setDate(next.getDate() + 7)
+    return next
+  },
+
+  /**
+   * Display label for a frequency or strategy value
+   * @param {string} value
+   * @returns {string}
+   */
+  getLabel(value) {
+    const option = [...CALIBRATION_SCHEDULE_FREQUENCIES, ...CALIBRATION_SCHEDULE_STRATEGIES].find(entry => entry.value === value)
+    return option ? option.label : (value || '-')
+  },
+
+  /**
+   * Schedules, newest first
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const { data, error } = await window.supabaseClient
+      .from('calibration_schedules')
+      .select('*')
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Create a schedule
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.scorecardId
+   * @param {string} [options.description] - used as the sessions' description
+   * @param {string} options.frequency
+   * @param {string} options.sampleStrategy
+   * @param {number} options.samplesPerRun - sessions opened per run (1-10)
+   * @param {number} options.lookbackDays
+   * @param {number} [options.borderlineMargin] - score points around the passing threshold
+   * @param {number} options.deadlineHours
+   * @param {string} [options.firstRunAt] - defaults to now
+   * @param {string} options.createdBy - email; becomes the sessions' owner
+   * @returns {Promise<Object>} stored row
+   */
+  async create(options) {
+    if (!options.name || !options.name.trim()) throw new Error('Give the schedule a name.')
+    if (!options.scorecardId) throw new Error('Pick a scorecard.')
+    if (!CALIBRATION_SCHEDULE_FREQUENCIES.some(entry => entry.value === options.frequency)) throw new Error('Pick how often sessions are opened.')
+    if (!CALIBRATION_SCHEDULE_STRATEGIES.some(entry => entry.value === options.sampleStrategy)) throw new Error('Pick how samples are chosen.')
+
+    const samplesPerRun = parseInt(options.samplesPerRun)
+    const lookbackDays = parseInt(options.lookbackDays)
+    const deadlineHours = parseInt(options.deadlineHours)
+    const borderlineMargin = parseFloat(options.borderlineMargin)
+    if (!(samplesPerRun >= 1 && samplesPerRun <= 10)) throw new Error('Sessions per run must be between 1 and 10.')
+    if (!(lookbackDays > 0)) throw new Error('The lookback window must be at least 1 day.')
+    if (!(deadlineHours > 0)) throw new Error('The deadline must be at least 1 hour.')
+    if (options.sampleStrategy === 'borderline' && !(borderlineMargin > 0)) throw new Error('The borderline margin must be more than 0 points.')
+
+    const { data, error } = await window.supabaseClient
+      .from('calibration_schedules')
+      .insert([{
+        name: options.name.trim(),
+        scorecard_id: options.scorecardId,
+        description: options.description && options.description.trim() ? options.description.trim() : null,
+        frequency: options.frequency,
+        sample_strategy: options.sampleStrategy,
+        samples_per_run: samplesPerRun,
+        lookback_days: lookbackDays,
+        borderline_margin: borderlineMargin > 0 ? borderlineMargin : 5,
+        deadline_hours: deadlineHours,
+        next_run_at: options.firstRunAt ? new Date(options.firstRunAt).toISOString() : new Date().toISOString(),
+        created_by: options.createdBy || null
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  },
+
+  /**
+   * Pause or resume a schedule
+   * @param {string} scheduleId
+   * @param {boolean} isActive
+   */
+  async setActive(scheduleId, isActive) {
+    const { error } = await window.supabaseClient
+      .from('calibration_schedules')
+      .update({ is_active: !!isActive })
+      .eq('id', scheduleId)
+
+    if (error) throw error
+  },
+
+  /**
+   * Delete a schedule; the sessions it opened are kept
+   * @param {string} scheduleId
+   */
+  async remove(scheduleId) {
+    const { error } = await window.supabaseClient
+      .from('calibration_schedules')
+      .delete()
+      .eq('id', scheduleId)
+
+    if (error) throw error
+  },
+
+  /**
+   * Open a schedule's sessions now, without moving its next run
+   * @param {string} scheduleId
+   * @returns {Promise<{sessions_created: number, errors: number}>}
+   */
+  async runNow(scheduleId) {
+    const supabaseUrl = window.env?.SUPABASE_URL || window.SupabaseConfig?.url
+    const supabaseAnonKey = window.env?.SUPABASE_ANON_KEY || window.SupabaseConfig?.anonKey
+
+    const response = await fetch(`${supabaseUrl}/functions/v1/calibration-scheduler`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${supabaseAnonKey}`,
+        'apikey': supabaseAnonKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ schedule_id: scheduleId })
+    })
+
+    const result = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(result.error || `Failed to run the schedule: ${response.statusText}`)
+    return result
+  }
+}
+
+window.CalibrationSchedules = CalibrationSchedules
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CalibrationSchedules
+}
@@ -0,0 +1,264 @@
+/**
+ * Conversation Sampling
+ *
+ * Strategies for picking which of an agent's pulled conversations to audit on
+ * create-audit.html. Sampling is seeded: each conversation's draw comes from
+ * the seed and its own id only, so the same strategy, seed and options always
+ * rank two conversations the same way, whatever order the conversations were
+ * fetched in and whichever other conversations are in the pool (audited ones
+ * drop out between runs). The strategy, seed, options, filters and date range
+ * are recorded on the audit assignment (sampling_strategy, sampling_seed,
+ * sampling_params) so the choice can be reproduced later.
+ */
+
+const CONVERSATION_SAMPLING_STRATEGIES = [
+  { value: 'random', label: 'Random' },
+  { value: 'low_csat', label: 'Lowest CSAT first' },
+  { value: 'long_handle_time', label: 'Longest handle time' },
+  { value: 'reopened', label: 'Reopened conversations' },
+  { value: 'tags', label: 'Specific tags' },
+  { value: 'stratified_product', label: 'Stratified by product type' }
+]
+
+const CONVERSATION_SAMPLING_DEFAULT_SIZE = 5
+
+const CONVERSATION_SAMPLING_UNKNOWN_PRODUCT = 'Unknown'
+
+// 32-bit FNV-1a hash, to turn any seed string into a PRNG state
+function hashSamplingSeed(seed) {
+  let hash = 0x811c9dc5
+  const text = String(seed)
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// A conversation's draw in [0, 1) from the seed and its id (one mulberry32
+// step, to spread FNV's clustered low bits)
+function getSamplingDraw(seed, conversationId) {
+  let t = (hashSamplingSeed(`${seed}:${conversationId}`) + 0x6d2b79f5) >>> 0
+  t = Math.imul(t ^ (t >>> 15), t | 1)
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+}
+
+function getConversationTagNames(conversation) {
+  const tags = conversation?.tags?.tags || conversation?.tags || []
+  if (!Array.isArray(tags)) return []
+  return tags
+    .map(tag => (typeof tag === 'string' ? tag : tag?.name) || '')
+    .filter(Boolean)
+}
+
+// Split size over strata in proportion to their counts (largest remainder),
+// giving every stratum at least one when size allows
+function allocateSamplingStrata(strata, size) {
+  const available = strata.reduce((sum, stratum) => sum + stratum.items.length, 0)
+  const total = Math.min(size, available)
+  if (total === 0) return strata.map(() => 0)
+
+  const quotas = strata.map(stratum => Math.floor(total * stratum.items.length / available))
+  const byRemainder = strata
+    .map((stratum, index) => ({ index, remainder: total * stratum.items.length / available - quotas[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+
+  let assigned = quotas.reduce((sum, quota) => sum + quota, 0)
+  for (const { index } of byRemainder) {
+    if (assigned >= total) break
+    if (quotas[index] < strata[index].items.length) {
+      quotas[index]++
+      assigned++
+    }
+  }
+
+  if (total >= strata.length) {
+    strata.forEach((stratum, index) => {
+      if (quotas[index] > 0) return
+      let largest = -1
+      quotas.forEach((quota, other) => {
+        if (quota > 1 && (largest === -1 || quota > quotas[largest])) largest = other
+      })
+      if (largest === -1) return
+      quotas[largest]--
+      quotas[index] = 1
+    })
+  }
+  return quotas
+}
+
+function formatSamplingMinutes(seconds) {
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) return `${minutes} min`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+const ConversationSampling = {
+  STRATEGIES: CONVERSATION_SAMPLING_STRATEGIES,
+  DEFAULT_SIZE: CONVERSATION_SAMPLING_DEFAULT_SIZE,
+
+  /**
+   * Display label for a strategy value
+   * @param {string} value
+   * @returns {string}
+   */
+  getLabel(value) {
+    const option = CONVERSATION_SAMPLING_STRATEGIES.find(entry => entry.value === value)
+    return option ? option.label : (value || 'Manual')
+  },
+
+  /**
+   * A new random seed, short enough to read out or type back in
+   * @returns {string}
+   */
+  newSeed() {
+    return Math.random().toString(36).slice(2, 10)
+  },
+
+  /**
+   * Time from the conversation's start to its last close
+   * @param {Object} conversation - Intercom conversation
+   * @returns {number|null} seconds
+   */
+  getHandleTimeSeconds(conversation) {
+    const stats = conversation?.statistics || {}
+    if (typeof stats.time_to_last_close === 'number') return stats.time_to_last_close
+    if (stats.last_close_at && typeof conversation.created_at === 'number') {
+      return Math.max(0, stats.last_close_at - conversation.created_at)
+    }
+    return null
+  },
+
+  /**
+   * How often the conversation was reopened
+   * @param {Object} conversation - Intercom conversation
+   * @returns {number}
+   */
+  getReopenCount(conversation) {
+    return parseInt(conversation?.statistics?.count_reopens) || 0
+  },
+
+  /**
+   * Draw a sample
+   * @param {Array<Object>} conversations - Intercom conversations to sample from
+   * @param {Object} options
+   * @param {string} options.strategy - a STRATEGIES value
+   * @param {string} options.seed
+   * @param {number} [options.size] - conversations to pick; DEFAULT_SIZE if left out
+   * @param {Array<string>} [options.tags] - for 'tags': conversations with any of these (case-insensitive)
+   * @param {function(Object): (number|null)} [options.getRating] - CSAT 1-5, for 'low_csat'
+   * @param {function(Object): (string|null)} [options.getProductType] - for 'stratified_product'
+   * @returns {{conversations: Array<Object>, reasons: Map<string, string>, eligible: number}}
+   *   conversations in sample order, why each was picked keyed by conversation id,
+   *   and how many conversations qualified for the strategy
+   */
+  sample(conversations, options = {}) {
+    const { strategy, seed } = options
+    if (!CONVERSATION_SAMPLING_STRATEGIES.some(entry => entry.value === strategy)) {
+      throw new Error(`Unknown sampling strategy "${strategy}".`)
+    }
+    if (seed === undefined || seed === null || String(seed).trim() === '') throw new Error('Sampling needs a seed.')
+    const size = Math.max(1, parseInt(options.size) || CONVERSATION_SAMPLING_DEFAULT_SIZE)
+
+    const trimmedSeed = String(seed).trim()
+    const pool = (conversations || [])
+      .filter(conversation => conversation && conversation.id !== undefined && conversation.id !== null)
+      .map(conversation => ({ conversation, draw: getSamplingDraw(trimmedSeed, conversation.id) }))
+    // Equal draws (rare) fall back to the id, never to fetch order
+    const byDraw = (a, b) => a.draw - b.draw || String(a.conversation.id).localeCompare(String(b.conversation.id))
+
+    let eligible = pool
+    let picked
+    const reasons = new Map()
+    const reason = (entry, text) => reasons.set(String(entry.conversation.id), text)
+
+    switch (strategy) {
+      case 'random': {
+        picked = [...pool].sort(byDraw).slice(0, size)
+        picked.forEach(entry => reason(entry, 'Random pick'))
+        break
+      }
+
+      case 'low_csat': {
+        // Unrated conversations only fill up what rated ones leave
+        const getRating = options.getRating || (() => null)
+        const rated = pool.map(entry => ({ ...entry, rating: getRating(entry.conversation) }))
+        picked = [
+          ...rated.filter(entry => entry.rating !== null && entry.rating !== undefined).sort((a, b) => a.rating - b.rating || byDraw(a, b)),
+          ...rated.filter(entry => entry.rating === null || entry.rating === undefined).sort(byDraw)
+        ].slice(0, size)
+        picked.forEach(entry => reason(entry, entry.rating !== null && entry.rating !== undefined ? `CSAT ${entry.rating}` : 'No rating'))
+        break
+      }
+
+      case 'long_handle_time': {
+        const timed = pool.map(entry => ({ ...entry, seconds: this.getHandleTimeSeconds(entry.conversation) }))
+        picked = [
+          ...timed.filter(entry => entry.seconds !== null).sort((a, b) => b.seconds - a.seconds || byDraw(a, b)),
+          ...timed.filter(entry => entry.seconds === null).sort(byDraw)
+        ].slice(0, size)
+        picked.forEach(entry => reason(entry, entry.seconds !== null ? `Handle time ${formatSamplingMinutes(entry.seconds)}` : 'Handle time unknown'))
+        break
+      }
+
+      case 'reopened': {
+        eligible = pool
+          .map(entry => ({ ...entry, reopens: this.getReopenCount(entry.conversation) }))
+          .filter(entry => entry.reopens > 0)
+        picked = [...eligible].sort((a, b) => b.reopens - a.reopens || byDraw(a, b)).slice(0, size)
+        picked.forEach(entry => reason(entry, `Reopened ${entry.reopens}x`))
+        break
+      }
+
+      case 'tags': {
+        const wanted = (options.tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean)
+        if (wanted.length === 0) throw new Error('Enter at least one tag to sample by.')
+        eligible = pool
+          .map(entry => ({ ...entry, matched: getConversationTagNames(entry.conversation).filter(tag => wanted.includes(tag.toLowerCase())) }))
+          .filter(entry => entry.matched.length > 0)
+        picked = [...eligible].sort(byDraw).slice(0, size)
+        picked.forEach(entry => reason(entry, `Tagged ${entry.matched.join(', ')}`))
+        break
+      }
+
+      case 'stratified_product': {
+        const getProductType = options.getProductType || (() => null)
+        const groups = new Map()
+        pool.forEach(entry => {
+          const product = getProductType(entry.conversation) || CONVERSATION_SAMPLING_UNKNOWN_PRODUCT
+          if (!groups.has(product)) groups.set(product, [])
+          groups.get(product).push(entry)
+        })
+        const strata = [...groups.entries()]
+          .sort((a, b) => a[0].localeCompare(b[0]))
+          .map(([product, items]) => ({ product, items: items.sort(byDraw) }))
+        const quotas = allocateSamplingStrata(strata, size)
+
+        // Interleave the strata so the top of the list is already mixed
+        picked = []
+        const longest = Math.max(0, ...quotas)
+        for (let round = 0; round < longest; round++) {
+          strata.forEach((stratum, index) => {
+            if (round < quotas[index]) picked.push({ ...stratum.items[round], product: stratum.product, of: stratum.items.length })
+          })
+        }
+        picked.forEach(entry => reason(entry, `${entry.product} (${entry.of} in pool)`))
+        break
+      }
+    }
+
+    return {
+      conversations: picked.map(entry => entry.conversation),
+      reasons,
+      eligible: eligible.length
+    }
+  }
+}
+
+window.ConversationSampling = ConversationSampling
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationSampling
+}
@@ -0,0 +1,213 @@
+/**
+ * Distribution Rules
+ *
+ * Saved rules for distributing audits automatically, managed on
+ * audit-distribution.html. A rule gives every agent of a scorecard's channels
+ * audits_per_agent audits per week or month, assigned round-robin to Quality
+ * Analysts of the agent's channel (or all of them), optionally skipping the
+ * agent's own Quality Mentor. Assignments are written by the
+ * audit-distribution-rules edge function once per period, or through runNow();
+ * preview() asks it for the plan without writing anything.
+ */
+
+const DISTRIBUTION_RULE_PERIODS = [
+  { value: 'week', label: 'Per week' },
+  { value: 'month', label: 'Per month' }
+]
+
+const DISTRIBUTION_RULE_POOLS = [
+  { value: 'same_channel', label: 'QAs of the agent\'s channel' },
+  { value: 'all', label: 'All QAs' }
+]
+
+// Sent with the user's session token, which the edge function checks
+async function callDistributionRulesFunction(body) {
+  const supabaseUrl = window.env?.SUPABASE_URL || window.SupabaseConfig?.url
+  const supabaseAnonKey = window.env?.SUPABASE_ANON_KEY || window.SupabaseConfig?.anonKey
+  const { data: { session } } = await window.supabaseClient.auth.getSession()
+  if (!session?.access_token) throw new Error('Your session has expired. Sign in again to run distribution rules.')
+
+  const response = await fetch(`${supabaseUrl}/functions/v1/audit-distribution-rules`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${session.access_token}`,
+      'apikey': supabaseAnonKey,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  })
+
+  const result = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(result.error || `Distribution rules request failed: ${response.statusText}`)
+  return result
+}
+
+const DistributionRules = {
+  PERIODS: DISTRIBUTION_RULE_PERIODS,
+  POOLS: DISTRIBUTION_RULE_POOLS,
+
+  /**
+   * Display label for a period or auditor pool value
+   * @param {string} value
+   * @returns {string}
+   */
+  getLabel(value) {
+    const option = [...DISTRIBUTION_RULE_PERIODS, ...DISTRIBUTION_RULE_POOLS].find(entry => entry.value === value)
+    return option ? option.label : (value || '-')
+  },
+
+  /**
+   * Rules, newest first
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const { data, error } = await window.supabaseClient
+      .from('audit_distribution_rules')
+      .select('*')
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Check a rule and turn it into audit_distribution_rules columns
+   * @param {Object} rule
+   * @param {string} rule.name
+   * @param {string} rule.scorecardId
+   * @param {string} [rule.channel] - one of the scorecard's channels; empty for all
+   * @param {number} rule.auditsPerAgent
+   * @param {string} rule.period - a PERIODS value
+   * @param {string} rule.auditorPool - a POOLS value
+   * @param {boolean} [rule.excludeQualityMentor]
+   * @returns {Object} row
+   */
+  toRow(rule) {
+    if (!rule.name || !rule.name.trim()) throw new Error('Give the rule a name.')
+    if (!rule.scorecardId) throw new Error('Pick a scorecard.')
+    if (!DISTRIBUTION_RULE_PERIODS.some(entry => entry.value === rule.period)) throw new Error('Pick whether the quota is per week or per month.')
+    if (!DISTRIBUTION_RULE_POOLS.some(entry => entry.value === rule.auditorPool)) throw new Error('Pick which QAs audits go to.')
+
+    const auditsPerAgent = parseInt(rule.auditsPerAgent)
+    if (!(auditsPerAgent >= 1 && auditsPerAgent <= 50)) throw new Error('Audits per agent must be between 1 and 50.')
+
+    return {
+      name: rule.name.trim(),
+      scorecard_id: rule.scorecardId,
+      channel: rule.channel || null,
+      audits_per_agent: auditsPerAgent,
+      period: rule.period,
+      auditor_pool: rule.auditorPool,
+      exclude_quality_mentor: rule.excludeQualityMentor !== false
+    }
+  },
+
+  /**
+   * Create a rule; it first runs on the next scheduler check
+   * @param {Object} rule - see toRow()
+   * @param {string} [rule.createdBy] - email; recorded as the assignments' assigned_by
+   * @returns {Promise<Object>} stored row
+   */
+  async create(rule) {
+    const { data, error } = await window.supabaseClient
+      .from('audit_distribution_rules')
+      .insert([{ ...this.toRow(rule), created_by: rule.createdBy || null }])
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  },
+
+  /**
+   * Pause or resume a rule
+   * @param {string} ruleId
+   * @param {boolean} isActive
+   */
+  async setActive(ruleId, isActive) {
+    const { error } = await window.supabaseClient
+      .from('audit_distribution_rules')
+      .update({ is_active: !!isActive, updated_at: new Date().toISOString() })
+      .eq('id', ruleId)
+
+    if (error) throw error
+  },
+
+  /**
+   * Delete a rule; the assignments it wrote are kept
+   * @param {string} ruleId
+   */
+  async remove(ruleId) {
+    const { error } = await window.supabaseClient
+      .from('audit_distribution_rules')
+      .delete()
+      .eq('id', ruleId)
+
+    if (error) throw error
+  },
+
+  /**
+   * What a rule would assign now, without writing anything
+   * @param {string|Object} rule - a saved rule's id, or an unsaved rule (see toRow())
+   * @returns {Promise<Object>} plan: { scorecard, period: { type, start, end },
+   *   scheduled_date, week, audits_per_agent, agents: [{ email, name, channel,
+   *   existing, planned }], assignments: [{ employee_email, employee_name,
+   *   auditor_email, auditor_name, channel }], skipped: [{ employee_email,
+   *   employee_name, reason }], next_run_at }
+   */
+  async preview(rule) {
+    const body = typeof rule === 'string'
+      ? { rule_id: rule, dry_run: true }
+      : { rule: this.toRow(rule), dry_run: true }
+    const result = await callDistributionRulesFunction(body)
+    return result.plan
+  },
+
+  /**
+   * Write a rule's assignments for the current period now, without moving its next run
+   * @param {string} ruleId
+   * @returns {Promise<{assignments_created: number, errors: number}>}
+   */
+  async runNow(ruleId) {
+    return callDistributionRulesFunction({ rule_id: ruleId })
+  },
+
+  /**
+   * Agents x QAs counts of a plan, for the preview table
+   * @param {Object} plan - preview() result
+   * @returns {{auditors: Array<{email: string, name: string, total: number}>,
+   *   rows: Array<{email: string, name: string, channel: string, existing: number, counts: Object, total: number}>}}
+   *   counts is keyed by auditor email; rows only include agents with planned audits
+   */
+  buildMatrix(plan) {
+    const auditors = new Map()
+    const rows = new Map()
+    ;(plan?.agents || []).forEach(agent => {
+      if (agent.planned > 0) rows.set(agent.email, { email: agent.email, name: agent.name, channel: agent.channel, existing: agent.existing, counts: {}, total: 0 })
+    })
+
+    ;(plan?.assignments || []).forEach(assignment => {
+      if (!auditors.has(assignment.auditor_email)) {
+        auditors.set(assignment.auditor_email, { email: assignment.auditor_email, name: assignment.auditor_name || assignment.auditor_email, total: 0 })
+      }
+      auditors.get(assignment.auditor_email).total++
+
+      const row = rows.get(assignment.employee_email)
+      if (!row) return
+      row.counts[assignment.auditor_email] = (row.counts[assignment.auditor_email] || 0) + 1
+      row.total++
+    })
+
+    return {
+      auditors: [...auditors.values()].sort((a, b) => a.name.localeCompare(b.name)),
+      rows: [...rows.values()]
+    }
+  }
+}
+
+window.DistributionRules = DistributionRules
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DistributionRules
+}
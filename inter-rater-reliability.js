@@ -0,0 +1,279 @@
+/**
+ * Inter-Rater Reliability
+ *
+ * Agreement statistics for calibration analytics on calibration.html: Cohen's
+ * kappa (two raters), Fleiss' kappa (any number of raters) and Krippendorff's
+ * alpha. Ratings are the error counts participants gave each parameter
+ * (calibration_results.error_parameters); N/A (null) counts as missing.
+ *
+ * A "unit" is one thing that was rated: an array with one rating per rater.
+ * Within a session the units are the scorecard's parameters; for one
+ * parameter across sessions they are the sessions' samples.
+ *
+ * Kappa treats ratings as categories. Alpha uses the interval metric, so
+ * rating a parameter 1 where others gave 2 disagrees less than giving 0 where
+ * others gave 3. Statistics that are undefined (fewer than two ratings per
+ * unit, or no variation at all) are returned as null.
+ */
+
+const IRR_MIN_RATINGS_PER_UNIT = 2
+
+const IRR_KAPPA_LABELS = [
+  { max: 0, label: 'Poor' },
+  { max: 0.2, label: 'Slight' },
+  { max: 0.4, label: 'Fair' },
+  { max: 0.6, label: 'Moderate' },
+  { max: 0.8, label: 'Substantial' },
+  { max: Infinity, label: 'Almost perfect' }
+]
+
+const InterRaterReliability = {
+  /**
+   * Ratings of a unit without missing values
+   * @param {Array} unit
+   * @returns {Array<number>}
+   */
+  presentRatings(unit) {
+    return (unit || []).filter(rating => rating !== null && rating !== undefined && rating !== '' && !isNaN(rating)).map(Number)
+  },
+
+  /**
+   * Mean share of agreeing rater pairs per unit (0-100)
+   * @param {Array<Array>} units
+   * @returns {number|null}
+   */
+  percentAgreement(units) {
+    const shares = (units || [])
+      .map(unit => this.presentRatings(unit))
+      .filter(ratings => ratings.length >= IRR_MIN_RATINGS_PER_UNIT)
+      .map(ratings => {
+        let agreeing = 0
+        for (let i = 0; i < ratings.length; i++) {
+          for (let j = i + 1; j < ratings.length; j++) {
+            if (ratings[i] === ratings[j]) agreeing++
+          }
+        }
+        return agreeing / (ratings.length * (ratings.length - 1) / 2)
+      })
+    if (shares.length === 0) return null
+    return this.round(shares.reduce((sum, share) => sum + share, 0) / shares.length * 100, 1)
+  },
+
+  /**
+   * Cohen's kappa for two raters over the same units
+   * @param {Array} ratingsA - rater A's rating per unit
+   * @param {Array} ratingsB - rater B's rating per unit
+   * @returns {number|null}
+   */
+  cohensKappa(ratingsA, ratingsB) {
+    const pairs = []
+    ;(ratingsA || []).forEach((a, index) => {
+      const [first] = this.presentRatings([a])
+      const [second] = this.presentRatings([(ratingsB || [])[index]])
+      if (first !== undefined && second !== undefined) pairs.push([first, second])
+    })
+    if (pairs.length === 0) return null
+
+    const countsA = new Map()
+    const countsB = new Map()
+    let agreeing = 0
+    pairs.forEach(([a, b]) => {
+      if (a === b) agreeing++
+      countsA.set(a, (countsA.get(a) || 0) + 1)
+      countsB.set(b, (countsB.get(b) || 0) + 1)
+    })
+
+    const observed = agreeing / pairs.length
+    let expected = 0
+    countsA.forEach((count, category) => {
+      expected += (count / pairs.length) * ((countsB.get(category) || 0) / pairs.length)
+    })
+    if (expected >= 1) return null
+    return this.round((observed - expected) / (1 - expected), 3)
+  },
+
+  /**
+   * Fleiss' kappa. Units may have different numbers of raters; units with
+   * fewer than two ratings are ignored.
+   * @param {Array<Array>} units
+   * @returns {number|null}
+   */
+  fleissKappa(units) {
+    const rated = (units || []).map(unit => this.presentRatings(unit)).filter(ratings => ratings.length >= IRR_MIN_RATINGS_PER_UNIT)
+    if (rated.length === 0) return null
+
+    const categoryTotals = new Map()
+    let totalRatings = 0
+    let unitAgreementSum = 0
+    rated.forEach(ratings => {
+      const counts = new Map()
+      ratings.forEach(rating => counts.set(rating, (counts.get(rating) || 0) + 1))
+      let squares = 0
+      counts.forEach((count, category) => {
+        squares += count * count
+        categoryTotals.set(category, (categoryTotals.get(category) || 0) + count)
+      })
+      unitAgreementSum += (squares - ratings.length) / (ratings.length * (ratings.length - 1))
+      totalRatings += ratings.length
+    })
+
+    const observed = unitAgreementSum / rated.length
+    let expected = 0
+    categoryTotals.forEach(count => {
+      expected += Math.pow(count / totalRatings, 2)
+    })
+    if (expected >= 1) return null
+    return this.round((observed - expected) / (1 - expected), 3)
+  },
+
+  /**
+   * Krippendorff's alpha from the coincidence of pairable ratings
+   * @param {Array<Array>} units
+   * @param {string} [level] - 'interval' (default) or 'nominal'
+   * @returns {number|null}
+   */
+  krippendorffAlpha(units, level = 'interval') {
+    const distance = level === 'nominal'
+      ? (a, b) => (a === b ? 0 : 1)
+      : (a, b) => Math.pow(a - b, 2)
+
+    const rated = (units || []).map(unit => this.presentRatings(unit)).filter(ratings => ratings.length >= IRR_MIN_RATINGS_PER_UNIT)
+    const pairable = rated.reduce((sum, ratings) => sum + ratings.length, 0)
+    if (pairable < 2) return null
+
+    let observedSum = 0
+    const valueCounts = new Map()
+    rated.forEach(ratings => {
+      for (let i = 0; i < ratings.length; i++) {
+        valueCounts.set(ratings[i], (valueCounts.get(ratings[i]) || 0) + 1)
+        for (let j = 0; j < ratings.length; j++) {
+          if (i !== j) observedSum += distance(ratings[i], ratings[j]) / (ratings.length - 1)
+        }
+      }
+    })
+
+    let expectedSum = 0
+    const values = [...valueCounts.entries()]
+    values.forEach(([c, countC]) => {
+      values.forEach(([k, countK]) => {
+        expectedSum += countC * countK * distance(c, k)
+      })
+    })
+
+    const observedDisagreement = observedSum / pairable
+    const expectedDisagreement = expectedSum / (pairable * (pairable - 1))
+    if (expectedDisagreement === 0) return null
+    return this.round(1 - observedDisagreement / expectedDisagreement, 3)
+  },
+
+  /**
+   * Reliability of one calibration session: each parameter is a unit rated by
+   * every participant. Cohen's kappa is used with exactly two raters, Fleiss'
+   * kappa otherwise.
+   * @param {Array<{ratings: Object}>} raters - one entry per participant;
+   *   ratings: { [field_id]: count | null }
+   * @param {Array<string>} fieldIds - parameters to include
+   * @returns {{raters: number, units: number, percentAgreement: number|null, kappa: number|null, kappaType: string, alpha: number|null}}
+   */
+  sessionReliability(raters, fieldIds) {
+    const list = raters || []
+    const units = (fieldIds || []).map(fieldId => list.map(rater => (rater.ratings || {})[fieldId]))
+    const usable = units.filter(unit => this.presentRatings(unit).length >= IRR_MIN_RATINGS_PER_UNIT)
+    const kappaType = list.length === 2 ? 'cohen' : 'fleiss'
+
+    return {
+      raters: list.length,
+      units: usable.length,
+      percentAgreement: this.percentAgreement(units),
+      kappa: kappaType === 'cohen'
+        ? this.cohensKappa(units.map(unit => unit[0]), units.map(unit => unit[1]))
+        : this.fleissKappa(units),
+      kappaType,
+      alpha: this.krippendorffAlpha(units)
+    }
+  },
+
+  /**
+   * Reliability of each parameter across sessions: every session's sample is
+   * a unit rated by that session's participants
+   * @param {Array<{raters: Array<{ratings: Object}>}>} sessions
+   * @param {function(string, Object): string} [keyOf] - groups field_ids (e.g. per
+   *   scorecard); receives (fieldId, session)
+   * @returns {Array<{key: string, fieldId: string, sessions: number, ratings: number, percentAgreement: number|null, kappa: number|null, alpha: number|null}>}
+   *   worst agreement first (lowest alpha, then kappa, then percentage;
+   *   undefined statistics last)
+   */
+  parameterReliability(sessions, keyOf = fieldId => fieldId) {
+    const byKey = new Map()
+    ;(sessions || []).forEach(session => {
+      const fieldIds = new Set()
+      ;(session.raters || []).forEach(rater => Object.keys(rater.ratings || {}).forEach(fieldId => fieldIds.add(fieldId)))
+      fieldIds.forEach(fieldId => {
+        const key = keyOf(fieldId, session)
+        if (!byKey.has(key)) byKey.set(key, { key, fieldId, units: [] })
+        byKey.get(key).units.push((session.raters || []).map(rater => (rater.ratings || {})[fieldId]))
+      })
+    })
+
+    const rankValue = value => (value === null ? Infinity : value)
+    return [...byKey.values()]
+      .map(entry => {
+        const usable = entry.units.filter(unit => this.presentRatings(unit).length >= IRR_MIN_RATINGS_PER_UNIT)
+        return {
+          key: entry.key,
+          fieldId: entry.fieldId,
+          sessions: usable.length,
+          ratings: usable.reduce((sum, unit) => sum + this.presentRatings(unit).length, 0),
+          percentAgreement: this.percentAgreement(entry.units),
+          kappa: this.fleissKappa(entry.units),
+          alpha: this.krippendorffAlpha(entry.units)
+        }
+      })
+      .filter(entry => entry.sessions > 0)
+      .sort((a, b) =>
+        rankValue(a.alpha) - rankValue(b.alpha) ||
+        rankValue(a.kappa) - rankValue(b.kappa) ||
+        rankValue(a.percentAgreement) - rankValue(b.percentAgreement)
+      )
+  },
+
+  /**
+   * Landis & Koch band for a kappa value
+   * @param {number|null} kappa
+   * @returns {string}
+   */
+  interpretKappa(kappa) {
+    if (kappa === null || kappa === undefined) return '-'
+    return IRR_KAPPA_LABELS.find(band => kappa <= band.max).label
+  },
+
+  /**
+   * Krippendorff's guidance for an alpha value
+   * @param {number|null} alpha
+   * @returns {string}
+   */
+  interpretAlpha(alpha) {
+    if (alpha === null || alpha === undefined) return '-'
+    if (alpha >= 0.8) return 'Reliable'
+    if (alpha >= 0.667) return 'Tentative'
+    return 'Unreliable'
+  },
+
+  /**
+   * Round to a number of decimals
+   * @param {number} value
+   * @param {number} digits
+   * @returns {number}
+   */
+  round(value, digits) {
+    const factor = Math.pow(10, digits)
+    return Math.round(value * factor) / factor
+  }
+}
+
+window.InterRaterReliability = InterRaterReliability
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InterRaterReliability
+}
@@ -137,6 +137,9 @@ class SidebarLoader {
       
       // Set up intervals to update counts periodically
       this.setupNotificationUpdateIntervals()
+
+      // Show audits queued offline on pages that load the audit outbox
+      this.initOutboxStatus()
     } catch (error) {
       // Error loading sidebar
       // Fallback: show a message or use existing sidebar
@@ -214,6 +217,7 @@ class SidebarLoader {
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 4v16m8-8H4"/>
                 </svg>
                 <span>Create Audit</span>
+                <span class="notification-badge" id="outboxSyncBadge" style="display: none;">0</span>
             </button>
         </li>
 
@@ -973,82 +977,17 @@ class SidebarLoader {
   }
 
   /**
-   * Get reversal workflow state - matches reversal.html exactly
+   * Get reversal workflow state (see reversal-workflow.js)
    */
   getReversalWorkflowState(reversal) {
-    if (reversal.reversal_workflow_state) {
-      const dbWorkflowState = reversal.reversal_workflow_state
-      const teamLeadApproved = reversal.team_lead_approved === true || reversal.team_lead_approved === 'true' || 
-                               reversal.team_lead_approved === 1 || reversal.team_lead_approved === '1' ||
-                               (reversal.teamLeadApproved === true || reversal.teamLeadApproved === 'true' || 
-                                reversal.teamLeadApproved === 1 || reversal.teamLeadApproved === '1')
-      const teamLeadRejected = reversal.team_lead_approved === false || reversal.team_lead_approved === 'false' || 
-                               reversal.team_lead_approved === 0 || reversal.team_lead_approved === '0' ||
-                               (reversal.teamLeadApproved === false || reversal.teamLeadApproved === 'false' || 
-                                reversal.teamLeadApproved === 0 || reversal.teamLeadApproved === '0')
-      const hasTeamLeadReviewed = teamLeadApproved || teamLeadRejected || 
-                                  (reversal.team_lead_reviewed_by && reversal.team_lead_reviewed_by.trim()) || 
-                                  (reversal.teamLeadReviewedBy && reversal.teamLeadReviewedBy.trim())
-      if ((dbWorkflowState === 'qa_review' || dbWorkflowState === 'cqc_review') && !hasTeamLeadReviewed) {
-        return 'team_lead_review'
-      }
-      if (teamLeadRejected) {
-        return 'team_lead_rejected'
-      }
-      return dbWorkflowState
-    }
-    const ackStatus = (reversal.acknowledgement_status || reversal.acknowledgementStatus || '').toLowerCase()
-    if (ackStatus.includes('team_lead_review')) return 'team_lead_review'
-    if (ackStatus.includes('team_lead_rejected')) return 'team_lead_rejected'
-    if (ackStatus.includes('qa_review') || ackStatus.includes('auditor_review')) return 'qa_review'
-    if (ackStatus.includes('cqc_review')) return 'cqc_review'
-    if (ackStatus.includes('cqc_sent_back')) return 'cqc_sent_back'
-    if (ackStatus.includes('agent_re_review')) return 'agent_re_review'
-    if (ackStatus.includes('reversal_approved')) return 'approved'
-    if (ackStatus.includes('reversal_rejected')) return 'rejected'
-    if (ackStatus === 'acknowledged' || ackStatus.includes('acknowledged')) return 'acknowledged'
-    const approved = reversal.reversal_approved
-    if (approved === null || approved === undefined) return 'pending'
-    if (approved === true || approved === 'true' || approved === 1 || approved === '1') return 'approved'
-    if (approved === false || approved === 'false' || approved === 0 || approved === '0') return 'rejected'
-    return 'pending'
+    return window.ReversalWorkflow.resolveState(reversal)
   }
 
   /**
-   * Check if a workflow state is considered "pending" - matches reversal.html exactly
+   * Check if a reversal still needs action (see reversal-workflow.js)
    */
   isPendingWorkflowState(reversal) {
-    const workflowState = this.getReversalWorkflowState(reversal)
-    const pendingStates = [
-      'pending',
-      'submitted',
-      'team_lead_review',
-      'team_lead_approved',
-      'qa_review',
-      'cqc_review',
-      'cqc_sent_back',
-      'agent_re_review'
-    ]
-    if (pendingStates.includes(workflowState)) {
-      return true
-    }
-    const teamLeadApproved = reversal.team_lead_approved === true || reversal.team_lead_approved === 'true' || 
-                             reversal.team_lead_approved === 1 || reversal.team_lead_approved === '1' ||
-                             (reversal.teamLeadApproved === true || reversal.teamLeadApproved === 'true' || 
-                              reversal.teamLeadApproved === 1 || reversal.teamLeadApproved === '1')
-    const finalDecision = reversal.reversal_approved
-    const hasFinalDecision = finalDecision !== null && finalDecision !== undefined
-    if (teamLeadApproved && !hasFinalDecision) {
-      return true
-    }
-    const ackStatus = (reversal.acknowledgement_status || reversal.acknowledgementStatus || '').toLowerCase()
-    if (ackStatus.includes('pending - reversal_approved') || ackStatus.includes('pending - reversal_rejected')) {
-      return true
-    }
-    if (workflowState === 'qa_review' || workflowState === 'cqc_review') {
-      return true
-    }
-    return false
+    return window.ReversalWorkflow.isPending(reversal)
   }
 
   /**
@@ -1548,6 +1487,53 @@ class SidebarLoader {
     }
   }
 
+  /**
+   * Follow the audit outbox (audit-outbox.js) and show queued audits on the
+   * Create Audit item
+   */
+  async initOutboxStatus() {
+    if (!window.AuditOutbox) return
+
+    document.addEventListener(window.AuditOutbox.CHANGED_EVENT, (event) => {
+      this.setOutboxBadgeStatus(event.detail)
+    })
+
+    try {
+      this.setOutboxBadgeStatus(await window.AuditOutbox.getStatus())
+    } catch (error) {
+      console.error('Error loading audit outbox status:', error)
+    }
+  }
+
+  /**
+   * Set the outbox badge: amber while audits wait to sync, red when one failed
+   */
+  setOutboxBadgeStatus(status) {
+    const badge = document.getElementById('outboxSyncBadge')
+    if (!badge || !status) return
+
+    const count = status.pending + status.failed
+    if (count === 0) {
+      badge.style.display = 'none'
+      return
+    }
+
+    badge.textContent = count > 99 ? '99+' : count.toString()
+    badge.classList.toggle('outbox-pending', status.failed === 0)
+
+    const parts = []
+    if (status.pending > 0) {
+      parts.push(status.syncing
+        ? `Syncing ${status.pending} queued audit${status.pending === 1 ? '' : 's'}`
+        : `${status.pending} audit${status.pending === 1 ? '' : 's'} waiting to sync`)
+    }
+    if (status.failed > 0) {
+      parts.push(`${status.failed} queued audit${status.failed === 1 ? '' : 's'} failed to sync (retry or discard under Offline Submissions on the Auditor Dashboard)`)
+    }
+    badge.title = parts.join(', ')
+    badge.style.display = 'inline-flex'
+  }
+
   /**
    * Hide menu items for employees based on their role
    */
@@ -0,0 +1,462 @@
+/**
+ * QA Capacity
+ *
+ * Whether a week's audit assignments fit the time Quality Analysts have, for
+ * the QA Capacity view on audit-distribution.html. A QA's time comes from
+ * their working hours (qa_working_hours, or DEFAULT_HOURS) less leave, which
+ * is recorded as 'leave' events in event-management.html. An assignment takes
+ * the average audit duration of its scorecard (see loadHandleTimes()).
+ *
+ * build() gives each QA's load and projected completion day; suggestMoves()
+ * proposes moving pending assignments from overloaded QAs to ones with spare
+ * time, which applyMoves() writes as a bulk reassignment.
+ *
+ * Dates are Dhaka dates as 'YYYY-MM-DD' strings and times are minutes since
+ * Dhaka midnight, so nothing here depends on the browser's timezone.
+ */
+
+const QA_CAPACITY_DEFAULT_HOURS = {
+  shiftStart: '10:30',
+  hoursPerDay: 8,
+  workDays: [1, 2, 3, 4, 5]
+}
+
+// Per assignment when no audit of its scorecard (or any scorecard) has a duration
+const QA_CAPACITY_DEFAULT_HANDLE_MINUTES = 20
+
+// Audits considered for the average duration of a scorecard
+const QA_CAPACITY_HANDLE_TIME_DAYS = 60
+const QA_CAPACITY_HANDLE_TIME_LIMIT = 500
+
+// Load above this is shown as tight
+const QA_CAPACITY_TIGHT_LOAD = 0.9
+
+const QA_CAPACITY_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const QA_CAPACITY_OPEN_STATUSES = ['pending', 'in_progress']
+
+const QA_CAPACITY_DAY_MS = 24 * 60 * 60 * 1000
+
+function toCapacityDateString(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+function parseCapacityDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day))
+}
+
+// 'HH:MM' or 'HH:MM:SS' -> minutes since midnight
+function parseCapacityTime(value) {
+  if (!value) return null
+  const [hours, minutes] = String(value).split(':').map(Number)
+  if (isNaN(hours)) return null
+  return hours * 60 + (minutes || 0)
+}
+
+function getCapacityParticipants(event) {
+  const participants = event?.participants
+  if (!participants) return []
+  if (Array.isArray(participants)) return participants
+  try {
+    const parsed = JSON.parse(participants)
+    return Array.isArray(parsed) ? parsed : [participants]
+  } catch (error) {
+    return String(participants).split(',').map(email => email.trim()).filter(Boolean)
+  }
+}
+
+function normalizeCapacityEmail(email) {
+  return (email || '').toLowerCase().trim()
+}
+
+function getCapacityOverlap(fromA, toA, fromB, toB) {
+  return Math.max(0, Math.min(toA, toB) - Math.max(fromA, fromB))
+}
+
+const QaCapacity = {
+  DEFAULT_HOURS: QA_CAPACITY_DEFAULT_HOURS,
+  DEFAULT_HANDLE_MINUTES: QA_CAPACITY_DEFAULT_HANDLE_MINUTES,
+  WEEKDAYS: QA_CAPACITY_WEEKDAYS,
+
+  /**
+   * The Monday to Sunday week a Dhaka date falls in
+   * @param {string} [dateString] - 'YYYY-MM-DD'; today in Dhaka if left out
+   * @returns {{start: string, end: string, days: Array<string>}}
+   */
+  getWeek(dateString) {
+    const date = parseCapacityDate(dateString || this.getNow().date)
+    const mondayOffset = (date.getUTCDay() + 6) % 7
+    const monday = new Date(date.getTime() - mondayOffset * QA_CAPACITY_DAY_MS)
+    const days = Array.from({ length: 7 }, (_, index) => toCapacityDateString(new Date(monday.getTime() + index * QA_CAPACITY_DAY_MS)))
+    return { start: days[0], end: days[6], days }
+  },
+
+  /**
+   * Current Dhaka date and time
+   * @returns {{date: string, minutes: number}}
+   */
+  getNow() {
+    const now = typeof getDhakaNow === 'function' ? getDhakaNow() : new Date()
+    const pad = value => String(value).padStart(2, '0')
+    return {
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      minutes: now.getHours() * 60 + now.getMinutes()
+    }
+  },
+
+  /**
+   * Working hours of every QA that has them set
+   * @returns {Promise<Map<string, {shiftStart: string, hoursPerDay: number, workDays: Array<number>}>>}
+   *   keyed by lowercased email
+   */
+  async loadWorkingHours() {
+    const { data, error } = await window.supabaseClient
+      .from('qa_working_hours')
+      .select('*')
+
+    if (error) throw error
+    const hours = new Map()
+    ;(data || []).forEach(row => {
+      hours.set(normalizeCapacityEmail(row.auditor_email), {
+        shiftStart: (row.shift_start || QA_CAPACITY_DEFAULT_HOURS.shiftStart).slice(0, 5),
+        hoursPerDay: parseFloat(row.hours_per_day) || QA_CAPACITY_DEFAULT_HOURS.hoursPerDay,
+        workDays: Array.isArray(row.work_days) ? row.work_days.map(Number) : QA_CAPACITY_DEFAULT_HOURS.workDays
+      })
+    })
+    return hours
+  },
+
+  /**
+   * Set a QA's working hours
+   * @param {string} email
+   * @param {{shiftStart: string, hoursPerDay: number, workDays: Array<number>}} hours
+   * @param {string} [updatedBy] - email
+   */
+  async saveWorkingHours(email, hours, updatedBy) {
+    const hoursPerDay = parseFloat(hours.hoursPerDay)
+    if (!(hoursPerDay > 0 && hoursPerDay <= 16)) throw new Error('Hours per day must be more than 0 and at most 16.')
+    if (parseCapacityTime(hours.shiftStart) === null) throw new Error('Enter when the shift starts.')
+    const workDays = [...new Set((hours.workDays || []).map(Number))].filter(day => day >= 0 && day <= 6).sort()
+    if (workDays.length === 0) throw new Error('Pick at least one working day.')
+
+    const { error } = await window.supabaseClient
+      .from('qa_working_hours')
+      .upsert([{
+        auditor_email: normalizeCapacityEmail(email),
+        shift_start: hours.shiftStart,
+        hours_per_day: hoursPerDay,
+        work_days: workDays,
+        updated_by: updatedBy || null,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'auditor_email' })
+
+    if (error) throw error
+  },
+
+  /**
+   * Leave events in a week
+   * @param {{start: string, end: string}} week
+   * @returns {Promise<Array>} events rows
+   */
+  async loadLeave(week) {
+    const { data, error } = await window.supabaseClient
+      .from('events')
+      .select('id, title, type, date, start_time, end_time, participants, created_by')
+      .eq('type', 'leave')
+      .gte('date', week.start)
+      .lte('date', week.end)
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Average audit duration per scorecard over the last QA_CAPACITY_HANDLE_TIME_DAYS days
+   * @param {Array<{id: string, table_name: string}>} scorecards
+   * @param {function(*): number} toMinutes - audit_duration -> minutes (convertDurationToMinutes)
+   * @returns {Promise<Map<string, {minutes: number, audits: number}>>} keyed by scorecard id;
+   *   scorecards without timed audits are left out
+   */
+  async loadHandleTimes(scorecards, toMinutes) {
+    const since = new Date(Date.now() - QA_CAPACITY_HANDLE_TIME_DAYS * QA_CAPACITY_DAY_MS).toISOString()
+    const handleTimes = new Map()
+
+    await Promise.all((scorecards || []).filter(scorecard => scorecard?.table_name).map(async scorecard => {
+      const { data, error } = await window.supabaseClient
+        .from(scorecard.table_name)
+        .select('audit_duration')
+        .not('audit_duration', 'is', null)
+        .gte('submitted_at', since)
+        .order('submitted_at', { ascending: false })
+        .limit(QA_CAPACITY_HANDLE_TIME_LIMIT)
+
+      if (error) {
+        console.warn(`Could not load audit durations from ${scorecard.table_name}:`, error)
+        return
+      }
+
+      const minutes = (data || []).map(audit => toMinutes(audit.audit_duration)).filter(value => value > 0)
+      if (minutes.length > 0) {
+        handleTimes.set(scorecard.id, {
+          minutes: minutes.reduce((sum, value) => sum + value, 0) / minutes.length,
+          audits: minutes.length
+        })
+      }
+    }))
+
+    return handleTimes
+  },
+
+  /**
+   * Minutes of leave a QA has on a day within a window of it
+   * @param {Array} leave - loadLeave() rows
+   * @param {string} email
+   * @param {string} date - 'YYYY-MM-DD'
+   * @param {number} from - window start, minutes since midnight
+   * @param {number} to - window end
+   * @returns {number}
+   */
+  getLeaveMinutes(leave, email, date, from, to) {
+    const normalized = normalizeCapacityEmail(email)
+    const intervals = (leave || [])
+      .filter(event => event.date === date)
+      .filter(event => {
+        const participants = getCapacityParticipants(event).map(normalizeCapacityEmail)
+        return participants.length > 0
+          ? participants.includes(normalized)
+          : normalizeCapacityEmail(event.created_by) === normalized
+      })
+      .map(event => {
+        // Leave without times, or ending before it starts, is the whole day
+        const start = parseCapacityTime(event.start_time)
+        const end = parseCapacityTime(event.end_time)
+        return start === null || end === null || end <= start ? [0, 24 * 60] : [start, end]
+      })
+      .sort((a, b) => a[0] - b[0])
+
+    // Merge overlapping leave so it isn't counted twice
+    let total = 0
+    let current = null
+    intervals.forEach(([start, end]) => {
+      if (current && start <= current[1]) {
+        current[1] = Math.max(current[1], end)
+      } else {
+        if (current) total += getCapacityOverlap(current[0], current[1], from, to)
+        current = [start, end]
+      }
+    })
+    if (current) total += getCapacityOverlap(current[0], current[1], from, to)
+    return total
+  },
+
+  /**
+   * A QA's remaining working time in a week
+   * @param {Object} hours - see loadWorkingHours()
+   * @param {Array} leave - loadLeave() rows
+   * @param {string} email
+   * @param {{days: Array<string>}} week
+   * @param {{date: string, minutes: number}} now - see getNow()
+   * @returns {{minutes: number, leaveMinutes: number, days: Array<{date: string, minutes: number}>}}
+   *   days only lists days with time left
+   */
+  getAvailability(hours, leave, email, week, now) {
+    const shiftStart = parseCapacityTime(hours.shiftStart) ?? parseCapacityTime(QA_CAPACITY_DEFAULT_HOURS.shiftStart)
+    const shiftEnd = shiftStart + Math.round(hours.hoursPerDay * 60)
+    const result = { minutes: 0, leaveMinutes: 0, days: [] }
+
+    week.days.forEach(date => {
+      if (date < now.date) return
+      if (!hours.workDays.includes(parseCapacityDate(date).getUTCDay())) return
+
+      const from = date === now.date ? Math.max(shiftStart, now.minutes) : shiftStart
+      if (from >= shiftEnd) return
+      const leaveMinutes = this.getLeaveMinutes(leave, email, date, from, shiftEnd)
+      const minutes = shiftEnd - from - leaveMinutes
+
+      result.leaveMinutes += leaveMinutes
+      if (minutes > 0) {
+        result.minutes += minutes
+        result.days.push({ date, minutes })
+      }
+    })
+    return result
+  },
+
+  /**
+   * Each QA's load for a week
+   * @param {Object} input
+   * @param {Array<{email: string, name?: string, channel?: string}>} input.auditors
+   * @param {Array} input.assignments - audit_assignments rows; open ones scheduled up to
+   *   the end of the week (or unscheduled) count, overdue ones included
+   * @param {{start: string, end: string, days: Array<string>}} input.week - see getWeek()
+   * @param {Map} [input.workingHours] - loadWorkingHours()
+   * @param {Array} [input.leave] - loadLeave()
+   * @param {Map} [input.handleTimes] - loadHandleTimes()
+   * @param {{date: string, minutes: number}} [input.now] - see getNow()
+   * @returns {Array<Object>} per QA: email, name, channel, hours, availableMinutes,
+   *   leaveMinutes, assignments (each with handleMinutes), workloadMinutes, load,
+   *   projectedCompletion ('YYYY-MM-DD', or null when it doesn't fit the week) and
+   *   status ('ok', 'tight' or 'over'); most loaded first
+   */
+  build({ auditors, assignments, week, workingHours, leave, handleTimes, now }) {
+    const today = now || this.getNow()
+    const averageMinutes = this.getAverageHandleMinutes(handleTimes)
+    const openByAuditor = new Map()
+    ;(assignments || []).forEach(assignment => {
+      if (!QA_CAPACITY_OPEN_STATUSES.includes(assignment.status) || !assignment.auditor_email) return
+      const scheduled = assignment.scheduled_date ? String(assignment.scheduled_date).slice(0, 10) : null
+      if (scheduled && scheduled > week.end) return
+
+      const email = normalizeCapacityEmail(assignment.auditor_email)
+      if (!openByAuditor.has(email)) openByAuditor.set(email, [])
+      openByAuditor.get(email).push({
+        ...assignment,
+        handleMinutes: handleTimes?.get(assignment.scorecard_id)?.minutes || averageMinutes
+      })
+    })
+
+    return (auditors || []).map(auditor => {
+      const email = normalizeCapacityEmail(auditor.email)
+      const hours = workingHours?.get(email) || QA_CAPACITY_DEFAULT_HOURS
+      const availability = this.getAvailability(hours, leave, email, week, today)
+      const open = openByAuditor.get(email) || []
+      const workloadMinutes = open.reduce((sum, assignment) => sum + assignment.handleMinutes, 0)
+
+      return this.summarize({
+        email: auditor.email,
+        name: auditor.name || auditor.email,
+        channel: auditor.channel || null,
+        hours,
+        customHours: !!workingHours?.has(email),
+        availability,
+        leaveMinutes: availability.leaveMinutes,
+        assignments: open,
+        workloadMinutes
+      })
+    }).sort((a, b) => b.load - a.load || a.name.localeCompare(b.name))
+  },
+
+  /**
+   * Fill in a QA row's load, projected completion and status from its
+   * availability and workload
+   * @param {Object} row
+   * @returns {Object} the row
+   */
+  summarize(row) {
+    const availableMinutes = row.availability.minutes
+    row.availableMinutes = availableMinutes
+    row.load = availableMinutes > 0 ? row.workloadMinutes / availableMinutes : (row.workloadMinutes > 0 ? Infinity : 0)
+
+    row.projectedCompletion = null
+    if (row.workloadMinutes === 0) {
+      row.projectedCompletion = row.availability.days[0]?.date || null
+    } else {
+      let covered = 0
+      for (const day of row.availability.days) {
+        covered += day.minutes
+        if (covered >= row.workloadMinutes) {
+          row.projectedCompletion = day.date
+          break
+        }
+      }
+    }
+
+    row.status = row.load > 1 ? 'over' : row.load > QA_CAPACITY_TIGHT_LOAD ? 'tight' : 'ok'
+    return row
+  },
+
+  /**
+   * Average duration across scorecards, for scorecards without their own
+   * @param {Map} [handleTimes] - loadHandleTimes()
+   * @returns {number} minutes
+   */
+  getAverageHandleMinutes(handleTimes) {
+    let minutes = 0
+    let audits = 0
+    ;(handleTimes || new Map()).forEach(entry => {
+      minutes += entry.minutes * entry.audits
+      audits += entry.audits
+    })
+    return audits > 0 ? minutes / audits : QA_CAPACITY_DEFAULT_HANDLE_MINUTES
+  },
+
+  /**
+   * Moves of pending assignments from QAs over capacity to QAs with spare
+   * time, preferring a QA of the agent's channel. In-progress assignments stay.
+   * @param {Array<Object>} rows - build() result
+   * @param {Object} [options]
+   * @param {Map<string, string>} [options.agentChannels] - lowercased agent email -> channel
+   * @param {boolean} [options.sameChannelOnly] - never move to a QA of another channel
+   * @returns {Array<{assignment: Object, from: Object, to: Object, minutes: number}>}
+   *   from and to are rows; the rows are not changed
+   */
+  suggestMoves(rows, options = {}) {
+    const agentChannels = options.agentChannels || new Map()
+    const spare = new Map(rows.map(row => [row.email, row.availableMinutes - row.workloadMinutes]))
+    const moves = []
+
+    rows.filter(row => row.status === 'over').forEach(donor => {
+      // Move the latest scheduled first; the earliest are the ones the donor gets to
+      const pending = donor.assignments
+        .filter(assignment => assignment.status === 'pending')
+        .sort((a, b) => String(b.scheduled_date || '').localeCompare(String(a.scheduled_date || '')))
+
+      for (const assignment of pending) {
+        if (spare.get(donor.email) >= 0) break
+        const agentChannel = agentChannels.get(normalizeCapacityEmail(assignment.employee_email)) || null
+        const candidates = rows
+          .filter(row => row.email !== donor.email && spare.get(row.email) >= assignment.handleMinutes)
+          .filter(row => !options.sameChannelOnly || !agentChannel || row.channel === agentChannel)
+          .sort((a, b) => {
+            const channelA = agentChannel && a.channel === agentChannel ? 0 : 1
+            const channelB = agentChannel && b.channel === agentChannel ? 0 : 1
+            return channelA - channelB || spare.get(b.email) - spare.get(a.email)
+          })
+        const recipient = candidates[0]
+        if (!recipient) continue
+
+        moves.push({ assignment, from: donor, to: recipient, minutes: assignment.handleMinutes })
+        spare.set(donor.email, spare.get(donor.email) + assignment.handleMinutes)
+        spare.set(recipient.email, spare.get(recipient.email) - assignment.handleMinutes)
+      }
+    })
+    return moves
+  },
+
+  /**
+   * Reassign assignments as suggested
+   * @param {Array<{assignment: Object, to: Object}>} moves - suggestMoves() entries
+   * @param {Object} [changes] - extra columns to write, e.g. AssignmentLifecycle.attribution()
+   * @returns {Promise<number>} assignments moved
+   */
+  async applyMoves(moves, changes = {}) {
+    const idsByAuditor = new Map()
+    ;(moves || []).forEach(move => {
+      if (!idsByAuditor.has(move.to.email)) idsByAuditor.set(move.to.email, [])
+      idsByAuditor.get(move.to.email).push(move.assignment.id)
+    })
+
+    let moved = 0
+    for (const [auditorEmail, ids] of idsByAuditor) {
+      // Only still-pending assignments, in case one was started meanwhile
+      const { data, error } = await window.supabaseClient
+        .from('audit_assignments')
+        .update({ ...changes, auditor_email: auditorEmail })
+        .in('id', ids)
+        .eq('status', 'pending')
+        .select('id')
+
+      if (error) throw error
+      moved += (data || []).length
+    }
+    return moved
+  }
+}
+
+window.QaCapacity = QaCapacity
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QaCapacity
+}
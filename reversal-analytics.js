@@ -0,0 +1,341 @@
+/**
+ * Reversal Analytics
+ *
+ * Overturn rates of reversals by auditor, by disputed parameter and by the
+ * agent's Team Lead, the median time reversals spend in each workflow state,
+ * and weekly trends. Built from reversal_requests, their
+ * reversal_workflow_states history and reversal_change_log, with the audit
+ * rows for the auditor and users.team_supervisor for the Team Lead.
+ *
+ * A reversal is overturned when QC approved it (in full or for some of its
+ * parameters) and upheld when QC or the Team Lead rejected it; reversals
+ * still under review count towards volumes but not towards rates.
+ *
+ * Used by the analytics panel of reversal.html.
+ */
+
+// Supabase limit for .in() filters
+const ANALYTICS_BATCH_SIZE = 100
+
+const ANALYTICS_OUTCOMES = {
+  OVERTURNED: 'overturned',
+  UPHELD: 'upheld',
+  PENDING: 'pending'
+}
+
+// States a reversal waits in; the pass-through states are left out
+const ANALYTICS_TIMED_STATES = [
+  'team_lead_review',
+  'qa_review',
+  'cqc_review',
+  'cqc_sent_back',
+  'agent_re_review',
+  'team_lead_rejected',
+  'approved',
+  'rejected'
+]
+
+// Rows of a table whose column is in values, in batches
+async function selectAnalyticsRows(table, columns, column, values) {
+  const rows = []
+  for (let i = 0; i < values.length; i += ANALYTICS_BATCH_SIZE) {
+    const { data, error } = await window.supabaseClient
+      .from(table)
+      .select(columns)
+      .in(column, values.slice(i, i + ANALYTICS_BATCH_SIZE))
+    if (error) throw error
+    rows.push(...(data || []))
+  }
+  return rows
+}
+
+function normalizeAnalyticsEmail(email) {
+  return (email || '').toLowerCase().trim()
+}
+
+const ReversalAnalytics = {
+  OUTCOMES: ANALYTICS_OUTCOMES,
+  TIMED_STATES: ANALYTICS_TIMED_STATES,
+
+  /**
+   * Monday 00:00 of the week a date falls in
+   * @param {Date|string} date
+   * @returns {Date}
+   */
+  getWeekStart(date) {
+    const weekStart = new Date(date)
+    const day = weekStart.getDay()
+    weekStart.setDate(weekStart.getDate() + (day === 0 ? -6 : 1 - day))
+    weekStart.setHours(0, 0, 0, 0)
+    return weekStart
+  },
+
+  /**
+   * Outcome of a reversal from its state history
+   * @param {Array} states - reversal_workflow_states rows of the reversal
+   * @param {Object} request - reversal_requests row, for reversals decided before the workflow tables
+   * @returns {string} ANALYTICS_OUTCOMES value
+   */
+  getOutcome(states, request) {
+    const visited = new Set((states || []).map(state => state.state))
+    if (visited.has('approved')) return ANALYTICS_OUTCOMES.OVERTURNED
+    if (visited.has('rejected') || visited.has('team_lead_rejected')) return ANALYTICS_OUTCOMES.UPHELD
+    if (request && request.final_decision === 'approved') return ANALYTICS_OUTCOMES.OVERTURNED
+    if (request && request.final_decision === 'rejected') return ANALYTICS_OUTCOMES.UPHELD
+    return ANALYTICS_OUTCOMES.PENDING
+  },
+
+  /**
+   * Time spent in each state a reversal has left
+   * @param {Array} states - reversal_workflow_states rows of one reversal
+   * @returns {Array<{state: string, ms: number}>}
+   */
+  getStateDurations(states) {
+    const exitedAt = new Map()
+    ;(states || []).forEach(state => {
+      if (state.previous_state_id) exitedAt.set(state.previous_state_id, state.entered_at)
+    })
+
+    return (states || [])
+      .filter(state => ANALYTICS_TIMED_STATES.includes(state.state) && exitedAt.has(state.id))
+      .map(state => ({ state: state.state, ms: new Date(exitedAt.get(state.id)) - new Date(state.entered_at) }))
+      .filter(duration => duration.ms >= 0)
+  },
+
+  /**
+   * Reversals requested in a period, with everything the reports need
+   * @param {Object} range
+   * @param {Date|string} range.from
+   * @param {Date|string} range.to
+   * @returns {Promise<Array<Object>>} { id, auditId, tableName, requestedAt, agentName, agentEmail,
+   *   auditorName, auditorEmail, teamLead, outcome, scoreChange, parameters: [{ label, overturned }], durations }
+   */
+  async load({ from, to }) {
+    const { data: requests, error } = await window.supabaseClient
+      .from('reversal_requests')
+      .select('*')
+      .gte('requested_at', new Date(from).toISOString())
+      .lte('requested_at', new Date(to).toISOString())
+      .order('requested_at', { ascending: true })
+
+    if (error) throw error
+    if (!requests || requests.length === 0) return []
+
+    const requestIds = requests.map(request => request.id)
+    const auditIds = [...new Set(requests.map(request => request.audit_id))]
+    const [states, changeLogs] = await Promise.all([
+      selectAnalyticsRows('reversal_workflow_states', 'id, reversal_request_id, state, entered_at, previous_state_id', 'reversal_request_id', requestIds),
+      selectAnalyticsRows('reversal_change_log', 'audit_id, scorecard_table_name, reversal_responded_at, score_change, parameter_decisions', 'audit_id', auditIds)
+    ])
+
+    const statesByRequest = new Map()
+    states.forEach(state => {
+      if (!statesByRequest.has(state.reversal_request_id)) statesByRequest.set(state.reversal_request_id, [])
+      statesByRequest.get(state.reversal_request_id).push(state)
+    })
+
+    // Latest decision per audit
+    const changeLogByAudit = new Map()
+    changeLogs.forEach(log => {
+      const key = `${log.scorecard_table_name}:${log.audit_id}`
+      const previous = changeLogByAudit.get(key)
+      if (!previous || new Date(log.reversal_responded_at) > new Date(previous.reversal_responded_at)) {
+        changeLogByAudit.set(key, log)
+      }
+    })
+
+    // Audits, per scorecard table, for the auditor and the agent
+    const auditIdsByTable = new Map()
+    requests.forEach(request => {
+      if (!auditIdsByTable.has(request.scorecard_table_name)) auditIdsByTable.set(request.scorecard_table_name, [])
+      auditIdsByTable.get(request.scorecard_table_name).push(request.audit_id)
+    })
+    const auditsByKey = new Map()
+    await Promise.all([...auditIdsByTable.entries()].map(async ([tableName, ids]) => {
+      try {
+        const audits = await selectAnalyticsRows(tableName, 'id, employee_name, employee_email, auditor_name, auditor_email', 'id', [...new Set(ids)])
+        audits.forEach(audit => auditsByKey.set(`${tableName}:${audit.id}`, audit))
+      } catch (auditError) {
+        console.warn(`Could not load audits from ${tableName}:`, auditError)
+      }
+    }))
+
+    // Team Lead of each agent, by name where the Team Lead is a user
+    const employeeEmails = [...new Set([...auditsByKey.values()].map(audit => normalizeAnalyticsEmail(audit.employee_email)).filter(Boolean))]
+    const employees = employeeEmails.length > 0 ? await selectAnalyticsRows('users', 'email, team_supervisor', 'email', employeeEmails) : []
+    const teamLeadByEmployee = new Map(employees.map(user => [normalizeAnalyticsEmail(user.email), normalizeAnalyticsEmail(user.team_supervisor)]))
+    const teamLeadEmails = [...new Set([...teamLeadByEmployee.values()].filter(Boolean))]
+    const teamLeads = teamLeadEmails.length > 0 ? await selectAnalyticsRows('users', 'email, name', 'email', teamLeadEmails) : []
+    const teamLeadNames = new Map(teamLeads.map(user => [normalizeAnalyticsEmail(user.email), user.name]))
+
+    return requests.map(request => {
+      const key = `${request.scorecard_table_name}:${request.audit_id}`
+      const audit = auditsByKey.get(key) || {}
+      const changeLog = changeLogByAudit.get(key) || null
+      const requestStates = statesByRequest.get(request.id) || []
+      const outcome = this.getOutcome(requestStates, request)
+      const teamLeadEmail = teamLeadByEmployee.get(normalizeAnalyticsEmail(audit.employee_email)) || ''
+
+      // Per-parameter decisions where QC made them, otherwise the disputed parameters share the outcome
+      const parameterDecisions = (changeLog && Array.isArray(changeLog.parameter_decisions) && changeLog.parameter_decisions) ||
+        (Array.isArray(request.parameter_decisions) && request.parameter_decisions) || null
+      const parameters = parameterDecisions
+        ? parameterDecisions.map(entry => ({ label: entry.parameter_label || entry.parameter_key, overturned: entry.decision === 'accepted' }))
+        : (request.metrics_parameters || '').split(',').map(label => label.trim()).filter(Boolean)
+          .map(label => ({ label, overturned: outcome === ANALYTICS_OUTCOMES.OVERTURNED }))
+
+      return {
+        id: request.id,
+        auditId: request.audit_id,
+        tableName: request.scorecard_table_name,
+        requestedAt: request.requested_at,
+        agentName: audit.employee_name || request.requested_by_name || '',
+        agentEmail: normalizeAnalyticsEmail(audit.employee_email || request.requested_by_email),
+        auditorName: audit.auditor_name || '',
+        auditorEmail: normalizeAnalyticsEmail(audit.auditor_email),
+        teamLead: teamLeadEmail ? (teamLeadNames.get(teamLeadEmail) || teamLeadEmail) : '',
+        outcome,
+        scoreChange: changeLog && outcome === ANALYTICS_OUTCOMES.OVERTURNED ? parseFloat(changeLog.score_change) || 0 : null,
+        parameters,
+        durations: this.getStateDurations(requestStates)
+      }
+    })
+  },
+
+  /**
+   * Overturn rate per group, highest rate first
+   * @param {Array} records - load() records
+   * @param {Function} getGroup - record => group name, or an array of { label, overturned } for per-parameter groups
+   * @returns {Array<{group: string, total: number, decided: number, overturned: number, rate: number|null}>}
+   */
+  groupOverturnRates(records, getGroup) {
+    const groups = new Map()
+    const add = (group, outcome) => {
+      const name = group || 'Unknown'
+      if (!groups.has(name)) groups.set(name, { group: name, total: 0, decided: 0, overturned: 0, rate: null })
+      const row = groups.get(name)
+      row.total++
+      if (outcome !== ANALYTICS_OUTCOMES.PENDING) row.decided++
+      if (outcome === ANALYTICS_OUTCOMES.OVERTURNED) row.overturned++
+    }
+
+    ;(records || []).forEach(record => {
+      const group = getGroup(record)
+      if (Array.isArray(group)) {
+        group.forEach(item => add(item.label, record.outcome === ANALYTICS_OUTCOMES.PENDING
+          ? ANALYTICS_OUTCOMES.PENDING
+          : (item.overturned ? ANALYTICS_OUTCOMES.OVERTURNED : ANALYTICS_OUTCOMES.UPHELD)))
+      } else {
+        add(group, record.outcome)
+      }
+    })
+
+    return [...groups.values()]
+      .map(row => ({ ...row, rate: row.decided > 0 ? row.overturned / row.decided : null }))
+      .sort((a, b) => (b.rate ?? -1) - (a.rate ?? -1) || b.total - a.total)
+  },
+
+  /**
+   * @param {Array} records
+   * @returns {Array} groupOverturnRates() rows per auditor
+   */
+  byAuditor(records) {
+    return this.groupOverturnRates(records, record => record.auditorName || record.auditorEmail)
+  },
+
+  /**
+   * @param {Array} records
+   * @returns {Array} groupOverturnRates() rows per disputed parameter
+   */
+  byParameter(records) {
+    return this.groupOverturnRates(records, record => record.parameters)
+  },
+
+  /**
+   * @param {Array} records
+   * @returns {Array} groupOverturnRates() rows per Team Lead of the agent
+   */
+  byTeamLead(records) {
+    return this.groupOverturnRates(records, record => record.teamLead)
+  },
+
+  /**
+   * Median of some numbers
+   * @param {Array<number>} values
+   * @returns {number|null}
+   */
+  median(values) {
+    if (!values || values.length === 0) return null
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+  },
+
+  /**
+   * Median time in each workflow state, in workflow order
+   * @param {Array} records
+   * @returns {Array<{state: string, count: number, medianMs: number}>}
+   */
+  stateMedians(records) {
+    const durationsByState = new Map()
+    ;(records || []).forEach(record => {
+      record.durations.forEach(duration => {
+        if (!durationsByState.has(duration.state)) durationsByState.set(duration.state, [])
+        durationsByState.get(duration.state).push(duration.ms)
+      })
+    })
+
+    return ANALYTICS_TIMED_STATES
+      .filter(state => durationsByState.has(state))
+      .map(state => ({ state, count: durationsByState.get(state).length, medianMs: this.median(durationsByState.get(state)) }))
+  },
+
+  /**
+   * Requests and overturn rate per week, oldest first; weeks without reversals are included
+   * @param {Array} records
+   * @param {Date} from - any day of the first week
+   * @param {Date} to - any day of the last week
+   * @returns {Array<{weekStart: Date, total: number, decided: number, overturned: number, rate: number|null}>}
+   */
+  weeklyTrend(records, from, to) {
+    const weeks = []
+    // Step by calendar days: a week across a DST change isn't 7 * 24 hours long
+    for (let weekStart = this.getWeekStart(from); weekStart <= to; weekStart = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7)) {
+      weeks.push({ weekStart, total: 0, decided: 0, overturned: 0, rate: null })
+    }
+
+    ;(records || []).forEach(record => {
+      const weekStart = this.getWeekStart(record.requestedAt).getTime()
+      const week = weeks.find(w => w.weekStart.getTime() === weekStart)
+      if (!week) return
+      week.total++
+      if (record.outcome !== ANALYTICS_OUTCOMES.PENDING) week.decided++
+      if (record.outcome === ANALYTICS_OUTCOMES.OVERTURNED) week.overturned++
+    })
+
+    return weeks.map(week => ({ ...week, rate: week.decided > 0 ? week.overturned / week.decided : null }))
+  },
+
+  /**
+   * CSV of the report: one section per table, separated by a blank line
+   * @param {Array<{title: string, headers: Array<string>, rows: Array<Array>}>} sections
+   * @returns {string}
+   */
+  toCsv(sections) {
+    const escapeCell = value => `"${String(value ?? '').replace(/"/g, '""')}"`
+    return sections
+      .map(section => [
+        escapeCell(section.title),
+        section.headers.map(escapeCell).join(','),
+        ...section.rows.map(row => row.map(escapeCell).join(','))
+      ].join('\n'))
+      .join('\n\n')
+  }
+}
+
+window.ReversalAnalytics = ReversalAnalytics
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReversalAnalytics
+}
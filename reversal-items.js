@@ -0,0 +1,166 @@
+/**
+ * Reversal Items
+ *
+ * Line items of a reversal: every parameter the agent disputes (an entry of
+ * the audit's parameter_comments) is decided on its own. QC accepts or
+ * rejects each item with a justification; only accepted items keep QC's
+ * corrected values, everything else is scored at its value from before the
+ * reversal. The reversal as a whole is approved when at least one item is
+ * accepted.
+ *
+ * Decisions are stored per parameter in reversal_change_log and on the
+ * reversal request (parameter_decisions). Used by audit-view.html and
+ * edit-audit.html.
+ */
+
+const REVERSAL_ITEM_DECISIONS = {
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected'
+}
+
+const ReversalItems = {
+  DECISIONS: REVERSAL_ITEM_DECISIONS,
+
+  /**
+   * Agent's comment on a parameter, from either stored format:
+   * { comment: '...' } or { comments: ['...', '...'] }
+   * @param {Object|string} fieldComment
+   * @returns {string}
+   */
+  getComment(fieldComment) {
+    if (!fieldComment) return ''
+    if (typeof fieldComment === 'string') return fieldComment.trim()
+    if (fieldComment.comment && fieldComment.comment.trim()) return fieldComment.comment.trim()
+    if (Array.isArray(fieldComment.comments)) {
+      return fieldComment.comments.filter(c => c && c.trim()).join('\n')
+    }
+    return ''
+  },
+
+  /**
+   * Line items of a reversal, in scorecard order
+   * @param {Object|string} parameterComments - audit parameter_comments
+   * @param {Array} fields - error fields of the audit ({ key, label })
+   * @returns {Array<{key: string, label: string, agentComment: string}>}
+   */
+  fromParameterComments(parameterComments, fields) {
+    let comments = parameterComments || {}
+    if (typeof comments === 'string') {
+      try {
+        comments = JSON.parse(comments)
+      } catch {
+        comments = {}
+      }
+    }
+
+    return (fields || [])
+      .map(field => ({ key: field.key, label: field.label || field.key, agentComment: this.getComment(comments[field.key]) }))
+      .filter(item => item.agentComment)
+  },
+
+  /**
+   * Check that every item has a decision and a justification
+   * @param {Array} items - fromParameterComments() items
+   * @param {Object} decisions - { [key]: { decision, justification } }
+   * @returns {{valid: boolean, message?: string, key?: string}}
+   */
+  validate(items, decisions) {
+    for (const item of items || []) {
+      const itemDecision = (decisions || {})[item.key] || {}
+      if (!Object.values(REVERSAL_ITEM_DECISIONS).includes(itemDecision.decision)) {
+        return { valid: false, key: item.key, message: `Accept or reject "${item.label}".` }
+      }
+      if (!itemDecision.justification || !itemDecision.justification.trim()) {
+        return { valid: false, key: item.key, message: `A justification is required for "${item.label}".` }
+      }
+    }
+    return { valid: true }
+  },
+
+  /**
+   * Keys of the accepted items
+   * @param {Array} items
+   * @param {Object} decisions - { [key]: { decision, justification } }
+   * @returns {Array<string>}
+   */
+  getAcceptedKeys(items, decisions) {
+    return (items || [])
+      .filter(item => ((decisions || {})[item.key] || {}).decision === REVERSAL_ITEM_DECISIONS.ACCEPTED)
+      .map(item => item.key)
+  },
+
+  /**
+   * Decision on the reversal as a whole
+   * @param {Array} items
+   * @param {Object} decisions
+   * @returns {string} 'approved' when any item is accepted, otherwise 'rejected'
+   */
+  getOverallDecision(items, decisions) {
+    return this.getAcceptedKeys(items, decisions).length > 0 ? 'approved' : 'rejected'
+  },
+
+  /**
+   * Parameter values to score: the values from before the reversal, as they
+   * were stored, with the current (QC-corrected) value for accepted items only
+   * @param {Object} originalValues - { [key]: number } from before the reversal
+   * @param {Object} currentValues - { [key]: number } from the form
+   * @param {Array} items
+   * @param {Object} decisions
+   * @returns {Object} { [key]: number }
+   */
+  applyDecisions(originalValues, currentValues, items, decisions) {
+    const original = originalValues || {}
+    const accepted = new Set(this.getAcceptedKeys(items, decisions))
+    const values = { ...(currentValues || {}) }
+
+    Object.keys(values).forEach(key => {
+      if (!accepted.has(key) && Object.prototype.hasOwnProperty.call(original, key)) {
+        values[key] = original[key]
+      }
+    })
+    return values
+  },
+
+  /**
+   * parameter_decisions entries for reversal_change_log and reversal_requests
+   * @param {Array} items
+   * @param {Object} decisions
+   * @param {Object} originalValues
+   * @param {Object} scoredValues - applyDecisions() result
+   * @returns {Array<Object>}
+   */
+  buildDecisionEntries(items, decisions, originalValues, scoredValues) {
+    return (items || []).map(item => {
+      const itemDecision = (decisions || {})[item.key] || {}
+      return {
+        parameter_key: item.key,
+        parameter_label: item.label,
+        agent_comment: item.agentComment,
+        decision: itemDecision.decision,
+        justification: (itemDecision.justification || '').trim(),
+        original_value: parseInt((originalValues || {})[item.key]) || 0,
+        new_value: parseInt((scoredValues || {})[item.key]) || 0
+      }
+    })
+  },
+
+  /**
+   * Accepted and rejected counts of stored parameter_decisions
+   * @param {Array} entries
+   * @returns {{accepted: number, rejected: number}}
+   */
+  count(entries) {
+    const list = Array.isArray(entries) ? entries : []
+    return {
+      accepted: list.filter(entry => entry.decision === REVERSAL_ITEM_DECISIONS.ACCEPTED).length,
+      rejected: list.filter(entry => entry.decision === REVERSAL_ITEM_DECISIONS.REJECTED).length
+    }
+  }
+}
+
+window.ReversalItems = ReversalItems
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReversalItems
+}
@@ -0,0 +1,307 @@
+/**
+ * Reversal SLA
+ *
+ * Time limits for the stages of a reversal, configured in
+ * `reversal_sla_policies` per scorecard, per channel, both or as the default.
+ * audit-view.html shows how long the current stage has left, reversal.html
+ * lists the policies (admins can edit them) and the breach report.
+ *
+ * Breaches are acted on by the reversal-sla-monitor edge function, which runs
+ * on a schedule and records what it did in `reversal_sla_breaches`. It keeps
+ * its own copy of getStage() and resolvePolicy() below; change both together.
+ */
+
+const SLA_STAGES = {
+  TEAM_LEAD_REVIEW: 'team_lead_review',
+  QA_REVIEW: 'qa_review',
+  ACKNOWLEDGEMENT: 'acknowledgement'
+}
+
+const SLA_STAGE_LABELS = {
+  team_lead_review: 'Team Lead Review',
+  qa_review: 'QC Review',
+  acknowledgement: 'Agent Acknowledgement'
+}
+
+// Workflow states (see reversal-workflow.js) -> SLA stage whose clock runs in them
+const SLA_STAGE_BY_STATE = {
+  pending: 'team_lead_review',
+  team_lead_review: 'team_lead_review',
+  team_lead_approved: 'qa_review',
+  qa_review: 'qa_review',
+  cqc_review: 'qa_review',
+  team_lead_rejected: 'acknowledgement',
+  approved: 'acknowledgement',
+  rejected: 'acknowledgement'
+}
+
+// Who a breached stage is escalated to
+const SLA_ESCALATION_LABELS = {
+  team_lead_review: 'QC',
+  qa_review: 'CQC',
+  acknowledgement: "the agent's Team Lead"
+}
+
+// Decisions allowed at hard expiry, by stage (mirrors the table's CHECK)
+const SLA_AUTO_DECISIONS = {
+  team_lead_review: ['approved', 'rejected'],
+  qa_review: ['rejected'],
+  acknowledgement: ['acknowledged']
+}
+
+const SLA_HOUR_MS = 60 * 60 * 1000
+
+const ReversalSla = {
+  STAGES: SLA_STAGES,
+  STAGE_LABELS: SLA_STAGE_LABELS,
+  ESCALATION_LABELS: SLA_ESCALATION_LABELS,
+  AUTO_DECISIONS: SLA_AUTO_DECISIONS,
+
+  /**
+   * SLA stage of a workflow state, or null when no clock runs in it
+   * @param {string} workflowState
+   * @returns {string|null}
+   */
+  getStage(workflowState) {
+    return SLA_STAGE_BY_STATE[workflowState] || null
+  },
+
+  /**
+   * SLA policies, defaults first
+   * @param {Object} [options]
+   * @param {boolean} [options.activeOnly]
+   * @returns {Promise<Array>}
+   */
+  async listPolicies({ activeOnly = false } = {}) {
+    let query = window.supabaseClient
+      .from('reversal_sla_policies')
+      .select('*')
+      .order('scorecard_id', { ascending: true, nullsFirst: true })
+      .order('channel', { ascending: true, nullsFirst: true })
+      .order('stage', { ascending: true })
+
+    if (activeOnly) query = query.eq('is_active', true)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Create or update a policy
+   * @param {Object} policy - reversal_sla_policies fields, with id to update
+   * @returns {Promise<Object>} stored policy
+   */
+  async savePolicy(policy) {
+    const row = {
+      scorecard_id: policy.scorecard_id || null,
+      channel: policy.channel || null,
+      stage: policy.stage,
+      sla_hours: parseFloat(policy.sla_hours),
+      escalate: policy.escalate !== false,
+      hard_expiry_hours: policy.hard_expiry_hours ? parseFloat(policy.hard_expiry_hours) : null,
+      auto_decision: policy.auto_decision || null,
+      is_active: policy.is_active !== false
+    }
+
+    if (row.auto_decision && !(SLA_AUTO_DECISIONS[row.stage] || []).includes(row.auto_decision)) {
+      throw new Error(`"${row.auto_decision}" is not an automatic decision for ${SLA_STAGE_LABELS[row.stage] || row.stage}.`)
+    }
+    if (row.auto_decision && !row.hard_expiry_hours) {
+      throw new Error('An automatic decision needs a hard expiry.')
+    }
+    if (row.hard_expiry_hours && row.hard_expiry_hours <= row.sla_hours) {
+      throw new Error('The hard expiry must be later than the SLA.')
+    }
+
+    const query = policy.id
+      ? window.supabaseClient.from('reversal_sla_policies').update({ ...row, updated_at: new Date().toISOString() }).eq('id', policy.id)
+      : window.supabaseClient.from('reversal_sla_policies').insert([{ ...row, created_by: policy.created_by || null }])
+
+    const { data, error } = await query.select().single()
+    if (error) throw error
+    return data
+  },
+
+  /**
+   * Delete a policy
+   * @param {string} policyId
+   */
+  async removePolicy(policyId) {
+    const { error } = await window.supabaseClient
+      .from('reversal_sla_policies')
+      .delete()
+      .eq('id', policyId)
+
+    if (error) throw error
+  },
+
+  /**
+   * Most specific active policy for a stage: scorecard and channel, then
+   * scorecard, then channel, then the default
+   * @param {Array} policies
+   * @param {Object} scope
+   * @param {string} scope.stage
+   * @param {string} [scope.scorecardId]
+   * @param {string} [scope.channel]
+   * @returns {Object|null}
+   */
+  resolvePolicy(policies, { stage, scorecardId, channel }) {
+    const normalizedChannel = (channel || '').toLowerCase().trim()
+    let best = null
+    let bestRank = -1
+
+    ;(policies || []).forEach(policy => {
+      if (!policy.is_active || policy.stage !== stage) return
+      if (policy.scorecard_id && policy.scorecard_id !== scorecardId) return
+      if (policy.channel && policy.channel.toLowerCase().trim() !== normalizedChannel) return
+
+      const rank = (policy.scorecard_id ? 2 : 0) + (policy.channel ? 1 : 0)
+      if (rank > bestRank) {
+        best = policy
+        bestRank = rank
+      }
+    })
+    return best
+  },
+
+  /**
+   * When the reversal entered the SLA stage of its current state. Consecutive
+   * states of the same stage (qa_review -> cqc_review) share one clock.
+   * @param {Array} states - reversal_workflow_states rows of one reversal request
+   * @param {Object} currentState - the is_current row
+   * @returns {string|null} ISO timestamp
+   */
+  getStageEnteredAt(states, currentState) {
+    const stage = currentState ? this.getStage(currentState.state) : null
+    if (!stage) return null
+
+    const statesById = new Map((states || []).map(state => [state.id, state]))
+    let enteredAt = currentState.entered_at
+    let previous = statesById.get(currentState.previous_state_id)
+    while (previous && this.getStage(previous.state) === stage) {
+      enteredAt = previous.entered_at
+      previous = statesById.get(previous.previous_state_id)
+    }
+    return enteredAt
+  },
+
+  /**
+   * Deadlines of a stage under a policy
+   * @param {Object} policy
+   * @param {string} stageEnteredAt - ISO timestamp
+   * @param {Date} [now]
+   * @returns {{dueAt: Date, expiresAt: Date|null, remainingMs: number, isBreached: boolean, isExpired: boolean}}
+   */
+  evaluate(policy, stageEnteredAt, now = new Date()) {
+    const enteredAt = new Date(stageEnteredAt).getTime()
+    const dueAt = new Date(enteredAt + parseFloat(policy.sla_hours) * SLA_HOUR_MS)
+    const expiresAt = policy.hard_expiry_hours ? new Date(enteredAt + parseFloat(policy.hard_expiry_hours) * SLA_HOUR_MS) : null
+    return {
+      dueAt,
+      expiresAt,
+      remainingMs: dueAt - now,
+      isBreached: now >= dueAt,
+      isExpired: !!expiresAt && now >= expiresAt
+    }
+  },
+
+  /**
+   * SLA of the stage an audit's reversal is in
+   * @param {Object} audit - audit row
+   * @param {string} tableName - scorecard table of the audit
+   * @returns {Promise<Object|null>} { stage, policy, stageEnteredAt, ...evaluate() }, null without a running clock
+   */
+  async getStatusForAudit(audit, tableName) {
+    const reversalRequest = await ReversalWorkflow.getRequestForAudit(audit.id, tableName)
+    const currentState = await ReversalWorkflow.getCurrentState(reversalRequest)
+    const stage = currentState ? this.getStage(currentState.state) : null
+    if (!stage) return null
+
+    const [{ data: states, error: statesError }, { data: scorecard, error: scorecardError }, policies] = await Promise.all([
+      window.supabaseClient
+        .from('reversal_workflow_states')
+        .select('id, state, entered_at, previous_state_id')
+        .eq('reversal_request_id', reversalRequest.id),
+      window.supabaseClient
+        .from('scorecards')
+        .select('id')
+        .eq('table_name', tableName)
+        .maybeSingle(),
+      this.listPolicies({ activeOnly: true })
+    ])
+
+    if (statesError) throw statesError
+    if (scorecardError) throw scorecardError
+
+    const policy = this.resolvePolicy(policies, { stage, scorecardId: scorecard?.id, channel: audit.channel })
+    if (!policy) return null
+
+    const stageEnteredAt = this.getStageEnteredAt(states, currentState)
+    return { stage, policy, stageEnteredAt, ...this.evaluate(policy, stageEnteredAt) }
+  },
+
+  /**
+   * Breaches and expiries recorded by the monitor, newest first
+   * @param {Object} [range]
+   * @param {string} [range.from] - ISO timestamp
+   * @param {string} [range.to] - ISO timestamp
+   * @returns {Promise<Array>} rows with their reversal_requests row embedded
+   */
+  async listBreaches({ from, to } = {}) {
+    let query = window.supabaseClient
+      .from('reversal_sla_breaches')
+      .select('*, reversal_requests(id, audit_id, scorecard_table_name, requested_by_name, requested_by_email, requested_at)')
+      .order('detected_at', { ascending: false })
+
+    if (from) query = query.gte('detected_at', from)
+    if (to) query = query.lte('detected_at', to)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Totals for the breach report
+   * @param {Array} breaches - listBreaches() rows
+   * @returns {{breaches: number, expiries: number, escalated: number, autoDecided: number, notificationFailures: number, byStage: Object}}
+   */
+  summarize(breaches) {
+    const summary = { breaches: 0, expiries: 0, escalated: 0, autoDecided: 0, notificationFailures: 0, byStage: {} }
+    Object.values(SLA_STAGES).forEach(stage => {
+      summary.byStage[stage] = { breaches: 0, expiries: 0 }
+    })
+
+    ;(breaches || []).forEach(breach => {
+      const key = breach.kind === 'expiry' ? 'expiries' : 'breaches'
+      summary[key]++
+      if (summary.byStage[breach.stage]) summary.byStage[breach.stage][key]++
+      if (breach.escalated_to_state) summary.escalated++
+      if (breach.auto_decision) summary.autoDecided++
+      if (breach.notification_error) summary.notificationFailures++
+    })
+    return summary
+  },
+
+  /**
+   * Short duration for SLA labels, e.g. "2d 3h", "5h 12m", "8m"
+   * @param {number} ms
+   * @returns {string}
+   */
+  formatDuration(ms) {
+    const minutes = Math.max(0, Math.floor(Math.abs(ms) / 60000))
+    const days = Math.floor(minutes / 1440)
+    const hours = Math.floor((minutes % 1440) / 60)
+    if (days > 0) return `${days}d ${hours}h`
+    if (hours > 0) return `${hours}h ${minutes % 60}m`
+    return `${minutes}m`
+  }
+}
+
+window.ReversalSla = ReversalSla
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReversalSla
+}
@@ -0,0 +1,492 @@
+/**
+ * Reversal Workflow
+ *
+ * State machine for reversal requests. The current state of a reversal is the
+ * `is_current` row of `reversal_workflow_states` that reversal_requests
+ * .current_state_id points to; every change of state goes through
+ * transition(), which checks it against the transition table before writing
+ * anything, and writes it with the transition_reversal_state() database
+ * function so the whole move is one locked transaction.
+ *
+ * A transition lists the roles allowed to perform it and its side effects:
+ * the acknowledgement_status written to the audit row, the audit_activity_log
+ * activity type, and whether it is the final decision on the reversal. Some
+ * states are only passed through: entering them moves on to `next` straight
+ * away (submitted -> team_lead_review, team_lead_approved -> qa_review), so
+ * the history keeps the step without leaving the reversal parked there.
+ *
+ * The system role is used by the reversal SLA monitor (see reversal-sla.js):
+ * it escalates overdue reviews to the next role in the chain and takes the
+ * configured auto-decision once a stage hard-expires.
+ *
+ * resolveState() also covers audits from before the workflow tables, whose
+ * state can only be read from acknowledgement_status and reversal_approved.
+ *
+ * Used by audit-view.html, edit-audit.html, reversal.html and load-sidebar.js.
+ */
+
+const REVERSAL_STATES = {
+  SUBMITTED: 'submitted',
+  TEAM_LEAD_REVIEW: 'team_lead_review',
+  TEAM_LEAD_APPROVED: 'team_lead_approved',
+  TEAM_LEAD_REJECTED: 'team_lead_rejected',
+  QA_REVIEW: 'qa_review',
+  CQC_REVIEW: 'cqc_review',
+  CQC_SENT_BACK: 'cqc_sent_back',
+  AGENT_RE_REVIEW: 'agent_re_review',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  ACKNOWLEDGED: 'acknowledged',
+  // Audits from before the workflow tables, no decision yet
+  PENDING: 'pending'
+}
+
+const REVERSAL_ROLES = {
+  AGENT: 'agent',
+  TEAM_LEAD: 'team_lead',
+  QA: 'qa',
+  SYSTEM: 'system'
+}
+
+const REVERSAL_ROLE_LABELS = {
+  agent: 'the audited employee',
+  team_lead: 'Team Leads or Team Supervisors',
+  qa: 'users with team "QC" and role "Super Admin"',
+  system: 'the system'
+}
+
+const REVERSAL_STATE_LABELS = {
+  submitted: 'Submitted',
+  team_lead_review: 'Team Lead Review',
+  team_lead_approved: 'Team Lead Approved',
+  team_lead_rejected: 'Team Lead Rejected',
+  qa_review: 'QC Review',
+  cqc_review: 'CQC Review',
+  cqc_sent_back: 'Sent Back by CQC',
+  agent_re_review: 'Agent Re-review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  acknowledged: 'Acknowledged',
+  pending: 'Pending'
+}
+
+// States in which the reversal still waits for someone to act
+const PENDING_REVERSAL_STATES = [
+  'pending',
+  'submitted',
+  'team_lead_review',
+  'team_lead_approved',
+  'qa_review',
+  'cqc_review',
+  'cqc_sent_back',
+  'agent_re_review'
+]
+
+const FINAL_REVERSAL_STATES = ['approved', 'rejected', 'acknowledged']
+
+const TEAM_LEAD_APPROVE_TRANSITION = {
+  to: REVERSAL_STATES.TEAM_LEAD_APPROVED,
+  roles: [REVERSAL_ROLES.TEAM_LEAD, REVERSAL_ROLES.SYSTEM],
+  action: 'team_lead_review',
+  decision: 'approved',
+  acknowledgementStatus: 'pending - qa_review',
+  activityType: 'reversal_team_lead_approved',
+  next: REVERSAL_STATES.QA_REVIEW
+}
+
+const TEAM_LEAD_REJECT_TRANSITION = {
+  to: REVERSAL_STATES.TEAM_LEAD_REJECTED,
+  roles: [REVERSAL_ROLES.TEAM_LEAD, REVERSAL_ROLES.SYSTEM],
+  action: 'team_lead_review',
+  decision: 'rejected',
+  acknowledgementStatus: 'pending - team_lead_rejected',
+  activityType: 'reversal_team_lead_rejected'
+}
+
+const QA_APPROVE_TRANSITION = {
+  to: REVERSAL_STATES.APPROVED,
+  roles: [REVERSAL_ROLES.QA],
+  action: 'qa_review',
+  decision: 'approved',
+  acknowledgementStatus: 'pending - reversal_approved',
+  activityType: 'reversal_approved',
+  isFinalDecision: true
+}
+
+// QC approval is never automatic: it needs the audit parameters corrected
+const QA_REJECT_TRANSITION = {
+  to: REVERSAL_STATES.REJECTED,
+  roles: [REVERSAL_ROLES.QA, REVERSAL_ROLES.SYSTEM],
+  action: 'qa_review',
+  decision: 'rejected',
+  acknowledgementStatus: 'pending - reversal_rejected',
+  activityType: 'reversal_rejected',
+  isFinalDecision: true
+}
+
+const RESUBMIT_TRANSITION = {
+  to: REVERSAL_STATES.TEAM_LEAD_REVIEW,
+  roles: [REVERSAL_ROLES.AGENT],
+  action: 'resubmit',
+  acknowledgementStatus: 'pending - team_lead_review',
+  activityType: 'reversal_requested'
+}
+
+const ACKNOWLEDGE_TRANSITION = {
+  to: REVERSAL_STATES.ACKNOWLEDGED,
+  roles: [REVERSAL_ROLES.AGENT, REVERSAL_ROLES.SYSTEM],
+  action: 'acknowledge',
+  acknowledgementStatus: 'Acknowledged',
+  activityType: 'reversal_acknowledged'
+}
+
+// Team Lead review SLA breached: hand the reversal to QC
+const ESCALATE_TO_QA_TRANSITION = {
+  to: REVERSAL_STATES.QA_REVIEW,
+  roles: [REVERSAL_ROLES.SYSTEM],
+  action: 'escalate',
+  acknowledgementStatus: 'pending - qa_review',
+  activityType: 'reversal_sla_escalated'
+}
+
+// QC review SLA breached: hand the reversal to CQC
+const ESCALATE_TO_CQC_TRANSITION = {
+  to: REVERSAL_STATES.CQC_REVIEW,
+  roles: [REVERSAL_ROLES.SYSTEM],
+  action: 'escalate',
+  acknowledgementStatus: 'pending - cqc_review',
+  activityType: 'reversal_sla_escalated'
+}
+
+// from -> allowed transitions. null is a reversal request without any state yet.
+const REVERSAL_TRANSITIONS = {
+  null: [
+    { to: REVERSAL_STATES.SUBMITTED, roles: [REVERSAL_ROLES.AGENT], action: 'submit', acknowledgementStatus: 'pending - team_lead_review', activityType: 'reversal_requested', next: REVERSAL_STATES.TEAM_LEAD_REVIEW }
+  ],
+  submitted: [
+    { to: REVERSAL_STATES.TEAM_LEAD_REVIEW, roles: [REVERSAL_ROLES.SYSTEM], acknowledgementStatus: 'pending - team_lead_review' },
+    // Team Lead approval switched off (see checkTeamLeadApprovalRequired in edit-audit.html)
+    { to: REVERSAL_STATES.QA_REVIEW, roles: [REVERSAL_ROLES.SYSTEM], acknowledgementStatus: 'pending - qa_review' }
+  ],
+  team_lead_review: [TEAM_LEAD_APPROVE_TRANSITION, TEAM_LEAD_REJECT_TRANSITION, ESCALATE_TO_QA_TRANSITION],
+  pending: [TEAM_LEAD_APPROVE_TRANSITION, TEAM_LEAD_REJECT_TRANSITION, ESCALATE_TO_QA_TRANSITION],
+  // A Team Lead may reconsider a rejection; the agent may resubmit or accept it
+  team_lead_rejected: [TEAM_LEAD_APPROVE_TRANSITION, RESUBMIT_TRANSITION, ACKNOWLEDGE_TRANSITION],
+  // Rows written before it moved on to qa_review by itself take QC decisions too
+  team_lead_approved: [
+    { to: REVERSAL_STATES.QA_REVIEW, roles: [REVERSAL_ROLES.SYSTEM], acknowledgementStatus: 'pending - qa_review' },
+    QA_APPROVE_TRANSITION,
+    QA_REJECT_TRANSITION
+  ],
+  qa_review: [QA_APPROVE_TRANSITION, QA_REJECT_TRANSITION, ESCALATE_TO_CQC_TRANSITION],
+  cqc_review: [
+    QA_APPROVE_TRANSITION,
+    QA_REJECT_TRANSITION,
+    { to: REVERSAL_STATES.CQC_SENT_BACK, roles: [REVERSAL_ROLES.QA], action: 'send_back', acknowledgementStatus: 'pending - cqc_sent_back', activityType: 'reversal_sent_back' }
+  ],
+  cqc_sent_back: [RESUBMIT_TRANSITION],
+  agent_re_review: [RESUBMIT_TRANSITION],
+  approved: [ACKNOWLEDGE_TRANSITION],
+  rejected: [ACKNOWLEDGE_TRANSITION],
+  acknowledged: []
+}
+
+function isTruthyFlag(value) {
+  return value === true || value === 'true' || value === 1 || value === '1'
+}
+
+function isFalsyFlag(value) {
+  return value === false || value === 'false' || value === 0 || value === '0'
+}
+
+// The system role is never the one a user is told to ask for
+function describeRoles(roles) {
+  return roles.filter(role => role !== REVERSAL_ROLES.SYSTEM).map(role => REVERSAL_ROLE_LABELS[role] || role).join(' or ')
+}
+
+const ReversalWorkflow = {
+  STATES: REVERSAL_STATES,
+  ROLES: REVERSAL_ROLES,
+  PENDING_STATES: PENDING_REVERSAL_STATES,
+  FINAL_STATES: FINAL_REVERSAL_STATES,
+  TRANSITIONS: REVERSAL_TRANSITIONS,
+
+  /**
+   * Display label for a state
+   */
+  getStateLabel(state) {
+    return REVERSAL_STATE_LABELS[state] || state || 'Unknown'
+  },
+
+  /**
+   * Transitions defined out of a state
+   * @param {string|null} fromState
+   * @returns {Array<Object>}
+   */
+  getTransitions(fromState) {
+    return REVERSAL_TRANSITIONS[fromState == null ? 'null' : fromState] || []
+  },
+
+  /**
+   * Transition from one state to another, or null when the table has none
+   */
+  getTransition(fromState, toState) {
+    return this.getTransitions(fromState).find(transition => transition.to === toState) || null
+  },
+
+  /**
+   * Transition recording an approve/reject decision in a state
+   * @param {string} fromState
+   * @param {string} decision - 'approved' or 'rejected'
+   * @returns {Object|null}
+   */
+  getDecisionTransition(fromState, decision) {
+    return this.getTransitions(fromState).find(transition => transition.decision === decision) || null
+  },
+
+  /**
+   * Check a transition for a user holding some roles
+   * @param {string|null} fromState
+   * @param {string} toState
+   * @param {Array<string>} roles - REVERSAL_ROLES held by the user
+   * @returns {{allowed: boolean, transition: Object|null, message: string|null}}
+   */
+  checkTransition(fromState, toState, roles) {
+    const transition = this.getTransition(fromState, toState)
+    if (!transition) {
+      return {
+        allowed: false,
+        transition: null,
+        message: `A reversal in state "${this.getStateLabel(fromState)}" can't move to "${this.getStateLabel(toState)}".`
+      }
+    }
+    if (!transition.roles.some(role => (roles || []).includes(role))) {
+      return {
+        allowed: false,
+        transition,
+        message: `Only ${describeRoles(transition.roles)} can move a reversal from "${this.getStateLabel(fromState)}" to "${this.getStateLabel(toState)}".`
+      }
+    }
+    return { allowed: true, transition, message: null }
+  },
+
+  /**
+   * Check an approve/reject decision in a state
+   * @returns {{allowed: boolean, transition: Object|null, message: string|null}}
+   */
+  checkDecision(fromState, decision, roles) {
+    const transition = this.getDecisionTransition(fromState, decision)
+    if (!transition) {
+      const message = FINAL_REVERSAL_STATES.includes(fromState)
+        ? 'This reversal has already been processed.'
+        : `A reversal in state "${this.getStateLabel(fromState)}" can't be ${decision} at this stage.`
+      return { allowed: false, transition: null, message }
+    }
+    return this.checkTransition(fromState, transition.to, roles)
+  },
+
+  /**
+   * Current workflow state of a reversal or audit. Uses the state loaded
+   * from reversal_workflow_states (reversal_workflow_state) when there is
+   * one, otherwise derives it from the legacy audit columns.
+   * @param {Object} reversal - audit row or reversal list item
+   * @returns {string}
+   */
+  resolveState(reversal) {
+    const dbState = reversal.reversal_workflow_state
+    if (dbState) {
+      // Rows written before team_lead_approved moved on to qa_review by itself
+      if (dbState === REVERSAL_STATES.TEAM_LEAD_APPROVED) return REVERSAL_STATES.QA_REVIEW
+
+      // The audit row already holds the QC decision but the state row was never written
+      const respondedAt = reversal.reversal_responded_at || reversal.reversalRespondedAt
+      if ((dbState === REVERSAL_STATES.QA_REVIEW || dbState === REVERSAL_STATES.CQC_REVIEW) && respondedAt) {
+        if (isTruthyFlag(reversal.reversal_approved)) return REVERSAL_STATES.APPROVED
+        if (isFalsyFlag(reversal.reversal_approved)) return REVERSAL_STATES.REJECTED
+      }
+      return dbState
+    }
+
+    const ackStatus = (reversal.acknowledgement_status || reversal.acknowledgementStatus || '').toLowerCase()
+    if (ackStatus) {
+      const teamLeadApproved = isTruthyFlag(reversal.team_lead_approved) || isTruthyFlag(reversal.teamLeadApproved)
+      const teamLeadRejected = isFalsyFlag(reversal.team_lead_approved) || isFalsyFlag(reversal.teamLeadApproved)
+
+      if (teamLeadRejected || ackStatus.includes('team_lead_rejected')) return REVERSAL_STATES.TEAM_LEAD_REJECTED
+      // Team lead approved while acknowledgement_status still says team_lead_review
+      if (teamLeadApproved && (ackStatus === 'pending' || ackStatus.includes('team_lead_review'))) return REVERSAL_STATES.QA_REVIEW
+      if (ackStatus.includes('team_lead_review')) return REVERSAL_STATES.TEAM_LEAD_REVIEW
+      if (ackStatus.includes('qa_review') || ackStatus.includes('auditor_review')) return REVERSAL_STATES.QA_REVIEW
+      if (ackStatus.includes('cqc_review')) return REVERSAL_STATES.CQC_REVIEW
+      if (ackStatus.includes('cqc_sent_back')) return REVERSAL_STATES.CQC_SENT_BACK
+      if (ackStatus.includes('agent_re_review')) return REVERSAL_STATES.AGENT_RE_REVIEW
+      if (ackStatus.includes('reversal_approved')) return REVERSAL_STATES.APPROVED
+      if (ackStatus.includes('reversal_rejected')) return REVERSAL_STATES.REJECTED
+      if (ackStatus.includes('acknowledged')) return REVERSAL_STATES.ACKNOWLEDGED
+    }
+
+    const approved = reversal.reversal_approved
+    if (isTruthyFlag(approved)) return REVERSAL_STATES.APPROVED
+    if (isFalsyFlag(approved)) return REVERSAL_STATES.REJECTED
+    return REVERSAL_STATES.PENDING
+  },
+
+  /**
+   * Whether a reversal still needs action, including a decision the agent
+   * hasn't acknowledged yet
+   * @param {Object} reversal
+   * @returns {boolean}
+   */
+  isPending(reversal) {
+    if (PENDING_REVERSAL_STATES.includes(this.resolveState(reversal))) return true
+
+    // Legacy audits: approved by the Team Lead, no QC decision yet
+    const teamLeadApproved = isTruthyFlag(reversal.team_lead_approved) || isTruthyFlag(reversal.teamLeadApproved)
+    if (!reversal.reversal_workflow_state && teamLeadApproved && reversal.reversal_approved == null) return true
+
+    const ackStatus = (reversal.acknowledgement_status || reversal.acknowledgementStatus || '').toLowerCase()
+    return ackStatus.includes('pending - reversal_approved') || ackStatus.includes('pending - reversal_rejected')
+  },
+
+  /**
+   * Latest reversal request for an audit
+   * @param {string} auditId
+   * @param {string} tableName - scorecard table of the audit
+   * @returns {Promise<Object|null>} reversal_requests row
+   */
+  async getRequestForAudit(auditId, tableName) {
+    const { data, error } = await window.supabaseClient
+      .from('reversal_requests')
+      .select('*')
+      .eq('audit_id', auditId)
+      .eq('scorecard_table_name', tableName)
+      .order('requested_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    return data || null
+  },
+
+  /**
+   * Current reversal_workflow_states row of a reversal request
+   * @param {Object} reversalRequest - reversal_requests row (id, current_state_id)
+   * @returns {Promise<Object|null>}
+   */
+  async getCurrentState(reversalRequest) {
+    if (!reversalRequest || !reversalRequest.current_state_id) return null
+    const { data, error } = await window.supabaseClient
+      .from('reversal_workflow_states')
+      .select('*')
+      .eq('id', reversalRequest.current_state_id)
+      .maybeSingle()
+
+    if (error) throw error
+    return data || null
+  },
+
+  /**
+   * Move a reversal request to a new state. The move is checked here against
+   * the state stored in the database, then written by the
+   * transition_reversal_state() function, which locks the request and
+   * refuses the write if its state changed since: a reversal changed by
+   * someone else in the meantime is reported instead of overwritten.
+   * Pass-through states continue to their `next` state in the same call.
+   * @param {Object} options
+   * @param {string} options.reversalRequestId
+   * @param {string} options.to - target state
+   * @param {Array<string>} options.roles - REVERSAL_ROLES held by the user
+   * @param {Object} options.actor - { email, name }
+   * @param {string} [options.expectedState] - state the caller based its decision on
+   * @param {string} [options.next] - pass-through target instead of the transition's default
+   * @param {string} [options.notes]
+   * @param {string} [options.rejectionReason]
+   * @param {string} [options.enteredAt] - ISO timestamp, defaults to now
+   * @param {Object} [options.auditChanges] - columns to update on the request's audit row, in the same transaction
+   * @returns {Promise<{state: Object, transition: Object}>} new current state row and the transition taken
+   */
+  async transition({ reversalRequestId, to, roles, actor, expectedState, next, notes, rejectionReason, enteredAt, auditChanges }) {
+    const { data: reversalRequest, error: requestError } = await window.supabaseClient
+      .from('reversal_requests')
+      .select('id, current_state_id')
+      .eq('id', reversalRequestId)
+      .single()
+
+    if (requestError) throw requestError
+
+    const currentState = await this.getCurrentState(reversalRequest)
+    const fromState = currentState ? currentState.state : null
+
+    if (expectedState !== undefined && fromState !== null && this.resolveState({ reversal_workflow_state: fromState }) !== expectedState) {
+      throw new Error(`This reversal was moved to "${this.getStateLabel(fromState)}" in the meantime. Reload the page to see its current state.`)
+    }
+
+    const check = this.checkTransition(fromState, to, roles)
+    if (!check.allowed) throw new Error(check.message)
+
+    const nextState = next || check.transition.next || null
+    if (nextState) {
+      const nextCheck = this.checkTransition(to, nextState, [REVERSAL_ROLES.SYSTEM])
+      if (!nextCheck.allowed) throw new Error(nextCheck.message)
+    }
+
+    const { data: newState, error: transitionError } = await window.supabaseClient
+      .rpc('transition_reversal_state', {
+        p_reversal_request_id: reversalRequestId,
+        p_from_state: fromState,
+        p_to_state: to,
+        p_next_state: nextState,
+        p_actor_email: actor.email || null,
+        p_actor_name: actor.name || null,
+        p_notes: notes || null,
+        p_next_notes: nextState ? `Moved on to ${this.getStateLabel(nextState)}` : null,
+        p_rejection_reason: rejectionReason || null,
+        p_entered_at: enteredAt || new Date().toISOString(),
+        p_audit_changes: auditChanges || null
+      })
+
+    if (transitionError) {
+      // Moved by someone else between the read above and the locked write
+      if (transitionError.code === '40001') {
+        throw new Error('This reversal was moved on by someone else in the meantime. Reload the page to see its current state.')
+      }
+      throw transitionError
+    }
+
+    // Side effects (acknowledgement status etc.) come from the transition the user took
+    return { state: newState, transition: check.transition }
+  },
+
+  /**
+   * Record the agent's acknowledgement of a decided reversal. Audits without
+   * a reversal request, or whose reversal can't be acknowledged yet, are left
+   * alone.
+   * @param {string} auditId
+   * @param {string} tableName
+   * @param {Object} actor - { email, name }
+   * @returns {Promise<Object|null>} new state row, or null when nothing changed
+   */
+  async acknowledgeForAudit(auditId, tableName, actor) {
+    const reversalRequest = await this.getRequestForAudit(auditId, tableName)
+    if (!reversalRequest) return null
+
+    const currentState = await this.getCurrentState(reversalRequest)
+    if (!currentState || !this.getTransition(currentState.state, REVERSAL_STATES.ACKNOWLEDGED)) return null
+
+    const { state } = await this.transition({
+      reversalRequestId: reversalRequest.id,
+      to: REVERSAL_STATES.ACKNOWLEDGED,
+      roles: [REVERSAL_ROLES.AGENT],
+      actor,
+      notes: 'Reversal decision acknowledged by agent'
+    })
+    return state
+  }
+}
+
+window.ReversalWorkflow = ReversalWorkflow
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReversalWorkflow
+}
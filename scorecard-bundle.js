@@ -0,0 +1,260 @@
+/**
+ * Scorecard Bundle
+ *
+ * Portable JSON/YAML format for moving a complete scorecard definition
+ * between Supabase projects (e.g. staging -> production). A bundle holds the
+ * scorecard settings, its categories (with weights for weighted scorecards)
+ * and its active parameters in display order, including descriptions and AI
+ * prompts. Exporting a scorecard and importing the bundle elsewhere recreates
+ * the same definition.
+ *
+ * YAML support uses js-yaml (window.jsyaml), loaded from the CDN by the page.
+ */
+
+const BUNDLE_FORMAT = 'scorecard-bundle'
+const BUNDLE_FORMAT_VERSION = 1
+
+const BUNDLE_SCORECARD_FIELDS = [
+  'name',
+  'description',
+  'table_name',
+  'scoring_type',
+  'passing_threshold',
+  'max_bonus_points',
+  'allow_over_100'
+]
+
+const BUNDLE_PARAMETER_FIELDS = [
+  'field_id',
+  'error_name',
+  'description',
+  'parameter_type',
+  'field_type',
+  'error_category',
+  'penalty_points',
+  'max_occurrences',
+  'fail_action',
+  'fail_action_value',
+  'enable_ai_audit',
+  'prompt',
+  'visibility_condition'
+]
+
+const BUNDLE_SCORING_TYPES = ['deductive', 'additive', 'hybrid', 'weighted']
+const BUNDLE_PARAMETER_TYPES = ['error', 'achievement', 'bonus']
+const BUNDLE_FIELD_TYPES = ['counter', 'radio']
+
+function splitChannels(channels) {
+  if (Array.isArray(channels)) return channels.map(c => String(c).trim()).filter(Boolean)
+  return (channels || '').split(',').map(c => c.trim()).filter(Boolean)
+}
+
+function valueOrNull(value) {
+  return value === undefined || value === '' ? null : value
+}
+
+const ScorecardBundle = {
+  FORMAT: BUNDLE_FORMAT,
+  FORMAT_VERSION: BUNDLE_FORMAT_VERSION,
+
+  /**
+   * Build a bundle from a scorecard and its parameters
+   * @param {Object} scorecard - scorecards row
+   * @param {Array} parameters - scorecard_parameters rows (inactive rows are skipped)
+   * @returns {Object} bundle
+   */
+  build(scorecard, parameters) {
+    const activeParameters = (parameters || [])
+      .filter(param => param.is_active !== false)
+      .sort((a, b) => (a.display_order || 0) - (b.display_order || 0))
+
+    const scorecardSection = {}
+    BUNDLE_SCORECARD_FIELDS.forEach(field => {
+      scorecardSection[field] = valueOrNull(scorecard[field])
+    })
+    scorecardSection.channels = splitChannels(scorecard.channels)
+    scorecardSection.default_for_channels = splitChannels(scorecard.default_for_channels)
+
+    const weights = ScoringEngine.getCategoryWeights(scorecard)
+    const categoryNames = []
+    activeParameters.forEach(param => {
+      if (param.error_category && !categoryNames.includes(param.error_category)) categoryNames.push(param.error_category)
+    })
+    Object.keys(weights).forEach(name => {
+      if (!categoryNames.includes(name)) categoryNames.push(name)
+    })
+
+    return {
+      format: BUNDLE_FORMAT,
+      format_version: BUNDLE_FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      scorecard: scorecardSection,
+      categories: categoryNames.map(name => ({
+        name,
+        weight: weights[name] != null ? weights[name] : null
+      })),
+      parameters: activeParameters.map(param => {
+        const failAction = ScoringEngine.getFailAction(param)
+        const exported = {}
+        BUNDLE_PARAMETER_FIELDS.forEach(field => {
+          exported[field] = valueOrNull(param[field])
+        })
+        exported.fail_action = failAction ? failAction.action : null
+        exported.fail_action_value = failAction ? valueOrNull(failAction.value) : null
+        exported.enable_ai_audit = !!param.enable_ai_audit
+        exported.visibility_condition = ScoringEngine.getVisibilityCondition(param)
+        return exported
+      })
+    }
+  },
+
+  /**
+   * Serialize a bundle
+   * @param {Object} bundle
+   * @param {string} format - 'json' or 'yaml'
+   * @returns {string}
+   */
+  serialize(bundle, format = 'json') {
+    if (format === 'yaml') {
+      if (!window.jsyaml) throw new Error('YAML support is not available (js-yaml failed to load).')
+      return window.jsyaml.dump(bundle, { lineWidth: -1, noRefs: true })
+    }
+    return JSON.stringify(bundle, null, 2)
+  },
+
+  /**
+   * Parse bundle text. JSON is detected by a leading '{', anything else is
+   * read as YAML.
+   * @param {string} text
+   * @returns {Object} bundle
+   */
+  parse(text) {
+    const trimmed = (text || '').trim()
+    if (!trimmed) throw new Error('The file is empty.')
+
+    if (trimmed.startsWith('{')) {
+      try {
+        return JSON.parse(trimmed)
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`)
+      }
+    }
+
+    if (!window.jsyaml) throw new Error('YAML support is not available (js-yaml failed to load).')
+    try {
+      return window.jsyaml.load(trimmed)
+    } catch (error) {
+      throw new Error(`Invalid YAML: ${error.message}`)
+    }
+  },
+
+  /**
+   * Validate the structure of a parsed bundle
+   * @param {Object} bundle
+   * @returns {Array<string>} error messages (empty when valid)
+   */
+  validate(bundle) {
+    const errors = []
+    if (!bundle || typeof bundle !== 'object') return ['The file does not contain a scorecard bundle.']
+    if (bundle.format !== BUNDLE_FORMAT) errors.push(`Unknown format "${bundle.format}" (expected "${BUNDLE_FORMAT}").`)
+    if (bundle.format_version > BUNDLE_FORMAT_VERSION) {
+      errors.push(`Bundle format version ${bundle.format_version} is newer than supported version ${BUNDLE_FORMAT_VERSION}.`)
+    }
+
+    const scorecard = bundle.scorecard || {}
+    if (!scorecard.name) errors.push('Scorecard name is required.')
+    if (!scorecard.table_name) errors.push('Scorecard table_name is required.')
+    if (!BUNDLE_SCORING_TYPES.includes(scorecard.scoring_type)) errors.push(`Invalid scoring_type "${scorecard.scoring_type}".`)
+    if (isNaN(parseFloat(scorecard.passing_threshold))) errors.push('Scorecard passing_threshold must be a number.')
+    if (splitChannels(scorecard.channels).length === 0) errors.push('At least one channel is required.')
+
+    const parameters = Array.isArray(bundle.parameters) ? bundle.parameters : []
+    if (parameters.length === 0) errors.push('At least one parameter is required.')
+
+    const seenFieldIds = new Set()
+    parameters.forEach((param, index) => {
+      const label = `Parameter ${index + 1}${param && param.error_name ? ` (${param.error_name})` : ''}`
+      if (!param || typeof param !== 'object') {
+        errors.push(`${label}: invalid entry.`)
+        return
+      }
+      if (!param.error_name) errors.push(`${label}: error_name is required.`)
+      if (!param.field_id || !/^[a-z0-9_]+$/.test(param.field_id)) errors.push(`${label}: field_id must use lowercase letters, numbers and underscores.`)
+      if (seenFieldIds.has(param.field_id)) errors.push(`${label}: duplicate field_id "${param.field_id}".`)
+      seenFieldIds.add(param.field_id)
+      if (!BUNDLE_PARAMETER_TYPES.includes(param.parameter_type)) errors.push(`${label}: invalid parameter_type "${param.parameter_type}".`)
+      if (!BUNDLE_FIELD_TYPES.includes(param.field_type)) errors.push(`${label}: invalid field_type "${param.field_type}".`)
+      if (!param.error_category) errors.push(`${label}: error_category is required.`)
+      if (isNaN(parseFloat(param.penalty_points))) errors.push(`${label}: penalty_points must be a number.`)
+      if (param.fail_action && !Object.values(ScoringEngine.FAIL_ACTIONS).includes(param.fail_action)) {
+        errors.push(`${label}: invalid fail_action "${param.fail_action}".`)
+      }
+      if (param.visibility_condition) {
+        const condition = ScoringEngine.getVisibilityCondition(param)
+        if (!condition) {
+          errors.push(`${label}: invalid visibility_condition.`)
+        } else if (condition.source === ScoringEngine.VISIBILITY_SOURCES.PARAMETER && (!seenFieldIds.has(condition.field_id) || condition.field_id === param.field_id)) {
+          errors.push(`${label}: visibility_condition must reference an earlier parameter.`)
+        }
+      }
+    })
+
+    return errors
+  },
+
+  /**
+   * Convert a bundle back into scorecard form data and parameter rows
+   * @param {Object} bundle - validated bundle
+   * @returns {{scorecard: Object, parameters: Array}}
+   */
+  toScorecardData(bundle) {
+    const source = bundle.scorecard || {}
+    const scorecard = {}
+    BUNDLE_SCORECARD_FIELDS.forEach(field => {
+      scorecard[field] = valueOrNull(source[field])
+    })
+    scorecard.channels = splitChannels(source.channels).join(', ')
+    scorecard.default_for_channels = splitChannels(source.default_for_channels).join(', ') || null
+
+    const categoryWeights = {}
+    ;(bundle.categories || []).forEach(category => {
+      if (category && category.name && category.weight != null) categoryWeights[category.name] = Number(category.weight)
+    })
+    scorecard.category_weights = Object.keys(categoryWeights).length > 0 ? categoryWeights : null
+
+    const parameters = (bundle.parameters || []).map((param, index) => {
+      const row = {}
+      BUNDLE_PARAMETER_FIELDS.forEach(field => {
+        row[field] = valueOrNull(param[field])
+      })
+      row.penalty_points = Number(param.penalty_points)
+      row.max_occurrences = row.max_occurrences != null ? Number(row.max_occurrences) : null
+      row.fail_action_value = row.fail_action_value != null ? Number(row.fail_action_value) : null
+      row.enable_ai_audit = !!param.enable_ai_audit
+      row.visibility_condition = ScoringEngine.getVisibilityCondition(param)
+      row.is_fail_all = row.fail_action === ScoringEngine.FAIL_ACTIONS.FAIL_ALL
+      row.points_direction = row.parameter_type === 'error' ? 'subtract' : 'add'
+      row.requires_feedback = true
+      row.is_active = true
+      row.display_order = index + 1
+      return row
+    })
+
+    return { scorecard, parameters }
+  },
+
+  /**
+   * Suggested download file name for a bundle
+   */
+  getFileName(bundle, format = 'json') {
+    const base = (bundle.scorecard && bundle.scorecard.table_name) || 'scorecard'
+    return `${base}.scorecard.${format === 'yaml' ? 'yaml' : 'json'}`
+  }
+}
+
+window.ScorecardBundle = ScorecardBundle
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScorecardBundle
+}
@@ -0,0 +1,129 @@
+/**
+ * Scorecard Test Cases
+ *
+ * Named sets of hypothetical answers saved from the scorecard test bench in
+ * scorecards.html, together with the score and passing status they produced
+ * when saved. Test cases belong to a scorecard lineage (see
+ * scorecard-versions.js) so they follow a scorecard across table versions.
+ * They are re-run against the definition being edited to flag edits that
+ * change an expected outcome. A test case may record the channel it was run
+ * for, since parameter visibility conditions can depend on it.
+ */
+
+const SCORE_TOLERANCE = 0.01
+
+const ScorecardTestCases = {
+  /**
+   * Test cases saved for a scorecard lineage, oldest first
+   * @param {string} lineageId
+   * @returns {Promise<Array>}
+   */
+  async list(lineageId) {
+    const { data, error } = await window.supabaseClient
+      .from('scorecard_test_cases')
+      .select('*')
+      .eq('lineage_id', lineageId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Save a test case with the outcome it currently produces
+   * @param {Object} testCase
+   * @param {string} testCase.lineageId
+   * @param {string} testCase.scorecardId - scorecard the case was created on
+   * @param {string} testCase.name
+   * @param {Object} testCase.values - { [field_id]: number }
+   * @param {string} testCase.channel - channel used for parameter visibility conditions
+   * @param {Object} testCase.result - ScoringEngine.calculateScore result
+   * @param {string} testCase.createdBy
+   * @returns {Promise<Object>} scorecard_test_cases row
+   */
+  async save({ lineageId, scorecardId, name, values, channel, result, createdBy }) {
+    const { data, error } = await window.supabaseClient
+      .from('scorecard_test_cases')
+      .insert([{
+        lineage_id: lineageId,
+        scorecard_id: scorecardId,
+        name,
+        parameter_values: values,
+        channel: channel || null,
+        expected_score: result.score,
+        expected_passing_status: result.passingStatus,
+        created_by: createdBy || null
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  },
+
+  /**
+   * Accept the outcome a test case produces now as its new expected outcome
+   * @param {string} testCaseId
+   * @param {Object} result - ScoringEngine.calculateScore result
+   * @returns {Promise<Object>} updated scorecard_test_cases row
+   */
+  async acceptOutcome(testCaseId, result) {
+    const { data, error } = await window.supabaseClient
+      .from('scorecard_test_cases')
+      .update({
+        expected_score: result.score,
+        expected_passing_status: result.passingStatus
+      })
+      .eq('id', testCaseId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  },
+
+  /**
+   * Delete a test case
+   * @param {string} testCaseId
+   */
+  async remove(testCaseId) {
+    const { error } = await window.supabaseClient
+      .from('scorecard_test_cases')
+      .delete()
+      .eq('id', testCaseId)
+
+    if (error) throw error
+  },
+
+  /**
+   * Re-run a test case against a scorecard definition
+   * @param {Object} testCase - scorecard_test_cases row
+   * @param {Object} scorecard - scoring settings (scoring_type, passing_threshold, ...)
+   * @param {Array} parameters - scorecard_parameters rows
+   * @returns {{testCase: Object, result: Object, scoreChanged: boolean, outcomeChanged: boolean}}
+   */
+  evaluate(testCase, scorecard, parameters) {
+    const result = ScoringEngine.calculateScore(scorecard, parameters, testCase.parameter_values || {}, { channel: testCase.channel })
+    return {
+      testCase,
+      result,
+      scoreChanged: Math.abs(result.score - parseFloat(testCase.expected_score)) > SCORE_TOLERANCE,
+      outcomeChanged: result.passingStatus !== testCase.expected_passing_status
+    }
+  },
+
+  /**
+   * Re-run every test case against a scorecard definition
+   * @returns {Array} evaluate() results in test case order
+   */
+  evaluateAll(testCases, scorecard, parameters) {
+    return (testCases || []).map(testCase => this.evaluate(testCase, scorecard, parameters))
+  }
+}
+
+window.ScorecardTestCases = ScorecardTestCases
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScorecardTestCases
+}
@@ -0,0 +1,321 @@
+/**
+ * Scorecard Versions
+ *
+ * Immutable snapshots of a scorecard definition (scoring settings plus its
+ * active parameters), stored in the `scorecard_versions` table. Every save in
+ * scorecards.html records a snapshot, audits store the snapshot they were
+ * scored with in `scorecard_version_id`, and audit-view/edit-audit render old
+ * audits against that snapshot instead of the live parameter list.
+ *
+ * Versions are numbered per lineage: a scorecard and every scorecard created
+ * from it through parent_scorecard_id share one lineage_id, so history stays
+ * continuous across the `<table>_v<N>` table versions.
+ */
+
+const SNAPSHOT_SCORECARD_FIELDS = [
+  'name',
+  'description',
+  'table_name',
+  'version',
+  'scoring_type',
+  'passing_threshold',
+  'max_bonus_points',
+  'allow_over_100',
+  'category_weights',
+  'channels'
+]
+
+const SNAPSHOT_PARAMETER_FIELDS = [
+  'field_id',
+  'error_name',
+  'description',
+  'parameter_type',
+  'field_type',
+  'error_category',
+  'penalty_points',
+  'max_occurrences',
+  'is_fail_all',
+  'fail_action',
+  'fail_action_value',
+  'enable_ai_audit',
+  'prompt',
+  'visibility_condition',
+  'display_order'
+]
+
+const NUMERIC_FIELDS = ['version', 'passing_threshold', 'max_bonus_points', 'penalty_points', 'max_occurrences', 'fail_action_value', 'display_order']
+const BOOLEAN_FIELDS = ['allow_over_100', 'is_fail_all', 'enable_ai_audit']
+
+/**
+ * Normalize one field so values read back from jsonb compare equal to live rows
+ */
+function normalizeSnapshotValue(field, value) {
+  if (value === undefined || value === null || value === '') {
+    return BOOLEAN_FIELDS.includes(field) ? false : null
+  }
+  if (NUMERIC_FIELDS.includes(field)) {
+    const number = parseFloat(value)
+    return isNaN(number) ? null : number
+  }
+  if (BOOLEAN_FIELDS.includes(field)) return value === true || value === 'true'
+  if ((field === 'category_weights' || field === 'visibility_condition') && typeof value === 'string') {
+    try {
+      return JSON.parse(value)
+    } catch (e) {
+      return null
+    }
+  }
+  return value
+}
+
+function pickFields(source, fields) {
+  const result = {}
+  fields.forEach(field => {
+    result[field] = normalizeSnapshotValue(field, source ? source[field] : null)
+  })
+  return result
+}
+
+/**
+ * JSON with object keys sorted, so values read back from jsonb (which
+ * reorders keys) compare equal to live rows
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+function formatDiffValue(value) {
+  if (value === null || value === undefined) return null
+  return typeof value === 'object' ? stableStringify(value) : value
+}
+
+function diffFields(before, after, fields) {
+  const changes = []
+  fields.forEach(field => {
+    const from = formatDiffValue(before[field])
+    const to = formatDiffValue(after[field])
+    if (from !== to) changes.push({ field, from, to })
+  })
+  return changes
+}
+
+const ScorecardVersions = {
+  SCORECARD_FIELDS: SNAPSHOT_SCORECARD_FIELDS,
+  PARAMETER_FIELDS: SNAPSHOT_PARAMETER_FIELDS,
+
+  /**
+   * Build the snapshot stored for a scorecard definition
+   * @param {Object} scorecard - scorecards row
+   * @param {Array} parameters - scorecard_parameters rows (inactive rows are skipped)
+   * @returns {{scorecard: Object, parameters: Array}}
+   */
+  buildSnapshot(scorecard, parameters) {
+    return {
+      scorecard: pickFields(scorecard, SNAPSHOT_SCORECARD_FIELDS),
+      parameters: (parameters || [])
+        .filter(param => param.is_active !== false)
+        .map(param => pickFields(param, SNAPSHOT_PARAMETER_FIELDS))
+        .sort((a, b) => (a.display_order || 0) - (b.display_order || 0))
+    }
+  },
+
+  /**
+   * Whether a stored version already matches a live definition
+   */
+  matchesSnapshot(version, scorecard, parameters) {
+    if (!version) return false
+    const stored = this.buildSnapshot(version.scorecard, version.parameters)
+    const live = this.buildSnapshot(scorecard, parameters)
+    return stableStringify(stored) === stableStringify(live)
+  },
+
+  /**
+   * Latest version recorded for a scorecard row
+   * @param {string} scorecardId
+   * @returns {Promise<Object|null>}
+   */
+  async getLatestVersion(scorecardId) {
+    if (!scorecardId) return null
+    const { data, error } = await window.supabaseClient
+      .from('scorecard_versions')
+      .select('*')
+      .eq('scorecard_id', scorecardId)
+      .order('version_number', { ascending: false })
+      .limit(1)
+
+    if (error) throw error
+    return data && data.length > 0 ? data[0] : null
+  },
+
+  /**
+   * Load a single version by id
+   * @param {string} versionId
+   * @returns {Promise<Object|null>}
+   */
+  async getVersion(versionId) {
+    if (!versionId) return null
+    const { data, error } = await window.supabaseClient
+      .from('scorecard_versions')
+      .select('*')
+      .eq('id', versionId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data || null
+  },
+
+  /**
+   * All versions in the lineage of a scorecard, newest first
+   * @param {Object} scorecard - scorecards row (id, parent_scorecard_id)
+   * @returns {Promise<Array>}
+   */
+  async listVersions(scorecard) {
+    const lineageId = await this.getLineageId(scorecard)
+    const { data, error } = await window.supabaseClient
+      .from('scorecard_versions')
+      .select('*')
+      .eq('lineage_id', lineageId)
+      .order('version_number', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Resolve the lineage a scorecard belongs to. Scorecards without versions
+   * inherit the lineage of their parent, or start a new one.
+   */
+  async getLineageId(scorecard) {
+    const latest = await this.getLatestVersion(scorecard.id)
+    if (latest) return latest.lineage_id
+
+    if (scorecard.parent_scorecard_id) {
+      const parentLatest = await this.getLatestVersion(scorecard.parent_scorecard_id)
+      return parentLatest ? parentLatest.lineage_id : scorecard.parent_scorecard_id
+    }
+
+    return scorecard.id
+  },
+
+  /**
+   * Record a version for the current definition of a scorecard. Returns the
+   * latest existing version instead when nothing changed since it was taken.
+   * The version number is allocated by record_scorecard_version() in the
+   * database, so concurrent saves and audit submissions can't collide.
+   * @param {Object} scorecard - scorecards row
+   * @param {Array} parameters - scorecard_parameters rows
+   * @param {Object} options
+   * @param {string} options.changeSummary - Short description of what changed
+   * @param {string} options.createdBy - Email of the user saving the scorecard
+   * @returns {Promise<Object>} scorecard_versions row
+   */
+  async recordVersion(scorecard, parameters, options = {}) {
+    const latest = await this.getLatestVersion(scorecard.id)
+    if (this.matchesSnapshot(latest, scorecard, parameters)) return latest
+
+    const lineageId = latest ? latest.lineage_id : await this.getLineageId(scorecard)
+
+    const snapshot = this.buildSnapshot(scorecard, parameters)
+    const { data, error } = await window.supabaseClient
+      .rpc('record_scorecard_version', {
+        p_scorecard_id: scorecard.id,
+        p_lineage_id: lineageId,
+        p_scorecard: snapshot.scorecard,
+        p_parameters: snapshot.parameters,
+        p_change_summary: options.changeSummary || null,
+        p_created_by: options.createdBy || null
+      })
+
+    if (error) throw error
+    return Array.isArray(data) ? data[0] || null : data
+  },
+
+  /**
+   * Load the definition an audit should be rendered against: the snapshot in
+   * versionId when there is one, otherwise the live scorecard and its active
+   * parameters (audits saved before versioning).
+   * @param {string} scorecardId
+   * @param {string|null} versionId - audit.scorecard_version_id
+   * @returns {Promise<{scorecard: Object|null, parameters: Array, version: Object|null}>}
+   */
+  async loadDefinition(scorecardId, versionId) {
+    const { data: liveScorecard, error: scorecardError } = await window.supabaseClient
+      .from('scorecards')
+      .select('*')
+      .eq('id', scorecardId)
+      .single()
+
+    if (scorecardError) console.warn('Error loading scorecard:', scorecardError)
+
+    let version = null
+    if (versionId) {
+      try {
+        version = await this.getVersion(versionId)
+      } catch (error) {
+        console.warn('Error loading scorecard version, falling back to live definition:', error)
+      }
+    }
+
+    if (version) {
+      return {
+        scorecard: { ...(liveScorecard || {}), ...version.scorecard, id: scorecardId },
+        parameters: (version.parameters || []).map(param => ({ ...param, scorecard_id: scorecardId, is_active: true })),
+        version
+      }
+    }
+
+    const { data: parameters, error: paramsError } = await window.supabaseClient
+      .from('scorecard_parameters')
+      .select('*')
+      .eq('scorecard_id', scorecardId)
+      .eq('is_active', true)
+      .order('display_order', { ascending: true })
+
+    if (paramsError) throw paramsError
+
+    return { scorecard: liveScorecard || null, parameters: parameters || [], version: null }
+  },
+
+  /**
+   * Diff two versions. Parameters are matched by field_id.
+   * @param {Object} fromVersion - scorecard_versions row (older)
+   * @param {Object} toVersion - scorecard_versions row (newer)
+   * @returns {{scorecard: Array, added: Array, removed: Array, changed: Array}}
+   */
+  diffVersions(fromVersion, toVersion) {
+    const before = this.buildSnapshot(fromVersion.scorecard, fromVersion.parameters)
+    const after = this.buildSnapshot(toVersion.scorecard, toVersion.parameters)
+    const comparedParameterFields = SNAPSHOT_PARAMETER_FIELDS.filter(field => field !== 'field_id')
+
+    const beforeById = new Map(before.parameters.map(param => [param.field_id, param]))
+    const afterById = new Map(after.parameters.map(param => [param.field_id, param]))
+
+    const changed = []
+    after.parameters.forEach(param => {
+      const previous = beforeById.get(param.field_id)
+      if (!previous) return
+      const changes = diffFields(previous, param, comparedParameterFields)
+      if (changes.length > 0) {
+        changed.push({ field_id: param.field_id, error_name: param.error_name, changes })
+      }
+    })
+
+    return {
+      scorecard: diffFields(before.scorecard, after.scorecard, SNAPSHOT_SCORECARD_FIELDS),
+      added: after.parameters.filter(param => !beforeById.has(param.field_id)),
+      removed: before.parameters.filter(param => !afterById.has(param.field_id)),
+      changed
+    }
+  }
+}
+
+window.ScorecardVersions = ScorecardVersions
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScorecardVersions
+}
@@ -0,0 +1,623 @@
+/**
+ * Shared Scoring Engine
+ *
+ * DOM-independent score calculation for scorecards. Every audit page
+ * (create-audit, audit-form, audit-view, edit-audit) and the reversal
+ * recalculation call into this module, so the same scorecard, parameters and
+ * values always produce the same score.
+ *
+ * Inputs:
+ * - scorecard: row from the `scorecards` table (scoring_type, passing_threshold,
+ *   max_bonus_points, allow_over_100, category_weights)
+ * - parameters: rows from the `scorecard_parameters` table (max_occurrences
+ *   optionally caps how many occurrences of a parameter are counted)
+ * - values: plain map of { [field_id]: number } (radio YES = 1, NO = 0,
+ *   counters = occurrence count). Missing values are treated as 0.
+ *
+ * Fail actions (scorecard_parameters.fail_action, with fail_action_value):
+ * - fail_all: any occurrence fails the whole audit (legacy is_fail_all)
+ * - zero_category: any occurrence zeroes the parameter's error_category
+ * - cap_score: any occurrence caps the final score at fail_action_value
+ * - threshold_count: fails the whole audit once the parameter occurs
+ *   fail_action_value times
+ *
+ * Visibility conditions (scorecard_parameters.visibility_condition):
+ * - { source: 'channel', operator: 'equals'|'not_equals', value }: compares
+ *   the audit channel (context.channel), case-insensitively
+ * - { source: 'parameter', field_id, operator, value }: compares the value of
+ *   an earlier parameter (equals, not_equals, greater_than, at_least,
+ *   less_than). A hidden parameter counts as 0 for later conditions.
+ * Hidden parameters are left out of scoring entirely.
+ */
+
+const DEFAULT_PASSING_THRESHOLD = 85
+
+const FAIL_ACTIONS = {
+  FAIL_ALL: 'fail_all',
+  ZERO_CATEGORY: 'zero_category',
+  CAP_SCORE: 'cap_score',
+  THRESHOLD_COUNT: 'threshold_count'
+}
+
+const VISIBILITY_SOURCES = {
+  CHANNEL: 'channel',
+  PARAMETER: 'parameter'
+}
+
+const VISIBILITY_OPERATORS = {
+  equals: { label: 'is', symbol: '=' },
+  not_equals: { label: 'is not', symbol: '≠' },
+  greater_than: { label: 'is more than', symbol: '>' },
+  at_least: { label: 'is at least', symbol: '≥' },
+  less_than: { label: 'is less than', symbol: '<' }
+}
+
+const ScoringEngine = {
+  FAIL_ACTIONS,
+  VISIBILITY_SOURCES,
+  VISIBILITY_OPERATORS,
+
+  /**
+   * Map an error_category to its severity label
+   * @param {string} category - error_category from scorecard_parameters
+   * @returns {string} 'Critical Fail', 'Critical', 'Significant', 'Major' or 'Minor'
+   */
+  getSeverity(category) {
+    const value = category || ''
+    if (value.includes('Fail')) return 'Critical Fail'
+    if (value.includes('Critical')) return 'Critical'
+    if (value.includes('Significant')) return 'Significant'
+    if (value.includes('Major')) return 'Major'
+    if (value.includes('Minor')) return 'Minor'
+    return 'Significant'
+  },
+
+  /**
+   * Parameter type, defaulting to 'error' when null/undefined/empty
+   */
+  getParameterType(param) {
+    return (param && param.parameter_type) || 'error'
+  },
+
+  /**
+   * Whether a parameter is an achievement/bonus (not an error)
+   */
+  isAchievement(param) {
+    const paramType = this.getParameterType(param)
+    return paramType === 'achievement' || paramType === 'bonus'
+  },
+
+  /**
+   * Numeric value for a parameter from the values map, as entered
+   * @param {Object} values - { [field_id]: number }
+   * @param {Object} param - scorecard parameter
+   * @returns {number}
+   */
+  getRawValue(values, param) {
+    if (!values || !param) return 0
+    const raw = values[param.field_id]
+    const value = raw === true || raw === 'true' ? 1 : parseInt(raw)
+    return isNaN(value) ? 0 : value
+  },
+
+  /**
+   * Numeric value for a parameter from the values map, capped at the
+   * parameter's max_occurrences when one is set
+   * @param {Object} values - { [field_id]: number }
+   * @param {Object} param - scorecard parameter
+   * @returns {number}
+   */
+  getValue(values, param) {
+    const value = this.getRawValue(values, param)
+
+    const maxOccurrences = parseInt(param.max_occurrences)
+    if (!isNaN(maxOccurrences) && maxOccurrences > 0) {
+      return Math.min(value, maxOccurrences)
+    }
+    return value
+  },
+
+  /**
+   * Category weights for weighted scorecards
+   * @param {Object} scorecard - scorecard row (category_weights may be an object or JSON string)
+   * @returns {Object} { [error_category]: weight }
+   */
+  getCategoryWeights(scorecard) {
+    let weights = scorecard && scorecard.category_weights
+    if (typeof weights === 'string') {
+      try {
+        weights = JSON.parse(weights)
+      } catch (e) {
+        console.error('Invalid category_weights on scorecard:', e)
+        weights = null
+      }
+    }
+    return weights && typeof weights === 'object' ? weights : {}
+  },
+
+  /**
+   * Number of errors a parameter contributes.
+   * Achievements/bonuses are not errors and always return 0.
+   */
+  getErrorCount(values, param) {
+    if (this.isAchievement(param)) return 0
+    return this.getValue(values, param)
+  },
+
+  /**
+   * Fail action configured on a parameter
+   * Parameters without fail_action fall back to the legacy is_fail_all flag.
+   * @returns {{ action: string, value: number|null }|null}
+   */
+  getFailAction(param) {
+    if (!param) return null
+    const action = param.fail_action || (param.is_fail_all ? FAIL_ACTIONS.FAIL_ALL : null)
+    if (!action || !Object.values(FAIL_ACTIONS).includes(action)) return null
+
+    const value = parseFloat(param.fail_action_value)
+    return { action, value: isNaN(value) ? null : value }
+  },
+
+  /**
+   * Short human-readable description of a parameter's fail action
+   * @returns {string} e.g. 'Auto-Fail', 'Caps at 50%' ('' when none)
+   */
+  describeFailAction(param) {
+    const failAction = this.getFailAction(param)
+    if (!failAction) return ''
+
+    switch (failAction.action) {
+      case FAIL_ACTIONS.ZERO_CATEGORY:
+        return 'Zeroes Category'
+      case FAIL_ACTIONS.CAP_SCORE:
+        return `Caps at ${failAction.value != null ? failAction.value : 0}%`
+      case FAIL_ACTIONS.THRESHOLD_COUNT:
+        return `Fails at ${Math.max(1, failAction.value || 1)}×`
+      default:
+        return 'Auto-Fail'
+    }
+  },
+
+  /**
+   * Whether a parameter's fail action was triggered.
+   * Error parameters trigger on any occurrence (threshold_count on N
+   * occurrences, counted before max_occurrences caps them, so a threshold
+   * above the cap still fires); achievement/bonus radios trigger when
+   * answered NO (0).
+   */
+  isFailActionTriggered(values, param) {
+    const failAction = this.getFailAction(param)
+    if (!failAction) return false
+
+    if (failAction.action === FAIL_ACTIONS.THRESHOLD_COUNT) {
+      return this.getRawValue(values, param) >= Math.max(1, failAction.value || 1)
+    }
+
+    const value = this.getValue(values, param)
+    if (this.isAchievement(param) && param.field_type === 'radio') {
+      return value === 0
+    }
+    return value > 0
+  },
+
+  /**
+   * Visibility condition configured on a parameter
+   * @returns {{ source: string, field_id: string|null, operator: string, value: * }|null}
+   */
+  getVisibilityCondition(param) {
+    let condition = param && param.visibility_condition
+    if (typeof condition === 'string') {
+      try {
+        condition = JSON.parse(condition)
+      } catch (e) {
+        console.error('Invalid visibility_condition on parameter:', e)
+        return null
+      }
+    }
+    if (!condition || typeof condition !== 'object') return null
+    if (!Object.values(VISIBILITY_SOURCES).includes(condition.source)) return null
+    if (!VISIBILITY_OPERATORS[condition.operator]) return null
+    if (condition.source === VISIBILITY_SOURCES.PARAMETER && !condition.field_id) return null
+
+    return {
+      source: condition.source,
+      field_id: condition.source === VISIBILITY_SOURCES.PARAMETER ? condition.field_id : null,
+      operator: condition.operator,
+      value: condition.value
+    }
+  },
+
+  /**
+   * Short human-readable description of a parameter's visibility condition
+   * @param {Object} param - scorecard parameter
+   * @param {Array} parameters - all parameters, used to name the referenced parameter
+   * @returns {string} e.g. 'Only if channel is Email' ('' when always shown)
+   */
+  describeVisibilityCondition(param, parameters) {
+    const condition = this.getVisibilityCondition(param)
+    if (!condition) return ''
+
+    const operator = VISIBILITY_OPERATORS[condition.operator]
+    if (condition.source === VISIBILITY_SOURCES.CHANNEL) {
+      return `Only if channel ${operator.label} ${condition.value || ''}`.trim()
+    }
+    const referenced = (parameters || []).find(p => p.field_id === condition.field_id)
+    const name = referenced ? referenced.error_name : condition.field_id
+    return `Only if ${name} ${operator.symbol} ${condition.value != null ? condition.value : 0}`
+  },
+
+  /**
+   * Whether a visibility condition is met
+   * @param {Object} condition - getVisibilityCondition() result
+   * @param {Object} values - { [field_id]: number }, hidden parameters already removed
+   * @param {Object} context - { channel }
+   */
+  isVisibilityConditionMet(condition, values, context) {
+    if (condition.source === VISIBILITY_SOURCES.CHANNEL) {
+      const channel = String((context && context.channel) || '').trim().toLowerCase()
+      const expected = String(condition.value || '').trim().toLowerCase()
+      return condition.operator === 'not_equals' ? channel !== expected : channel === expected
+    }
+
+    const actual = this.getValue(values, { field_id: condition.field_id })
+    const expected = parseFloat(condition.value) || 0
+    switch (condition.operator) {
+      case 'not_equals':
+        return actual !== expected
+      case 'greater_than':
+        return actual > expected
+      case 'at_least':
+        return actual >= expected
+      case 'less_than':
+        return actual < expected
+      default:
+        return actual === expected
+    }
+  },
+
+  /**
+   * Parameters shown for the current answers. Conditions are resolved in
+   * parameter order, so a condition can only depend on parameters before it;
+   * a parameter that is hidden counts as 0 for the conditions after it.
+   * @param {Array} parameters - scorecard_parameters rows in display order
+   * @param {Object} values - { [field_id]: number }
+   * @param {Object} context - { channel }
+   * @returns {Array} visible parameters
+   */
+  getVisibleParameters(parameters, values, context = {}) {
+    const params = Array.isArray(parameters) ? parameters : []
+    const resolvedValues = {}
+    return params.filter(param => {
+      const condition = this.getVisibilityCondition(param)
+      const visible = !condition || this.isVisibilityConditionMet(condition, resolvedValues, context)
+      resolvedValues[param.field_id] = visible && values ? values[param.field_id] : 0
+      return visible
+    })
+  },
+
+  /**
+   * field_ids of the parameters hidden for the current answers
+   * @returns {Array<string>}
+   */
+  getHiddenParameterIds(parameters, values, context = {}) {
+    const visible = new Set(this.getVisibleParameters(parameters, values, context).map(param => param.field_id))
+    return (Array.isArray(parameters) ? parameters : [])
+      .filter(param => !visible.has(param.field_id))
+      .map(param => param.field_id)
+  },
+
+  /**
+   * Determine passing status from a score and critical fail flag
+   * @param {Object} scorecard - scorecard row
+   * @param {number} score - final score
+   * @param {boolean} hasCriticalFail - whether any fail-all parameter triggered
+   * @returns {{ isPassing: boolean, passingStatus: string, passingThreshold: number }}
+   */
+  getPassingStatus(scorecard, score, hasCriticalFail = false) {
+    const threshold = parseFloat(scorecard && scorecard.passing_threshold)
+    const passingThreshold = isNaN(threshold) ? DEFAULT_PASSING_THRESHOLD : threshold
+    const isPassing = !hasCriticalFail && score >= passingThreshold
+    return {
+      isPassing,
+      passingStatus: isPassing ? 'Passing' : 'Not Passing',
+      passingThreshold
+    }
+  },
+
+  /**
+   * Deductive scoring: start at 100, subtract for errors
+   * @returns {{ score: number, deductions: Object }}
+   */
+  calculateDeductive(scorecard, parameters, values) {
+    let totalDeduction = 0
+    const deductions = {}
+
+    parameters.forEach(param => {
+      // Achievements/bonuses only count here when explicitly set to subtract
+      if (this.isAchievement(param) && param.points_direction !== 'subtract') return
+
+      const penalty = parseFloat(param.penalty_points) || 0
+      const deduction = this.getValue(values, param) * penalty
+      totalDeduction += deduction
+      this.addToCategory(deductions, param, deduction)
+    })
+
+    return { score: Math.max(0, 100 - totalDeduction), deductions }
+  },
+
+  /**
+   * Additive scoring: start at 0, add achievements as a percentage of the maximum possible
+   * @returns {{ score: number, deductions: Object }}
+   */
+  calculateAdditive(scorecard, parameters, values) {
+    let totalPoints = 0
+    let maxPossiblePoints = 0
+    const deductions = {}
+
+    const earned = {}
+
+    parameters.forEach(param => {
+      if (param.parameter_type !== 'achievement' && param.points_direction !== 'add') return
+
+      const points = parseFloat(param.penalty_points) || 0
+      const value = this.getValue(values, param)
+
+      // Counters are assumed to have a max count of 1
+      maxPossiblePoints += points
+      totalPoints += value * points
+      this.addToCategory(earned, param, value * points)
+      // Missed achievement points are reported as the category's deduction
+      this.addToCategory(deductions, param, Math.max(0, points - value * points))
+    })
+
+    if (maxPossiblePoints === 0) return { score: 0, deductions, earned, maxPossiblePoints }
+    return { score: Math.min(100, (totalPoints / maxPossiblePoints) * 100), deductions, earned, maxPossiblePoints }
+  },
+
+  /**
+   * Hybrid scoring: deduct for errors, add for achievements
+   * @returns {{ score: number, deductions: Object }}
+   */
+  calculateHybrid(scorecard, parameters, values) {
+    let baseScore = 100
+    let bonusPoints = 0
+    const deductions = {}
+
+    parameters.forEach(param => {
+      const points = parseFloat(param.penalty_points) || 0
+      const value = this.getValue(values, param)
+      const paramType = this.getParameterType(param)
+
+      if (paramType === 'error' || param.points_direction === 'subtract') {
+        baseScore -= value * points
+        this.addToCategory(deductions, param, value * points)
+      } else if (paramType === 'achievement' || paramType === 'bonus' || param.points_direction === 'add') {
+        bonusPoints += value * points
+      }
+    })
+
+    // Apply max bonus cap if set
+    const maxBonus = parseFloat(scorecard.max_bonus_points) || 0
+    if (maxBonus > 0) {
+      bonusPoints = Math.min(bonusPoints, maxBonus)
+    }
+
+    let finalScore = baseScore + bonusPoints
+    if (!scorecard.allow_over_100) {
+      finalScore = Math.min(100, finalScore)
+    }
+
+    return { score: Math.max(0, finalScore), deductions }
+  },
+
+  /**
+   * Weighted categories scoring: start at 100, deductions inside each
+   * error_category are capped at that category's weight (weights sum to 100)
+   * @returns {{ score: number, deductions: Object }}
+   */
+  calculateWeighted(scorecard, parameters, values) {
+    const weights = this.getCategoryWeights(scorecard)
+    const rawDeductions = {}
+
+    parameters.forEach(param => {
+      if (this.isAchievement(param)) return
+
+      const penalty = parseFloat(param.penalty_points) || 0
+      this.addToCategory(rawDeductions, param, this.getValue(values, param) * penalty)
+    })
+
+    const deductions = {}
+    let totalDeduction = 0
+    Object.keys(rawDeductions).forEach(category => {
+      const weight = parseFloat(weights[category])
+      // Categories without a weight are not capped
+      const capped = isNaN(weight) ? rawDeductions[category] : Math.min(rawDeductions[category], weight)
+      deductions[category] = capped
+      totalDeduction += capped
+    })
+
+    return { score: Math.max(0, 100 - totalDeduction), deductions }
+  },
+
+  /**
+   * Most a category can lose: its weight on weighted scorecards, otherwise the
+   * sum of its parameters' points (counting max_occurrences, or 1, per parameter)
+   */
+  getCategoryMaxDeduction(scorecard, parameters, category) {
+    if (scorecard.scoring_type === 'weighted') {
+      const weight = parseFloat(this.getCategoryWeights(scorecard)[category])
+      if (!isNaN(weight)) return weight
+    }
+
+    return parameters
+      .filter(param => (param.error_category || 'Uncategorized') === category)
+      .reduce((sum, param) => {
+        const occurrences = parseInt(param.max_occurrences) > 0 ? parseInt(param.max_occurrences) : 1
+        return sum + (parseFloat(param.penalty_points) || 0) * occurrences
+      }, 0)
+  },
+
+  /**
+   * Zero out categories hit by a zero_category fail action
+   * Additive scorecards lose the points earned in the category; other types
+   * lose the category's maximum deduction.
+   */
+  applyZeroedCategories(scorecard, parameters, calculation, zeroedCategories) {
+    let score = calculation.score
+    const deductions = { ...calculation.deductions }
+
+    zeroedCategories.forEach(category => {
+      if (scorecard.scoring_type === 'additive') {
+        if (calculation.maxPossiblePoints > 0) {
+          score -= ((calculation.earned[category] || 0) / calculation.maxPossiblePoints) * 100
+        }
+        deductions[category] = parameters
+          .filter(param => (param.error_category || 'Uncategorized') === category)
+          .reduce((sum, param) => sum + (parseFloat(param.penalty_points) || 0), 0)
+        return
+      }
+
+      const maxDeduction = this.getCategoryMaxDeduction(scorecard, parameters, category)
+      const current = deductions[category] || 0
+      if (maxDeduction > current) {
+        score -= maxDeduction - current
+        deductions[category] = maxDeduction
+      }
+    })
+
+    return { ...calculation, score: Math.max(0, score), deductions }
+  },
+
+  /**
+   * Accumulate a deduction under the parameter's error_category
+   */
+  addToCategory(deductions, param, amount) {
+    const category = param.error_category || 'Uncategorized'
+    deductions[category] = (deductions[category] || 0) + amount
+  },
+
+  /**
+   * Count errors by severity
+   * @returns {{ criticalFail: number, critical: number, significant: number, major: number, minor: number, total: number, byCategory: Object }}
+   */
+  countErrors(parameters, values) {
+    const counts = { criticalFail: 0, critical: 0, significant: 0, major: 0, minor: 0, total: 0, byCategory: {} }
+
+    parameters.forEach(param => {
+      const errorCount = this.getErrorCount(values, param)
+      if (errorCount <= 0) return
+
+      const category = param.error_category || 'Uncategorized'
+      counts.byCategory[category] = (counts.byCategory[category] || 0) + errorCount
+
+      switch (this.getSeverity(param.error_category)) {
+        case 'Critical Fail':
+          counts.criticalFail += errorCount
+          break
+        case 'Critical':
+          counts.critical += errorCount
+          break
+        case 'Major':
+          counts.major += errorCount
+          break
+        case 'Minor':
+          counts.minor += errorCount
+          break
+        default:
+          counts.significant += errorCount
+      }
+      counts.total += errorCount
+    })
+
+    return counts
+  },
+
+  /**
+   * Calculate the score for a scorecard
+   * @param {Object} scorecard - scorecard row
+   * @param {Array} parameters - scorecard_parameters rows
+   * @param {Object} values - { [field_id]: number }
+   * @param {Object} context - audit context for visibility conditions ({ channel })
+   * @returns {Object} result
+   * @returns {number} result.score - final score rounded to 2 decimals
+   * @returns {string} result.scoringType - scoring type used
+   * @returns {Object} result.categoryDeductions - points lost per error_category
+   * @returns {Object} result.errorCounts - error counts by severity (see countErrors)
+   * @returns {boolean} result.hasCriticalFail - whether a fail_all/threshold_count action triggered
+   * @returns {Array<string>} result.criticalFailParameters - field_ids that failed the whole audit
+   * @returns {Array<Object>} result.triggeredFailActions - { field_id, action, value } for every triggered fail action
+   * @returns {Array<string>} result.zeroedCategories - categories zeroed by zero_category actions
+   * @returns {number|null} result.scoreCap - lowest cap applied by cap_score actions
+   * @returns {boolean} result.isPassing
+   * @returns {string} result.passingStatus - 'Passing' or 'Not Passing'
+   * @returns {Array<string>} result.hiddenParameters - field_ids hidden by visibility conditions (not scored)
+   * @returns {number} result.passingThreshold
+   */
+  calculateScore(scorecard, parameters, values, context = {}) {
+    const card = scorecard || {}
+    const allParams = Array.isArray(parameters) ? parameters : []
+    const params = this.getVisibleParameters(allParams, values, context)
+    const visibleIds = new Set(params.map(param => param.field_id))
+    const scoringType = card.scoring_type || 'deductive'
+
+    const triggeredFailActions = params
+      .filter(param => this.isFailActionTriggered(values, param))
+      .map(param => ({ field_id: param.field_id, error_category: param.error_category || 'Uncategorized', ...this.getFailAction(param) }))
+
+    let calculation
+    switch (scoringType) {
+      case 'additive':
+        calculation = this.calculateAdditive(card, params, values)
+        break
+      case 'hybrid':
+        calculation = this.calculateHybrid(card, params, values)
+        break
+      case 'weighted':
+        calculation = this.calculateWeighted(card, params, values)
+        break
+      case 'deductive':
+      default:
+        calculation = this.calculateDeductive(card, params, values)
+    }
+
+    const zeroedCategories = [...new Set(triggeredFailActions
+      .filter(failAction => failAction.action === FAIL_ACTIONS.ZERO_CATEGORY)
+      .map(failAction => failAction.error_category))]
+    if (zeroedCategories.length > 0) {
+      calculation = this.applyZeroedCategories(card, params, calculation, zeroedCategories)
+    }
+
+    const caps = triggeredFailActions
+      .filter(failAction => failAction.action === FAIL_ACTIONS.CAP_SCORE)
+      .map(failAction => failAction.value || 0)
+    const scoreCap = caps.length > 0 ? Math.min(...caps) : null
+    const cappedScore = scoreCap !== null ? Math.min(calculation.score, scoreCap) : calculation.score
+
+    const score = Math.round(cappedScore * 100) / 100
+    const criticalFailParameters = triggeredFailActions
+      .filter(failAction => failAction.action === FAIL_ACTIONS.FAIL_ALL || failAction.action === FAIL_ACTIONS.THRESHOLD_COUNT)
+      .map(failAction => failAction.field_id)
+    const hasCriticalFail = criticalFailParameters.length > 0
+
+    return {
+      score,
+      scoringType,
+      categoryDeductions: calculation.deductions,
+      errorCounts: this.countErrors(params, values),
+      hasCriticalFail,
+      criticalFailParameters,
+      triggeredFailActions: triggeredFailActions.map(({ field_id, action, value }) => ({ field_id, action, value })),
+      zeroedCategories,
+      scoreCap,
+      hiddenParameters: allParams.filter(param => !visibleIds.has(param.field_id)).map(param => param.field_id),
+      ...this.getPassingStatus(card, score, hasCriticalFail)
+    }
+  }
+}
+
+window.ScoringEngine = ScoringEngine
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScoringEngine
+}
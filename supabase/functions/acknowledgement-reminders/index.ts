@@ -0,0 +1,382 @@
+// Acknowledgement Reminders Edge Function
+// Runs on a schedule (e.g. hourly from pg_cron or an external scheduler).
+// Works through the open agents of active acknowledgement reminder campaigns:
+// audits still unacknowledged past the campaign's auto_acknowledge_after_days
+// (counted from the agent's first reminder) are acknowledged for the agent and
+// logged in audit_activity_log; agents with audits left get a follow-up when one
+// is due; agents with nothing left, or out of follow-ups, are done. Agents whose
+// first reminder failed when the campaign was created get it here.
+//
+// Emails are posted to ACK_REMINDER_WEBHOOK_URL; without it reminders are still
+// recorded (the in-app notification), with the missing webhook as their email_error.
+//
+// The reminder row and webhook payload mirror acknowledgement-reminders.js;
+// change them together.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const NOTIFICATION_WEBHOOK_URL = Deno.env.get('ACK_REMINDER_WEBHOOK_URL') || ''
+const APP_BASE_URL = Deno.env.get('APP_BASE_URL') || ''
+
+const SYSTEM_ACTOR = { email: null, name: 'Acknowledgement Reminders' }
+const BATCH_SIZE = 100 // Supabase limit for .in() queries
+const HOUR_MS = 3600000
+// Left to the page that creates the campaign, which sends the first reminders itself
+const INITIAL_REMINDER_GRACE_MS = 10 * 60 * 1000
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+interface Campaign {
+  id: string
+  name: string
+  message: string | null
+  follow_up_interval_hours: number
+  max_follow_ups: number
+  auto_acknowledge_after_days: number | null
+  created_at: string
+}
+
+interface AuditRef {
+  audit_id: string
+  table_name: string
+}
+
+interface Recipient {
+  id: string
+  campaign_id: string
+  agent_email: string
+  agent_name: string | null
+  team_lead_email: string | null
+  audits: AuditRef[]
+  follow_ups_sent: number
+  first_reminded_at: string | null
+  last_reminded_at: string | null
+  next_follow_up_at: string | null
+  auto_acknowledged_count: number
+}
+
+async function selectIn(supabase: SupabaseClient, table: string, columns: string, column: string, values: string[]) {
+  const rows: any[] = []
+  for (let i = 0; i < values.length; i += BATCH_SIZE) {
+    const { data, error } = await supabase.from(table).select(columns).in(column, values.slice(i, i + BATCH_SIZE))
+    if (error) throw new Error(`Failed to read ${table}: ${error.message}`)
+    rows.push(...(data || []))
+  }
+  return rows
+}
+
+function isAcknowledged(audit: any): boolean {
+  return (audit.acknowledgement_status || '').toLowerCase().includes('acknowledged')
+}
+
+function buildWebhookPayload(campaign: Campaign, recipient: Recipient, reminder: any) {
+  const autoAcknowledgeAt = campaign.auto_acknowledge_after_days && recipient.first_reminded_at
+    ? new Date(new Date(recipient.first_reminded_at).getTime() + campaign.auto_acknowledge_after_days * 24 * HOUR_MS).toISOString()
+    : null
+
+  return {
+    type: 'acknowledgement_reminder',
+    kind: reminder.kind,
+    sequence: reminder.sequence,
+    campaign_id: campaign.id,
+    campaign_name: campaign.name,
+    message: campaign.message || null,
+    employee_email: recipient.agent_email,
+    employee_name: recipient.agent_name || null,
+    team_lead_email: recipient.team_lead_email || null,
+    pending_count: reminder.pending_count,
+    auto_acknowledge_at: autoAcknowledgeAt,
+    audits: recipient.audits.map(audit => ({
+      audit_id: audit.audit_id,
+      table_name: audit.table_name,
+      audit_url: APP_BASE_URL ? `${APP_BASE_URL}/audit-view.html?id=${audit.audit_id}&table=${audit.table_name}` : null
+    }))
+  }
+}
+
+function getNextFollowUpAt(campaign: Campaign, followUpsSent: number, from: Date): string | null {
+  return followUpsSent < campaign.max_follow_ups
+    ? new Date(from.getTime() + Number(campaign.follow_up_interval_hours) * HOUR_MS).toISOString()
+    : null
+}
+
+// Send a reminder about the pending audits. It is claimed first (one row per
+// recipient and sequence) so overlapping runs send it only once; sent is false
+// when it already was.
+async function sendReminder(
+  supabase: SupabaseClient,
+  campaign: Campaign,
+  recipient: Recipient,
+  pending: AuditRef[],
+  kind: 'initial' | 'follow_up',
+  sequence: number,
+  now: Date
+): Promise<{ sent: boolean, emailError: string | null }> {
+  const nowIso = now.toISOString()
+  const { data: claimed, error: claimError } = await supabase
+    .from('acknowledgement_reminders')
+    .upsert({
+      campaign_id: campaign.id,
+      recipient_id: recipient.id,
+      agent_email: recipient.agent_email,
+      kind,
+      sequence,
+      pending_count: pending.length,
+      message: campaign.message || null,
+      sent_at: nowIso,
+      sent_by_email: SYSTEM_ACTOR.email,
+      sent_by_name: SYSTEM_ACTOR.name
+    }, { onConflict: 'recipient_id,sequence', ignoreDuplicates: true })
+    .select()
+  if (claimError) throw claimError
+
+  if (!claimed || claimed.length === 0) {
+    // A first reminder stored by the page without the recipient being updated:
+    // start the follow-up clock from it
+    if (kind === 'initial') {
+      const { data: existing, error: existingError } = await supabase
+        .from('acknowledgement_reminders')
+        .select('sent_at')
+        .eq('recipient_id', recipient.id)
+        .eq('sequence', 0)
+        .maybeSingle()
+      if (existingError) throw existingError
+      if (existing) {
+        await supabase
+          .from('acknowledgement_reminder_recipients')
+          .update({
+            first_reminded_at: existing.sent_at,
+            last_reminded_at: existing.sent_at,
+            next_follow_up_at: getNextFollowUpAt(campaign, 0, new Date(existing.sent_at))
+          })
+          .eq('id', recipient.id)
+          .is('first_reminded_at', null)
+      }
+    }
+    return { sent: false, emailError: null }
+  }
+  const reminder = claimed[0]
+
+  const { error: recipientError } = await supabase
+    .from('acknowledgement_reminder_recipients')
+    .update({
+      ...(kind === 'initial' ? { first_reminded_at: nowIso } : { follow_ups_sent: sequence }),
+      last_reminded_at: nowIso,
+      next_follow_up_at: getNextFollowUpAt(campaign, sequence, now)
+    })
+    .eq('id', recipient.id)
+  if (recipientError) throw recipientError
+
+  let emailError: string | null = null
+  try {
+    if (!NOTIFICATION_WEBHOOK_URL) throw new Error('ACK_REMINDER_WEBHOOK_URL is not set')
+    const response = await fetch(NOTIFICATION_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(buildWebhookPayload(campaign, { ...recipient, first_reminded_at: recipient.first_reminded_at || nowIso, audits: pending }, reminder))
+    })
+    if (!response.ok) emailError = `${response.status} ${await response.text()}`
+  } catch (error) {
+    emailError = error.message || String(error)
+  }
+  if (emailError) console.warn(`⚠️ Reminder email to ${recipient.agent_email} failed:`, emailError)
+
+  await supabase
+    .from('acknowledgement_reminders')
+    .update(emailError ? { email_error: emailError } : { emailed_at: new Date().toISOString() })
+    .eq('id', reminder.id)
+
+  return { sent: true, emailError }
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error('Missing Supabase configuration')
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+    const now = new Date()
+    const nowIso = now.toISOString()
+
+    console.log('🔔 Checking acknowledgement reminder campaigns...')
+
+    const { data: campaigns, error: campaignsError } = await supabase
+      .from('acknowledgement_reminder_campaigns')
+      .select('*')
+      .eq('status', 'active')
+    if (campaignsError) throw new Error(`Failed to load campaigns: ${campaignsError.message}`)
+
+    if (!campaigns || campaigns.length === 0) {
+      return new Response(
+        JSON.stringify({ success: true, checked: 0, initial_reminders: 0, follow_ups: 0, auto_acknowledged: 0 }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const campaignsById = new Map((campaigns as Campaign[]).map(campaign => [campaign.id, campaign]))
+    const recipients = (await selectIn(supabase, 'acknowledgement_reminder_recipients', '*', 'campaign_id', [...campaignsById.keys()]))
+      .filter(recipient => !recipient.completed_at) as Recipient[]
+
+    // Current state of every reminded audit, per scorecard table
+    const auditIdsByTable = new Map<string, Set<string>>()
+    for (const recipient of recipients) {
+      for (const audit of recipient.audits || []) {
+        if (!auditIdsByTable.has(audit.table_name)) auditIdsByTable.set(audit.table_name, new Set())
+        auditIdsByTable.get(audit.table_name)!.add(audit.audit_id)
+      }
+    }
+    const auditsByKey = new Map<string, any>()
+    for (const [tableName, auditIds] of auditIdsByTable.entries()) {
+      try {
+        const audits = await selectIn(supabase, tableName, 'id, acknowledgement_status, reversal_requested_at', 'id', [...auditIds])
+        audits.forEach(audit => auditsByKey.set(`${tableName}:${audit.id}`, audit))
+      } catch (error) {
+        console.warn(`⚠️ Could not load audits from ${tableName}:`, error.message)
+      }
+    }
+
+    const results = { checked: 0, initial_reminders: 0, follow_ups: 0, auto_acknowledged: 0, completed: 0, email_failures: 0, errors: 0 }
+
+    for (const recipient of recipients) {
+      const campaign = campaignsById.get(recipient.campaign_id)
+      if (!campaign) continue
+      if (!recipient.first_reminded_at && now.getTime() - new Date(campaign.created_at).getTime() < INITIAL_REMINDER_GRACE_MS) continue
+      results.checked++
+
+      try {
+        // Audits the agent still has to act on; a reversal request is handled by the reversal workflow
+        let pending = (recipient.audits || []).filter(ref => {
+          const audit = auditsByKey.get(`${ref.table_name}:${ref.audit_id}`)
+          return audit && !isAcknowledged(audit) && !audit.reversal_requested_at
+        })
+
+        // Never reminded: the first reminder failed when the campaign was created
+        if (!recipient.first_reminded_at && pending.length > 0) {
+          const { sent, emailError } = await sendReminder(supabase, campaign, recipient, pending, 'initial', 0, now)
+          if (sent) results.initial_reminders++
+          if (emailError) results.email_failures++
+          continue
+        }
+
+        const autoAcknowledgeAt = campaign.auto_acknowledge_after_days && recipient.first_reminded_at
+          ? new Date(new Date(recipient.first_reminded_at).getTime() + campaign.auto_acknowledge_after_days * 24 * HOUR_MS)
+          : null
+
+        if (autoAcknowledgeAt && now >= autoAcknowledgeAt && pending.length > 0) {
+          let autoAcknowledged = 0
+          const failed: AuditRef[] = []
+          for (const ref of pending) {
+            // Only while still unacknowledged, so an acknowledgement made meanwhile isn't overwritten
+            const { data: updated, error: auditError } = await supabase
+              .from(ref.table_name)
+              .update({ acknowledgement_status: 'Acknowledged', acknowledgement_status_updated_at: nowIso })
+              .eq('id', ref.audit_id)
+              .is('reversal_requested_at', null)
+              .or('acknowledgement_status.is.null,acknowledgement_status.not.ilike.*acknowledged*')
+              .select('id')
+            if (auditError) {
+              console.warn(`⚠️ Could not auto-acknowledge audit ${ref.audit_id}:`, auditError.message)
+              results.errors++
+              failed.push(ref)
+              continue
+            }
+            if (!updated || updated.length === 0) continue
+            autoAcknowledged++
+
+            await supabase.from('audit_activity_log').insert({
+              audit_id: ref.audit_id,
+              scorecard_table_name: ref.table_name,
+              activity_type: 'audit_auto_acknowledged',
+              activity_timestamp: nowIso,
+              performed_by_email: SYSTEM_ACTOR.email,
+              performed_by_name: SYSTEM_ACTOR.name,
+              change_reason: `Automatically acknowledged ${campaign.auto_acknowledge_after_days} days after the first reminder of "${campaign.name}"`,
+              metadata: {
+                campaign_id: campaign.id,
+                recipient_id: recipient.id,
+                employee_email: recipient.agent_email,
+                first_reminded_at: recipient.first_reminded_at,
+                auto_acknowledge_after_days: campaign.auto_acknowledge_after_days
+              }
+            })
+          }
+
+          if (autoAcknowledged > 0) {
+            results.auto_acknowledged += autoAcknowledged
+            await supabase
+              .from('acknowledgement_reminder_recipients')
+              .update({ auto_acknowledged_count: recipient.auto_acknowledged_count + autoAcknowledged })
+              .eq('id', recipient.id)
+          }
+          // Audits that couldn't be updated stay pending and are retried on the next run
+          pending = failed
+          if (pending.length > 0) continue
+        }
+
+        const lastRemindedAt = new Date(recipient.last_reminded_at || recipient.first_reminded_at).getTime()
+        const followUpsExhausted = recipient.follow_ups_sent >= campaign.max_follow_ups
+        const lastWindowOver = now.getTime() >= lastRemindedAt + Number(campaign.follow_up_interval_hours) * HOUR_MS
+
+        if (pending.length === 0 || (followUpsExhausted && lastWindowOver && !autoAcknowledgeAt)) {
+          await supabase
+            .from('acknowledgement_reminder_recipients')
+            .update({ completed_at: nowIso, completion_reason: pending.length === 0 ? 'acknowledged' : 'follow_ups_exhausted', next_follow_up_at: null })
+            .eq('id', recipient.id)
+          results.completed++
+          continue
+        }
+
+        if (followUpsExhausted || !recipient.next_follow_up_at || now < new Date(recipient.next_follow_up_at)) continue
+
+        const { sent, emailError } = await sendReminder(supabase, campaign, recipient, pending, 'follow_up', recipient.follow_ups_sent + 1, now)
+        if (sent) results.follow_ups++
+        if (emailError) results.email_failures++
+      } catch (error) {
+        console.error(`❌ Could not process reminders for ${recipient.agent_email}:`, error.message || error)
+        results.errors++
+      }
+    }
+
+    // Campaigns with no open agents left are done
+    for (const campaign of campaigns as Campaign[]) {
+      const { count, error } = await supabase
+        .from('acknowledgement_reminder_recipients')
+        .select('id', { count: 'exact', head: true })
+        .eq('campaign_id', campaign.id)
+        .is('completed_at', null)
+      if (error || (count ?? 0) > 0) continue
+
+      await supabase
+        .from('acknowledgement_reminder_campaigns')
+        .update({ status: 'completed', completed_at: nowIso })
+        .eq('id', campaign.id)
+        .eq('status', 'active')
+    }
+
+    console.log('✅ Acknowledgement reminder check finished:', results)
+
+    return new Response(
+      JSON.stringify({ success: true, ...results }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  } catch (error) {
+    console.error('❌ Error in acknowledgement reminders:', error)
+    return new Response(
+      JSON.stringify({ error: error.message || 'Unknown error' }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+})
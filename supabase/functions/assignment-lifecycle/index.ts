@@ -0,0 +1,175 @@
+// Assignment Lifecycle Edge Function
+// Runs on a schedule (e.g. daily from pg_cron or an external scheduler).
+// Expires pending audit_assignments that weren't started by the end of their
+// scheduled Dhaka week (Monday to Sunday), plus grace_days from
+// audit_assignment_lifecycle_settings. A snooze pushes expiry back to the
+// snooze date's week. With rollover on, each expired assignment is replaced
+// by a new pending one for the current week with the same agent, auditor and
+// scorecard. expire_audit_assignment() does both in one transaction, and only
+// while the assignment is still pending, so overlapping runs roll it over only
+// once and a failed rollover leaves it pending for the next run.
+//
+// The audit_assignments trigger records each expiry and rollover in
+// audit_assignment_history and audit_activity_log.
+//
+// POST { "force": true } runs even when auto_expire is off ("Expire now" on
+// audit-distribution.html). It needs a signed-in user's token whose role is in
+// FORCE_ROLES (ASSIGNMENT_EXPIRY_ROLES in assignment-lifecycle.js).
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const DAY_MS = 86400000
+// Asia/Dhaka is UTC+6 all year, as in timezone-utils.js
+const DHAKA_OFFSET_MS = 6 * 3600000
+// Assignments handled per run
+const MAX_ASSIGNMENTS = 1000
+
+const SYSTEM_ACTOR = { email: 'system@assignment-lifecycle', name: 'Assignment Lifecycle' }
+const FORCE_ROLES = ['Super Admin', 'Admin', 'Quality Supervisor']
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+function dhakaDateString(time: number): string {
+  return new Date(time).toISOString().split('T')[0]
+}
+
+// Monday of the Dhaka week a UTC-midnight date falls in
+function mondayOf(dateTime: number): number {
+  const day = new Date(dateTime).getUTCDay()
+  return dateTime + (day === 0 ? -6 : 1 - day) * DAY_MS
+}
+
+// Same numbering as getDhakaWeekNumber() in timezone-utils.js
+function getDhakaWeekNumber(now: Date): number {
+  const dhaka = new Date(now.getTime() + DHAKA_OFFSET_MS)
+  const startOfYear = Date.UTC(dhaka.getUTCFullYear(), 0, 1)
+  const yearDay = new Date(startOfYear).getUTCDay()
+  const mondayOfWeek1 = startOfYear + (yearDay === 0 ? -6 : 1 - yearDay) * DAY_MS
+  const mondayOfDateWeek = mondayOf(Date.UTC(dhaka.getUTCFullYear(), dhaka.getUTCMonth(), dhaka.getUTCDate()))
+  return Math.floor((mondayOfDateWeek - mondayOfWeek1) / DAY_MS / 7) + 1
+}
+
+// Assignments dated before this Dhaka date have had their week (and grace days)
+function getExpiryCutoff(now: Date, graceDays: number): string {
+  const dhaka = new Date(now.getTime() + DHAKA_OFFSET_MS)
+  const today = Date.UTC(dhaka.getUTCFullYear(), dhaka.getUTCMonth(), dhaka.getUTCDate())
+  return dhakaDateString(mondayOf(today - graceDays * DAY_MS))
+}
+
+// Whether the request's user may force an expiry run
+async function canForce(supabase: SupabaseClient, req: Request): Promise<boolean> {
+  const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+  if (!token) return false
+
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+  if (error || !user?.email) return false
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('role')
+    .eq('email', user.email.toLowerCase())
+    .maybeSingle()
+  return FORCE_ROLES.includes(profile?.role)
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error('Missing Supabase configuration')
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+    const now = new Date()
+    const body = req.method === 'POST' ? await req.json().catch(() => ({})) : {}
+    const force = body?.force === true
+
+    if (force && !(await canForce(supabase, req))) {
+      return new Response(
+        JSON.stringify({ error: `Only ${FORCE_ROLES.join(', ')} can expire assignments now` }),
+        { status: 403, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const { data: settings, error: settingsError } = await supabase
+      .from('audit_assignment_lifecycle_settings')
+      .select('*')
+      .maybeSingle()
+    if (settingsError) throw new Error(`Failed to load lifecycle settings: ${settingsError.message}`)
+
+    const results = { checked: 0, expired: 0, rolled_over: 0, errors: 0 }
+    if (!force && settings && !settings.auto_expire) {
+      console.log('⏸️ Automatic expiry is off')
+      return new Response(
+        JSON.stringify({ success: true, ...results }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const rollover = !!settings?.rollover
+    const cutoff = getExpiryCutoff(now, settings?.grace_days || 0)
+    const cutoffIso = new Date(Date.parse(`${cutoff}T00:00:00Z`) - DHAKA_OFFSET_MS).toISOString()
+    const today = dhakaDateString(now.getTime() + DHAKA_OFFSET_MS)
+    const week = getDhakaWeekNumber(now)
+
+    console.log(`📋 Expiring pending assignments dated before ${cutoff}${rollover ? ' with rollover' : ''}...`)
+
+    const { data: candidates, error: candidatesError } = await supabase
+      .from('audit_assignments')
+      .select('*')
+      .eq('status', 'pending')
+      .or(`scheduled_date.lt.${cutoff},and(scheduled_date.is.null,created_at.lt.${cutoffIso})`)
+      .order('scheduled_date', { ascending: true })
+      .limit(MAX_ASSIGNMENTS)
+    if (candidatesError) throw new Error(`Failed to load assignments: ${candidatesError.message}`)
+
+    for (const assignment of candidates || []) {
+      // Snoozed into a week that isn't over yet
+      if (assignment.snoozed_until && assignment.snoozed_until >= cutoff) continue
+      results.checked++
+
+      const scheduled = assignment.scheduled_date || dhakaDateString(Date.parse(assignment.created_at) + DHAKA_OFFSET_MS)
+      const { data: expired, error: expireError } = await supabase.rpc('expire_audit_assignment', {
+        p_assignment_id: assignment.id,
+        p_reason: `Not started by the end of the week of ${scheduled}`,
+        p_actor_email: SYSTEM_ACTOR.email,
+        p_actor_name: SYSTEM_ACTOR.name,
+        p_rollover_date: rollover ? today : null,
+        p_rollover_week: rollover ? week : null,
+        p_rollover_reason: rollover ? `Rolled over from the expired assignment of ${scheduled}` : null
+      })
+      if (expireError) {
+        console.error(`❌ Could not expire assignment ${assignment.id}:`, expireError.message)
+        results.errors++
+        continue
+      }
+      if (!expired?.id) continue // Started or expired meanwhile
+      results.expired++
+      if (rollover) results.rolled_over++
+    }
+
+    console.log('✅ Assignment lifecycle check finished:', results)
+
+    return new Response(
+      JSON.stringify({ success: true, ...results }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  } catch (error) {
+    console.error('❌ Error in assignment lifecycle:', error)
+    return new Response(
+      JSON.stringify({ error: error.message || 'Unknown error' }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+})
@@ -0,0 +1,421 @@
+// Audit Distribution Rules Edge Function
+// Runs on a schedule (e.g. hourly from pg_cron or an external scheduler).
+// Writes audit_assignments for every active distribution rule that is due:
+// each agent of the rule's channels is topped up to audits_per_agent
+// assignments of the rule's scorecard for the current Dhaka week or month,
+// and the new audits go round-robin to the eligible Quality Analysts. Every
+// run claims the rule (run_started_at) before anything is written, and a
+// scheduled run also moves its next_run_at to the start of the next period,
+// so overlapping runs distribute a rule only once.
+//
+// POST { "rule_id": "..." } runs one rule now ("Run now" on
+// audit-distribution.html) without moving its next run.
+// POST { "rule_id": "..." | "rule": {...}, "dry_run": true } returns the plan
+// without writing anything, for the preview on audit-distribution.html.
+// Both need a signed-in user's token whose role is in RUN_ROLES.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const DAY_MS = 86400000
+// Asia/Dhaka is UTC+6 all year, as in timezone-utils.js
+const DHAKA_OFFSET_MS = 6 * 3600000
+// Supabase limit for .in() filters
+const BATCH_SIZE = 100
+// A claim older than this is from a run that died, and may be taken over
+const RUN_CLAIM_MS = 15 * 60000
+
+const RUN_ROLES = ['Super Admin', 'Admin', 'Quality Supervisor']
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+interface Rule {
+  id?: string
+  name: string
+  scorecard_id: string
+  channel: string | null
+  audits_per_agent: number
+  period: string
+  auditor_pool: string
+  exclude_quality_mentor: boolean
+  round_robin_offset: number
+  next_run_at?: string
+  run_started_at?: string | null
+  created_by: string | null
+}
+
+function dhakaDateString(time: number): string {
+  return new Date(time).toISOString().split('T')[0]
+}
+
+// The current Dhaka week (Monday start) or month, as dates, and when the next one starts
+function getPeriod(now: Date, period: string) {
+  const dhaka = new Date(now.getTime() + DHAKA_OFFSET_MS)
+  const year = dhaka.getUTCFullYear()
+  const month = dhaka.getUTCMonth()
+  let start: number
+  let nextStart: number
+  if (period === 'month') {
+    start = Date.UTC(year, month, 1)
+    nextStart = Date.UTC(year, month + 1, 1)
+  } else {
+    const day = dhaka.getUTCDay()
+    start = Date.UTC(year, month, dhaka.getUTCDate()) + (day === 0 ? -6 : 1 - day) * DAY_MS
+    nextStart = start + 7 * DAY_MS
+  }
+  return {
+    start: dhakaDateString(start),
+    end: dhakaDateString(nextStart - DAY_MS),
+    nextRunAt: new Date(nextStart - DHAKA_OFFSET_MS)
+  }
+}
+
+// Same numbering as getDhakaWeekNumber() in timezone-utils.js
+function getDhakaWeekNumber(now: Date): number {
+  const dhaka = new Date(now.getTime() + DHAKA_OFFSET_MS)
+  const startOfYear = Date.UTC(dhaka.getUTCFullYear(), 0, 1)
+  const yearDay = new Date(startOfYear).getUTCDay()
+  const mondayOfWeek1 = startOfYear + (yearDay === 0 ? -6 : 1 - yearDay) * DAY_MS
+  const day = dhaka.getUTCDay()
+  const mondayOfDateWeek = Date.UTC(dhaka.getUTCFullYear(), dhaka.getUTCMonth(), dhaka.getUTCDate()) + (day === 0 ? -6 : 1 - day) * DAY_MS
+  return Math.floor((mondayOfDateWeek - mondayOfWeek1) / DAY_MS / 7) + 1
+}
+
+// Whether the request comes from a signed-in user who may run or preview rules
+async function canRun(supabase: SupabaseClient, req: Request): Promise<boolean> {
+  const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+  if (!token) return false
+
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+  if (error || !user?.email) return false
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('role')
+    .eq('email', user.email.toLowerCase())
+    .maybeSingle()
+  return RUN_ROLES.includes(profile?.role)
+}
+
+// Claim a rule for this run; a scheduled run also moves next_run_at to the
+// start of the next period. Returns the claimed row, or null when another run
+// has it.
+async function claimRule(supabase: SupabaseClient, rule: Rule, now: Date, scheduled: boolean): Promise<Rule | null> {
+  const staleIso = new Date(now.getTime() - RUN_CLAIM_MS).toISOString()
+  let claim = supabase
+    .from('audit_distribution_rules')
+    .update(scheduled
+      ? { run_started_at: now.toISOString(), next_run_at: getPeriod(now, rule.period).nextRunAt.toISOString() }
+      : { run_started_at: now.toISOString() })
+    .eq('id', rule.id)
+    .or(`run_started_at.is.null,run_started_at.lt.${staleIso}`)
+  if (scheduled) claim = claim.eq('next_run_at', rule.next_run_at)
+
+  const { data, error } = await claim.select('*')
+  if (error) throw new Error(`Could not claim rule ${rule.name}: ${error.message}`)
+  return data && data.length > 0 ? data[0] as Rule : null
+}
+
+function normalizeEmail(email: string | null | undefined): string {
+  return (email || '').toLowerCase().trim()
+}
+
+// Rule fields from an unsaved rule sent for a dry run
+function readRule(input: any): Rule {
+  if (!input?.scorecard_id) throw new Error('Pick a scorecard')
+  const auditsPerAgent = parseInt(input.audits_per_agent)
+  if (!(auditsPerAgent >= 1 && auditsPerAgent <= 50)) throw new Error('Audits per agent must be between 1 and 50')
+  return {
+    id: input.id,
+    name: input.name || 'Preview',
+    scorecard_id: input.scorecard_id,
+    channel: input.channel || null,
+    audits_per_agent: auditsPerAgent,
+    period: input.period === 'month' ? 'month' : 'week',
+    auditor_pool: input.auditor_pool === 'all' ? 'all' : 'same_channel',
+    exclude_quality_mentor: input.exclude_quality_mentor !== false,
+    round_robin_offset: parseInt(input.round_robin_offset) || 0,
+    created_by: input.created_by || null
+  }
+}
+
+// Work out a rule's assignments for the current period without writing them
+async function planRule(supabase: SupabaseClient, rule: Rule, analysts: any[], now: Date) {
+  const { data: scorecard, error: scorecardError } = await supabase
+    .from('scorecards')
+    .select('id, name, channels, is_active')
+    .eq('id', rule.scorecard_id)
+    .single()
+  if (scorecardError || !scorecard) throw new Error(`Scorecard ${rule.scorecard_id} not found`)
+  if (!scorecard.is_active) throw new Error(`Scorecard ${scorecard.name} is inactive`)
+
+  const scorecardChannels = (scorecard.channels || '').split(',').map((channel: string) => channel.trim()).filter(Boolean)
+  if (rule.channel && !scorecardChannels.includes(rule.channel)) {
+    throw new Error(`Scorecard ${scorecard.name} is not used for the ${rule.channel} channel`)
+  }
+  const channels = rule.channel ? [rule.channel] : scorecardChannels
+  if (channels.length === 0) throw new Error(`Scorecard ${scorecard.name} has no channels`)
+
+  const { data: agentRows, error: agentsError } = await supabase
+    .from('users')
+    .select('email, name, channel, quality_mentor')
+    .eq('is_active', true)
+    .neq('role', 'Quality Analyst')
+    .in('channel', channels)
+    .order('name', { ascending: true })
+  if (agentsError) throw new Error(`Failed to load agents: ${agentsError.message}`)
+  const agents = (agentRows || []).filter((agent: any) => agent.email)
+
+  const period = getPeriod(now, rule.period)
+  const existing = new Map<string, number>()
+  const agentEmails = agents.map((agent: any) => agent.email)
+  for (let i = 0; i < agentEmails.length; i += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('audit_assignments')
+      .select('employee_email')
+      .eq('scorecard_id', rule.scorecard_id)
+      .gte('scheduled_date', period.start)
+      .lte('scheduled_date', period.end)
+      .in('employee_email', agentEmails.slice(i, i + BATCH_SIZE))
+    if (error) throw new Error(`Failed to read assignments: ${error.message}`)
+    ;(data || []).forEach((row: any) => {
+      const email = normalizeEmail(row.employee_email)
+      existing.set(email, (existing.get(email) || 0) + 1)
+    })
+  }
+
+  // One round-robin queue per pool, starting where the rule's last run stopped
+  const pools = new Map<string, { analysts: any[], cursor: number }>()
+  const getPool = (channel: string) => {
+    const key = rule.auditor_pool === 'all' ? '*' : channel
+    if (!pools.has(key)) {
+      const members = analysts.filter(analyst => rule.auditor_pool === 'all' || analyst.channel === channel)
+      pools.set(key, { analysts: members, cursor: members.length > 0 ? rule.round_robin_offset % members.length : 0 })
+    }
+    return pools.get(key)!
+  }
+
+  const scheduledDate = dhakaDateString(now.getTime() + DHAKA_OFFSET_MS)
+  const week = getDhakaWeekNumber(now)
+  const assignments: any[] = []
+  const skipped: any[] = []
+  const agentSummaries = agents.map((agent: any) => {
+    const email = normalizeEmail(agent.email)
+    const already = existing.get(email) || 0
+    const needed = Math.max(0, rule.audits_per_agent - already)
+    const pool = getPool(agent.channel)
+    const mentor = rule.exclude_quality_mentor ? normalizeEmail(agent.quality_mentor) : ''
+    const isEligible = (analyst: any) => {
+      const analystEmail = normalizeEmail(analyst.email)
+      return analystEmail !== email && (!mentor || analystEmail !== mentor)
+    }
+
+    let planned = 0
+    for (let slot = 0; slot < needed; slot++) {
+      let picked = -1
+      for (let step = 0; step < pool.analysts.length; step++) {
+        const index = (pool.cursor + step) % pool.analysts.length
+        if (isEligible(pool.analysts[index])) {
+          picked = index
+          break
+        }
+      }
+      if (picked === -1) break
+
+      const analyst = pool.analysts[picked]
+      pool.cursor = (picked + 1) % pool.analysts.length
+      planned++
+      assignments.push({
+        employee_email: agent.email,
+        employee_name: agent.name,
+        auditor_email: analyst.email,
+        auditor_name: analyst.name,
+        channel: agent.channel
+      })
+    }
+
+    if (planned < needed) {
+      skipped.push({
+        employee_email: agent.email,
+        employee_name: agent.name,
+        reason: pool.analysts.length === 0
+          ? `No Quality Analysts${rule.auditor_pool === 'all' ? '' : ` in ${agent.channel}`}`
+          : 'No eligible Quality Analyst besides their Quality Mentor'
+      })
+    }
+
+    return { email: agent.email, name: agent.name, channel: agent.channel, existing: already, planned }
+  })
+
+  return {
+    rule_id: rule.id || null,
+    scorecard: { id: scorecard.id, name: scorecard.name },
+    period: { type: rule.period, start: period.start, end: period.end },
+    scheduled_date: scheduledDate,
+    week,
+    audits_per_agent: rule.audits_per_agent,
+    agents: agentSummaries,
+    assignments,
+    skipped,
+    next_run_at: period.nextRunAt.toISOString()
+  }
+}
+
+// Write a plan's assignments
+async function commitPlan(supabase: SupabaseClient, rule: Rule, plan: any) {
+  if (plan.assignments.length === 0) return 0
+
+  const rows = plan.assignments.map((assignment: any) => ({
+    employee_email: assignment.employee_email,
+    employee_name: assignment.employee_name,
+    auditor_email: assignment.auditor_email,
+    scorecard_id: rule.scorecard_id,
+    status: 'pending',
+    assigned_by: rule.created_by || 'distribution-rule',
+    scheduled_date: plan.scheduled_date,
+    week: plan.week,
+    distribution_rule_id: rule.id
+  }))
+
+  const { error: insertError } = await supabase.from('audit_assignments').insert(rows)
+  if (insertError) throw new Error(`Failed to create assignments: ${insertError.message}`)
+
+  // Next run continues the round-robin where this one stopped
+  const { error: offsetError } = await supabase
+    .rpc('advance_distribution_rule_offset', { p_rule_id: rule.id, p_count: rows.length })
+  if (offsetError) console.warn(`⚠️ Could not move the round-robin of ${rule.name}:`, offsetError.message)
+  return rows.length
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error('Missing Supabase configuration')
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+    const now = new Date()
+    const nowIso = now.toISOString()
+    const body = req.method === 'POST' ? await req.json().catch(() => ({})) : {}
+    const manualRuleId: string | null = body?.rule_id || null
+    const dryRun = body?.dry_run === true
+
+    if ((manualRuleId || dryRun) && !(await canRun(supabase, req))) {
+      return new Response(
+        JSON.stringify({ error: `Only ${RUN_ROLES.join(', ')} can run or preview distribution rules` }),
+        { status: 403, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const { data: analysts, error: analystsError } = await supabase
+      .from('users')
+      .select('email, name, channel')
+      .eq('role', 'Quality Analyst')
+      .eq('is_active', true)
+      .order('name', { ascending: true })
+    if (analystsError) throw new Error(`Failed to load Quality Analysts: ${analystsError.message}`)
+
+    if (dryRun) {
+      let rule: Rule
+      if (manualRuleId) {
+        const { data, error } = await supabase.from('audit_distribution_rules').select('*').eq('id', manualRuleId).single()
+        if (error || !data) throw new Error(`Rule ${manualRuleId} not found`)
+        rule = data as Rule
+      } else {
+        rule = readRule(body?.rule)
+      }
+
+      console.log(`🔍 Previewing distribution rule ${rule.name}...`)
+      const plan = await planRule(supabase, rule, analysts || [], now)
+      return new Response(
+        JSON.stringify({ success: true, dry_run: true, plan }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    console.log(manualRuleId ? `📋 Running distribution rule ${manualRuleId}...` : '📋 Checking distribution rules...')
+
+    let rulesQuery = supabase.from('audit_distribution_rules').select('*')
+    rulesQuery = manualRuleId
+      ? rulesQuery.eq('id', manualRuleId)
+      : rulesQuery.eq('is_active', true).lte('next_run_at', nowIso)
+    const { data: rules, error: rulesError } = await rulesQuery
+    if (rulesError) throw new Error(`Failed to load rules: ${rulesError.message}`)
+
+    const results = { checked: 0, runs: 0, assignments_created: 0, errors: 0 }
+    if (!rules || rules.length === 0) {
+      return new Response(
+        JSON.stringify({ success: true, ...results }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    for (const dueRule of rules as Rule[]) {
+      results.checked++
+
+      let rule: Rule | null
+      try {
+        rule = await claimRule(supabase, dueRule, now, !manualRuleId)
+      } catch (error) {
+        console.error(`❌ ${error.message}`)
+        results.errors++
+        continue
+      }
+      if (!rule) {
+        if (manualRuleId) {
+          return new Response(
+            JSON.stringify({ error: `${dueRule.name} is already running. Try again in a few minutes.` }),
+            { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+          )
+        }
+        continue // Claimed by another run
+      }
+
+      let runError: string | null = null
+      let created = 0
+      try {
+        const plan = await planRule(supabase, rule, analysts || [], now)
+        created = await commitPlan(supabase, rule, plan)
+        results.runs++
+        results.assignments_created += created
+        if (plan.skipped.length > 0) {
+          runError = `${plan.skipped.length} agent(s) could not be fully assigned: ${plan.skipped[0].reason}`
+        }
+        console.log(`✅ ${rule.name}: created ${created} assignment(s)`)
+      } catch (error) {
+        runError = error.message || String(error)
+        console.warn(`⚠️ ${rule.name}: ${runError}`)
+        results.errors++
+      }
+
+      await supabase
+        .from('audit_distribution_rules')
+        .update({ last_run_at: nowIso, last_run_created: created, last_run_error: runError, run_started_at: null })
+        .eq('id', rule.id)
+    }
+
+    console.log('✅ Distribution rule check finished:', results)
+
+    return new Response(
+      JSON.stringify({ success: true, ...results }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  } catch (error) {
+    console.error('❌ Error in audit distribution rules:', error)
+    return new Response(
+      JSON.stringify({ error: error.message || 'Unknown error' }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+})
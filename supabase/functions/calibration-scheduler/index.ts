@@ -0,0 +1,281 @@
+// Calibration Scheduler Edge Function
+// Runs on a schedule (e.g. hourly from pg_cron or an external scheduler).
+// Opens calibration sessions for every active calibration schedule that is
+// due: picks samples from the scorecard's recent audits with the schedule's
+// sample_strategy, invites every active Quality Analyst except the sample's
+// auditor, and sets the deadline deadline_hours ahead. The schedule's
+// next_run_at is claimed before anything is created, so overlapping runs open
+// a schedule's sessions only once.
+//
+// POST { "schedule_id": "..." } runs one schedule now ("Run now" on
+// calibration.html) without moving its next run.
+//
+// getNextRunAt() mirrors calibration-schedules.js; change them together.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const DAY_MS = 86400000
+const CANDIDATE_LIMIT = 500
+const PAGE_SIZE = 1000 // PostgREST max rows per request
+
+const STRATEGY_LABELS: Record<string, string> = {
+  random: 'random sample',
+  borderline: 'borderline score',
+  recently_reversed: 'recently reversed'
+}
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+interface Schedule {
+  id: string
+  name: string
+  scorecard_id: string
+  description: string | null
+  frequency: string
+  sample_strategy: string
+  samples_per_run: number
+  lookback_days: number
+  borderline_margin: number
+  deadline_hours: number
+  is_active: boolean
+  next_run_at: string
+  created_by: string | null
+}
+
+function getNextRunAt(from: Date, frequency: string): Date {
+  const next = new Date(from)
+  if (frequency === 'daily') next.setDate(next.getDate() + 1)
+  else if (frequency === 'biweekly') next.setDate(next.getDate() + 14)
+  else if (frequency === 'monthly') next.setMonth(next.getMonth() + 1)
+  else next.setDate(next.getDate() + 7)
+  return next
+}
+
+function isTruthyFlag(value: unknown): boolean {
+  return value === true || value === 1 || ['true', 't', 'yes', '1'].includes(String(value).toLowerCase())
+}
+
+function shuffle<T>(items: T[]): T[] {
+  const copy = [...items]
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[copy[i], copy[j]] = [copy[j], copy[i]]
+  }
+  return copy
+}
+
+// Audits of the scorecard that fit the schedule's strategy, best first. The
+// random strategy draws from every audit of the lookback window; the others
+// take the most recent CANDIDATE_LIMIT and rank those.
+async function pickSamples(supabase: SupabaseClient, schedule: Schedule, scorecard: any, usedAuditIds: Set<string>, now: Date) {
+  const since = new Date(now.getTime() - schedule.lookback_days * DAY_MS).toISOString()
+  const threshold = parseFloat(scorecard.passing_threshold)
+  if (schedule.sample_strategy === 'borderline' && isNaN(threshold)) {
+    throw new Error(`Scorecard ${scorecard.name} has no passing threshold for borderline sampling`)
+  }
+
+  const buildQuery = () => {
+    let query = supabase
+      .from(scorecard.table_name)
+      .select('id, auditor_email, average_score, submitted_at, reversal_approved, reversal_responded_at')
+
+    if (schedule.sample_strategy === 'recently_reversed') {
+      return query.not('reversal_responded_at', 'is', null).gte('reversal_responded_at', since)
+        .order('reversal_responded_at', { ascending: false }).order('id', { ascending: true })
+    }
+
+    query = query.not('average_score', 'is', null).gte('submitted_at', since)
+    if (schedule.sample_strategy === 'borderline') {
+      const margin = Number(schedule.borderline_margin)
+      query = query.gte('average_score', threshold - margin).lte('average_score', threshold + margin)
+    }
+    return query.order('submitted_at', { ascending: false }).order('id', { ascending: true })
+  }
+
+  const rows: any[] = []
+  if (schedule.sample_strategy === 'borderline' || schedule.sample_strategy === 'recently_reversed') {
+    const { data, error } = await buildQuery().limit(CANDIDATE_LIMIT)
+    if (error) throw new Error(`Failed to read ${scorecard.table_name}: ${error.message}`)
+    rows.push(...(data || []))
+  } else {
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1)
+      if (error) throw new Error(`Failed to read ${scorecard.table_name}: ${error.message}`)
+      rows.push(...(data || []))
+      if (!data || data.length < PAGE_SIZE) break
+    }
+  }
+
+  const candidates = rows.filter((audit: any) => !usedAuditIds.has(String(audit.id)))
+
+  if (schedule.sample_strategy === 'borderline') {
+    return candidates.sort((a: any, b: any) =>
+      Math.abs(parseFloat(a.average_score) - threshold) - Math.abs(parseFloat(b.average_score) - threshold)
+    )
+  }
+  if (schedule.sample_strategy === 'recently_reversed') {
+    return candidates
+      .filter((audit: any) => isTruthyFlag(audit.reversal_approved))
+      .sort((a: any, b: any) => new Date(b.reversal_responded_at).getTime() - new Date(a.reversal_responded_at).getTime())
+  }
+  return shuffle(candidates)
+}
+
+// Open this run's sessions for a schedule
+async function runSchedule(supabase: SupabaseClient, schedule: Schedule, analysts: any[], now: Date) {
+  const { data: scorecard, error: scorecardError } = await supabase
+    .from('scorecards')
+    .select('id, name, table_name, passing_threshold')
+    .eq('id', schedule.scorecard_id)
+    .single()
+  if (scorecardError || !scorecard?.table_name) throw new Error(`Scorecard ${schedule.scorecard_id} not found`)
+
+  const { data: usedSessions, error: usedError } = await supabase
+    .from('calibration_sessions')
+    .select('audit_id')
+    .eq('scorecard_id', schedule.scorecard_id)
+    .not('audit_id', 'is', null)
+  if (usedError) throw new Error(`Failed to read calibration sessions: ${usedError.message}`)
+  const usedAuditIds = new Set((usedSessions || []).map((session: any) => String(session.audit_id)))
+
+  const samples = (await pickSamples(supabase, schedule, scorecard, usedAuditIds, now)).slice(0, schedule.samples_per_run)
+  if (samples.length === 0) {
+    throw new Error(`No unused ${STRATEGY_LABELS[schedule.sample_strategy] || schedule.sample_strategy} audits in the last ${schedule.lookback_days} days`)
+  }
+
+  const deadline = new Date(now.getTime() + schedule.deadline_hours * 3600000).toISOString()
+  const runDate = now.toISOString().split('T')[0]
+  const sessions = samples
+    .map((sample: any, index: number) => {
+      // The sample's own auditor already knows the answer
+      const auditorEmail = (sample.auditor_email || '').toLowerCase()
+      const participants = analysts
+        .map(analyst => analyst.email)
+        .filter(email => email && email.toLowerCase() !== auditorEmail)
+
+      return {
+        name: `${schedule.name} – ${runDate}${samples.length > 1 ? ` #${index + 1}` : ''}`,
+        scorecard_id: schedule.scorecard_id,
+        audit_id: sample.id,
+        interaction_id: null,
+        description: schedule.description || `Recurring calibration (${STRATEGY_LABELS[schedule.sample_strategy] || schedule.sample_strategy})`,
+        deadline,
+        participants,
+        status: 'active',
+        created_by: schedule.created_by,
+        created_at: now.toISOString(),
+        schedule_id: schedule.id,
+        sample_strategy: schedule.sample_strategy
+      }
+    })
+    .filter(session => session.participants.length > 0)
+
+  if (sessions.length === 0) throw new Error('No active Quality Analysts to invite')
+
+  const { error: insertError } = await supabase.from('calibration_sessions').insert(sessions)
+  if (insertError) throw new Error(`Failed to create sessions: ${insertError.message}`)
+  return sessions.length
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error('Missing Supabase configuration')
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+    const now = new Date()
+    const nowIso = now.toISOString()
+    const body = req.method === 'POST' ? await req.json().catch(() => ({})) : {}
+    const manualScheduleId: string | null = body?.schedule_id || null
+
+    console.log(manualScheduleId ? `📅 Running calibration schedule ${manualScheduleId}...` : '📅 Checking calibration schedules...')
+
+    let schedulesQuery = supabase.from('calibration_schedules').select('*')
+    schedulesQuery = manualScheduleId
+      ? schedulesQuery.eq('id', manualScheduleId)
+      : schedulesQuery.eq('is_active', true).lte('next_run_at', nowIso)
+    const { data: schedules, error: schedulesError } = await schedulesQuery
+    if (schedulesError) throw new Error(`Failed to load schedules: ${schedulesError.message}`)
+
+    const results = { checked: 0, runs: 0, sessions_created: 0, errors: 0 }
+    if (!schedules || schedules.length === 0) {
+      return new Response(
+        JSON.stringify({ success: true, ...results }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const { data: analysts, error: analystsError } = await supabase
+      .from('users')
+      .select('email, name')
+      .eq('role', 'Quality Analyst')
+      .eq('is_active', true)
+    if (analystsError) throw new Error(`Failed to load Quality Analysts: ${analystsError.message}`)
+
+    for (const schedule of schedules as Schedule[]) {
+      results.checked++
+
+      if (!manualScheduleId) {
+        // Claim the run by moving next_run_at past now; a missed period is skipped, not caught up
+        let nextRunAt = getNextRunAt(new Date(schedule.next_run_at), schedule.frequency)
+        while (nextRunAt <= now) nextRunAt = getNextRunAt(nextRunAt, schedule.frequency)
+
+        const { data: claimed, error: claimError } = await supabase
+          .from('calibration_schedules')
+          .update({ next_run_at: nextRunAt.toISOString() })
+          .eq('id', schedule.id)
+          .eq('next_run_at', schedule.next_run_at)
+          .select('id')
+        if (claimError) {
+          console.error(`❌ Could not claim schedule ${schedule.name}:`, claimError.message)
+          results.errors++
+          continue
+        }
+        if (!claimed || claimed.length === 0) continue // Claimed by another run
+      }
+
+      let runError: string | null = null
+      try {
+        const created = await runSchedule(supabase, schedule, analysts || [], now)
+        results.runs++
+        results.sessions_created += created
+        console.log(`✅ ${schedule.name}: opened ${created} session(s)`)
+      } catch (error) {
+        runError = error.message || String(error)
+        console.warn(`⚠️ ${schedule.name}: ${runError}`)
+        results.errors++
+      }
+
+      await supabase
+        .from('calibration_schedules')
+        .update({ last_run_at: nowIso, last_run_error: runError })
+        .eq('id', schedule.id)
+    }
+
+    console.log('✅ Calibration schedule check finished:', results)
+
+    return new Response(
+      JSON.stringify({ success: true, ...results }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  } catch (error) {
+    console.error('❌ Error in calibration scheduler:', error)
+    return new Response(
+      JSON.stringify({ error: error.message || 'Unknown error' }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+})
@@ -0,0 +1,436 @@
+// Reversal SLA Monitor Edge Function
+// Runs on a schedule (e.g. every 15 minutes from pg_cron or an external scheduler).
+// Checks open reversals against reversal_sla_policies: a breached stage is escalated
+// to the next role in the chain and a notification is sent; a hard-expired stage gets
+// the policy's auto-decision. Everything it does is recorded in reversal_sla_breaches.
+//
+// Stage mapping and policy resolution mirror reversal-sla.js, and the state moves are
+// the system transitions of reversal-workflow.js; change them together. Moves go
+// through transition_reversal_state(), as ReversalWorkflow.transition() does, so a
+// reviewer deciding the reversal at the same time isn't overwritten.
+//
+// Notifications are posted to REVERSAL_SLA_WEBHOOK_URL; without it breaches are still
+// acted on and recorded, with the missing webhook as their notification_error.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const NOTIFICATION_WEBHOOK_URL = Deno.env.get('REVERSAL_SLA_WEBHOOK_URL') || ''
+const APP_BASE_URL = Deno.env.get('APP_BASE_URL') || ''
+
+const SYSTEM_ACTOR = { email: null, name: 'SLA Monitor' }
+const BATCH_SIZE = 100 // Supabase limit for .in() queries
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Workflow state -> SLA stage whose clock runs in it
+const STAGE_BY_STATE: Record<string, string> = {
+  pending: 'team_lead_review',
+  team_lead_review: 'team_lead_review',
+  team_lead_approved: 'qa_review',
+  qa_review: 'qa_review',
+  cqc_review: 'qa_review',
+  team_lead_rejected: 'acknowledgement',
+  approved: 'acknowledgement',
+  rejected: 'acknowledgement'
+}
+
+// Breached state -> state it is escalated to (acknowledgement breaches only notify)
+const ESCALATION_BY_STATE: Record<string, string> = {
+  pending: 'qa_review',
+  team_lead_review: 'qa_review',
+  qa_review: 'cqc_review'
+}
+
+// Auto-decision -> state it moves the reversal to
+const AUTO_DECISION_STATES: Record<string, string> = {
+  rejected: 'rejected',
+  acknowledged: 'acknowledged'
+}
+
+// Team Lead auto-decisions use the Team Lead states
+const TEAM_LEAD_AUTO_DECISION_STATES: Record<string, string> = {
+  approved: 'team_lead_approved',
+  rejected: 'team_lead_rejected'
+}
+
+// Moves the system role may make, from -> to
+const SYSTEM_TRANSITIONS: Record<string, string[]> = {
+  pending: ['qa_review', 'team_lead_approved', 'team_lead_rejected'],
+  team_lead_review: ['qa_review', 'team_lead_approved', 'team_lead_rejected'],
+  team_lead_approved: ['qa_review', 'rejected'],
+  qa_review: ['cqc_review', 'rejected'],
+  cqc_review: ['rejected'],
+  team_lead_rejected: ['acknowledged'],
+  approved: ['acknowledged'],
+  rejected: ['acknowledged']
+}
+
+// acknowledgement_status written to the audit for each state a move ends in
+const ACKNOWLEDGEMENT_STATUS_BY_STATE: Record<string, string> = {
+  qa_review: 'pending - qa_review',
+  cqc_review: 'pending - cqc_review',
+  team_lead_rejected: 'pending - team_lead_rejected',
+  rejected: 'pending - reversal_rejected',
+  acknowledged: 'Acknowledged'
+}
+
+interface Policy {
+  id: string
+  scorecard_id: string | null
+  channel: string | null
+  stage: string
+  sla_hours: number
+  escalate: boolean
+  hard_expiry_hours: number | null
+  auto_decision: string | null
+  is_active: boolean
+}
+
+interface WorkflowState {
+  id: string
+  reversal_request_id: string
+  state: string
+  entered_at: string
+  previous_state_id: string | null
+  is_current: boolean
+}
+
+function resolvePolicy(policies: Policy[], stage: string, scorecardId: string | null, channel: string | null): Policy | null {
+  const normalizedChannel = (channel || '').toLowerCase().trim()
+  let best: Policy | null = null
+  let bestRank = -1
+  for (const policy of policies) {
+    if (!policy.is_active || policy.stage !== stage) continue
+    if (policy.scorecard_id && policy.scorecard_id !== scorecardId) continue
+    if (policy.channel && policy.channel.toLowerCase().trim() !== normalizedChannel) continue
+    const rank = (policy.scorecard_id ? 2 : 0) + (policy.channel ? 1 : 0)
+    if (rank > bestRank) {
+      best = policy
+      bestRank = rank
+    }
+  }
+  return best
+}
+
+// Consecutive states of the same stage share one clock
+function getStageEnteredAt(states: WorkflowState[], current: WorkflowState): string {
+  const stage = STAGE_BY_STATE[current.state]
+  const statesById = new Map(states.map(state => [state.id, state]))
+  let enteredAt = current.entered_at
+  let previous = current.previous_state_id ? statesById.get(current.previous_state_id) : undefined
+  while (previous && STAGE_BY_STATE[previous.state] === stage) {
+    enteredAt = previous.entered_at
+    previous = previous.previous_state_id ? statesById.get(previous.previous_state_id) : undefined
+  }
+  return enteredAt
+}
+
+async function selectIn(supabase: SupabaseClient, table: string, columns: string, column: string, values: string[]) {
+  const rows: any[] = []
+  for (let i = 0; i < values.length; i += BATCH_SIZE) {
+    const { data, error } = await supabase.from(table).select(columns).in(column, values.slice(i, i + BATCH_SIZE))
+    if (error) throw new Error(`Failed to read ${table}: ${error.message}`)
+    rows.push(...(data || []))
+  }
+  return rows
+}
+
+// Move a reversal to a new state the way ReversalWorkflow.transition() does: in one
+// locked transaction that fails if the reversal was moved since it was read, together
+// with the pass-through `next` state and the audit's changes
+async function moveState(
+  supabase: SupabaseClient,
+  current: WorkflowState,
+  to: string,
+  notes: string,
+  now: string,
+  { next = null, nextNotes = null, auditChanges = null }: { next?: string | null, nextNotes?: string | null, auditChanges?: Record<string, unknown> | null } = {}
+) {
+  if (!(SYSTEM_TRANSITIONS[current.state] || []).includes(to)) {
+    throw new Error(`The SLA monitor can't move a reversal from "${current.state}" to "${to}"`)
+  }
+  if (next && !(SYSTEM_TRANSITIONS[to] || []).includes(next)) {
+    throw new Error(`The SLA monitor can't move a reversal from "${to}" to "${next}"`)
+  }
+
+  const { data: newState, error } = await supabase.rpc('transition_reversal_state', {
+    p_reversal_request_id: current.reversal_request_id,
+    p_from_state: current.state,
+    p_to_state: to,
+    p_next_state: next,
+    p_actor_email: SYSTEM_ACTOR.email,
+    p_actor_name: SYSTEM_ACTOR.name,
+    p_notes: notes,
+    p_next_notes: nextNotes,
+    p_entered_at: now,
+    p_audit_changes: auditChanges
+  })
+  if (error) {
+    throw new Error(error.code === '40001' ? `Reversal was moved by someone else: ${error.message}` : error.message)
+  }
+
+  return newState as WorkflowState
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error('Missing Supabase configuration')
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+    const now = new Date()
+    const nowIso = now.toISOString()
+
+    console.log('⏱️ Checking reversal SLAs...')
+
+    const { data: policies, error: policiesError } = await supabase
+      .from('reversal_sla_policies')
+      .select('*')
+      .eq('is_active', true)
+    if (policiesError) throw new Error(`Failed to load SLA policies: ${policiesError.message}`)
+
+    const { data: scorecards, error: scorecardsError } = await supabase
+      .from('scorecards')
+      .select('id, table_name')
+    if (scorecardsError) throw new Error(`Failed to load scorecards: ${scorecardsError.message}`)
+    const scorecardIdByTable = new Map((scorecards || []).map(scorecard => [scorecard.table_name, scorecard.id]))
+
+    // Reversals whose current state has a running clock
+    const { data: currentStates, error: statesError } = await supabase
+      .from('reversal_workflow_states')
+      .select('*')
+      .eq('is_current', true)
+      .in('state', Object.keys(STAGE_BY_STATE))
+    if (statesError) throw new Error(`Failed to load workflow states: ${statesError.message}`)
+
+    if (!currentStates || currentStates.length === 0) {
+      return new Response(
+        JSON.stringify({ success: true, checked: 0, breaches: 0, expiries: 0 }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const requestIds = currentStates.map(state => state.reversal_request_id)
+    const requests = await selectIn(supabase, 'reversal_requests', '*', 'id', requestIds)
+    const allStates = await selectIn(supabase, 'reversal_workflow_states', 'id, reversal_request_id, state, entered_at, previous_state_id, is_current', 'reversal_request_id', requestIds)
+    const requestsById = new Map(requests.map(request => [request.id, request]))
+
+    // Audits, per scorecard table, for channel and notification recipients
+    const auditIdsByTable = new Map<string, string[]>()
+    for (const request of requests) {
+      if (!auditIdsByTable.has(request.scorecard_table_name)) auditIdsByTable.set(request.scorecard_table_name, [])
+      auditIdsByTable.get(request.scorecard_table_name)!.push(request.audit_id)
+    }
+    const auditsByKey = new Map<string, any>()
+    for (const [tableName, auditIds] of auditIdsByTable.entries()) {
+      try {
+        const audits = await selectIn(supabase, tableName, '*', 'id', auditIds)
+        audits.forEach(audit => auditsByKey.set(`${tableName}:${audit.id}`, audit))
+      } catch (error) {
+        console.warn(`⚠️ Could not load audits from ${tableName}:`, error.message)
+      }
+    }
+
+    const employeeEmails = [...new Set([...auditsByKey.values()].map(audit => (audit.employee_email || '').toLowerCase().trim()).filter(Boolean))]
+    const employees = employeeEmails.length > 0 ? await selectIn(supabase, 'users', 'email, team_supervisor', 'email', employeeEmails) : []
+    const teamLeadByEmployee = new Map(employees.map(user => [(user.email || '').toLowerCase().trim(), user.team_supervisor || null]))
+
+    const results = { checked: 0, breaches: 0, expiries: 0, escalated: 0, auto_decided: 0, errors: 0 }
+
+    for (const current of currentStates as WorkflowState[]) {
+      const request = requestsById.get(current.reversal_request_id)
+      if (!request) continue
+
+      const stage = STAGE_BY_STATE[current.state]
+      const audit = auditsByKey.get(`${request.scorecard_table_name}:${request.audit_id}`) || null
+      const policy = resolvePolicy(policies || [], stage, scorecardIdByTable.get(request.scorecard_table_name) || null, audit?.channel || null)
+      if (!policy) continue
+      results.checked++
+
+      const requestStates = allStates.filter(state => state.reversal_request_id === request.id)
+      const stageEnteredAt = getStageEnteredAt(requestStates, current)
+      const enteredAtMs = new Date(stageEnteredAt).getTime()
+      const dueAt = new Date(enteredAtMs + Number(policy.sla_hours) * 3600000)
+      const expiresAt = policy.hard_expiry_hours ? new Date(enteredAtMs + Number(policy.hard_expiry_hours) * 3600000) : null
+
+      const isExpired = !!expiresAt && !!policy.auto_decision && now >= expiresAt
+      const isBreached = now >= dueAt
+      if (!isExpired && !isBreached) continue
+
+      const kind = isExpired ? 'expiry' : 'breach'
+
+      // Claim the breach first so overlapping runs act on it only once
+      const { data: claimed, error: claimError } = await supabase
+        .from('reversal_sla_breaches')
+        .upsert({
+          reversal_request_id: request.id,
+          policy_id: policy.id,
+          stage,
+          kind,
+          workflow_state: current.state,
+          stage_entered_at: stageEnteredAt,
+          due_at: (isExpired ? expiresAt! : dueAt).toISOString(),
+          detected_at: nowIso
+        }, { onConflict: 'reversal_request_id,stage,kind,stage_entered_at', ignoreDuplicates: true })
+        .select()
+      if (claimError) {
+        console.error(`❌ Could not record SLA ${kind} for reversal ${request.id}:`, claimError.message)
+        results.errors++
+        continue
+      }
+      if (!claimed || claimed.length === 0) continue // Already handled
+      const breach = claimed[0]
+      results[kind === 'expiry' ? 'expiries' : 'breaches']++
+
+      let newState: string | null = null
+      let decidedState: string | null = null
+      try {
+        let next: string | null = null
+        let notes = ''
+        if (isExpired) {
+          decidedState = stage === 'team_lead_review'
+            ? TEAM_LEAD_AUTO_DECISION_STATES[policy.auto_decision!]
+            : AUTO_DECISION_STATES[policy.auto_decision!]
+          // Team Lead approval passes straight on to QC review, as in the workflow table
+          next = decidedState === 'team_lead_approved' ? 'qa_review' : null
+          notes = `Automatically ${policy.auto_decision}: ${stage} SLA expired`
+        } else if (policy.escalate && ESCALATION_BY_STATE[current.state]) {
+          decidedState = ESCALATION_BY_STATE[current.state]
+          notes = `Escalated: ${stage} SLA breached`
+        }
+
+        if (decidedState) {
+          const finalState = next || decidedState
+          let auditUpdate: Record<string, unknown> | null = null
+          if (audit) {
+            auditUpdate = {
+              acknowledgement_status: ACKNOWLEDGEMENT_STATUS_BY_STATE[finalState],
+              acknowledgement_status_updated_at: nowIso
+            }
+            if (stage === 'team_lead_review' && isExpired) {
+              auditUpdate.team_lead_approved = decidedState === 'team_lead_approved'
+            }
+            if (finalState === 'rejected') {
+              auditUpdate.reversal_approved = false
+              auditUpdate.reversal_responded_at = nowIso
+              auditUpdate.reversal_approved_by = SYSTEM_ACTOR.name
+              auditUpdate.response_from_auditor = 'Automatically rejected: the QC review SLA expired.'
+            }
+          }
+
+          await moveState(supabase, current, decidedState, notes, nowIso, {
+            next,
+            nextNotes: next ? 'Moved on to QC Review' : null,
+            auditChanges: auditUpdate
+          })
+          newState = finalState
+          results[isExpired ? 'auto_decided' : 'escalated']++
+        }
+
+        if (newState && audit) {
+          if (newState === 'rejected') {
+            await supabase
+              .from('reversal_requests')
+              .update({ final_decision: 'rejected', final_decision_at: nowIso, final_decision_by_name: SYSTEM_ACTOR.name, final_decision_by_email: null })
+              .eq('id', request.id)
+          }
+
+          await supabase.from('audit_activity_log').insert({
+            audit_id: request.audit_id,
+            scorecard_table_name: request.scorecard_table_name,
+            activity_type: isExpired ? 'reversal_sla_auto_decided' : 'reversal_sla_escalated',
+            activity_timestamp: nowIso,
+            performed_by_email: SYSTEM_ACTOR.email,
+            performed_by_name: SYSTEM_ACTOR.name,
+            change_reason: isExpired
+              ? `Reversal automatically ${policy.auto_decision} after the ${stage} SLA expired`
+              : `Reversal escalated after the ${stage} SLA was breached`,
+            metadata: { stage, from_state: current.state, to_state: newState, policy_id: policy.id, due_at: breach.due_at }
+          })
+        }
+      } catch (error) {
+        console.error(`❌ Could not act on SLA ${kind} for reversal ${request.id}:`, error.message || error)
+        results.errors++
+
+        // The move didn't happen: release the claim so the next run tries again,
+        // and don't notify about a decision that wasn't made
+        if (decidedState && !newState) {
+          results[kind === 'expiry' ? 'expiries' : 'breaches']--
+          const { error: releaseError } = await supabase
+            .from('reversal_sla_breaches')
+            .delete()
+            .eq('id', breach.id)
+          if (releaseError) console.error(`❌ Could not release SLA ${kind} for reversal ${request.id}:`, releaseError.message)
+          continue
+        }
+      }
+
+      // Notify; the webhook decides who gets what from the roles below
+      let notificationError: string | null = null
+      try {
+        if (!NOTIFICATION_WEBHOOK_URL) throw new Error('REVERSAL_SLA_WEBHOOK_URL is not set')
+        const employeeEmail = (audit?.employee_email || request.requested_by_email || '').toLowerCase().trim()
+        const response = await fetch(NOTIFICATION_WEBHOOK_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+          body: JSON.stringify({
+            kind,
+            stage,
+            workflow_state: current.state,
+            new_state: newState,
+            auto_decision: isExpired ? policy.auto_decision : null,
+            stage_entered_at: stageEnteredAt,
+            due_at: breach.due_at,
+            audit_id: request.audit_id,
+            table_name: request.scorecard_table_name,
+            employee_email: employeeEmail || null,
+            employee_name: audit?.employee_name || request.requested_by_name || null,
+            auditor_email: audit?.auditor_email || null,
+            team_lead_email: teamLeadByEmployee.get(employeeEmail) || null,
+            audit_url: APP_BASE_URL ? `${APP_BASE_URL}/audit-view.html?id=${request.audit_id}&table=${request.scorecard_table_name}` : null
+          })
+        })
+        if (!response.ok) notificationError = `${response.status} ${await response.text()}`
+      } catch (error) {
+        notificationError = error.message || String(error)
+      }
+      if (notificationError) console.warn(`⚠️ SLA notification failed for reversal ${request.id}:`, notificationError)
+
+      await supabase
+        .from('reversal_sla_breaches')
+        .update({
+          escalated_to_state: isExpired ? null : newState,
+          auto_decision: isExpired ? policy.auto_decision : null,
+          notified_at: notificationError ? null : new Date().toISOString(),
+          notification_error: notificationError
+        })
+        .eq('id', breach.id)
+    }
+
+    console.log('✅ Reversal SLA check finished:', results)
+
+    return new Response(
+      JSON.stringify({ success: true, ...results }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  } catch (error) {
+    console.error('❌ Error in reversal SLA monitor:', error)
+    return new Response(
+      JSON.stringify({ error: error.message || 'Unknown error' }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+})
@@ -0,0 +1,15 @@
+-- Weighted categories scoring mode and per-parameter occurrence caps
+-- scoring_type 'weighted': deductions inside each error_category are capped at
+-- the category's weight from category_weights (weights sum to 100)
+
+ALTER TABLE scorecards
+  ADD COLUMN IF NOT EXISTS category_weights JSONB;
+
+COMMENT ON COLUMN scorecards.category_weights IS
+  'Weighted scorecards only: { "<error_category>": weight } summing to 100';
+
+ALTER TABLE scorecard_parameters
+  ADD COLUMN IF NOT EXISTS max_occurrences INTEGER CHECK (max_occurrences IS NULL OR max_occurrences > 0);
+
+COMMENT ON COLUMN scorecard_parameters.max_occurrences IS
+  'Optional cap on how many occurrences of this parameter count toward the score';
@@ -0,0 +1,15 @@
+-- Configurable fail action per scorecard parameter
+-- Replaces the single is_fail_all flag (kept in sync for older readers):
+--   fail_all        - any occurrence fails the whole audit
+--   zero_category   - any occurrence zeroes the parameter's error_category
+--   cap_score       - any occurrence caps the score at fail_action_value (%)
+--   threshold_count - fails the whole audit at fail_action_value occurrences
+
+ALTER TABLE scorecard_parameters
+  ADD COLUMN IF NOT EXISTS fail_action TEXT
+    CHECK (fail_action IS NULL OR fail_action IN ('fail_all', 'zero_category', 'cap_score', 'threshold_count')),
+  ADD COLUMN IF NOT EXISTS fail_action_value NUMERIC;
+
+UPDATE scorecard_parameters
+SET fail_action = 'fail_all'
+WHERE is_fail_all = true AND fail_action IS NULL;
@@ -0,0 +1,125 @@
+-- Immutable scorecard versions
+-- Every save of a scorecard records a snapshot of its scoring settings and
+-- active parameters. Audits store the snapshot they were scored with in
+-- scorecard_version_id so later edits never change how old audits render.
+-- lineage_id groups a scorecard with every scorecard derived from it through
+-- parent_scorecard_id (the <table>_v<N> versions).
+
+CREATE TABLE IF NOT EXISTS scorecard_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scorecard_id UUID NOT NULL REFERENCES scorecards(id) ON DELETE CASCADE,
+  lineage_id UUID NOT NULL,
+  version_number INTEGER NOT NULL CHECK (version_number > 0),
+  scorecard JSONB NOT NULL,
+  parameters JSONB NOT NULL DEFAULT '[]'::jsonb,
+  change_summary TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (lineage_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scorecard_versions_scorecard_id
+  ON scorecard_versions (scorecard_id, version_number DESC);
+
+-- Versions are immutable once written
+CREATE OR REPLACE FUNCTION prevent_scorecard_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'scorecard_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS scorecard_versions_immutable ON scorecard_versions;
+CREATE TRIGGER scorecard_versions_immutable
+  BEFORE UPDATE ON scorecard_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_scorecard_version_update();
+
+-- Adds scorecard_version_id to an audit table. Called by scorecards.html right
+-- after create_audit_table so new tables get the column too.
+CREATE OR REPLACE FUNCTION add_scorecard_version_column(p_table_name TEXT)
+RETURNS VOID AS $$
+BEGIN
+  EXECUTE format(
+    'ALTER TABLE IF EXISTS public.%I ADD COLUMN IF NOT EXISTS scorecard_version_id UUID REFERENCES scorecard_versions(id)',
+    p_table_name
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Snapshot every existing scorecard as its first version
+WITH RECURSIVE lineage AS (
+  SELECT id, id AS root_id
+  FROM scorecards
+  WHERE parent_scorecard_id IS NULL
+  UNION ALL
+  SELECT s.id, l.root_id
+  FROM scorecards s
+  JOIN lineage l ON s.parent_scorecard_id = l.id
+)
+INSERT INTO scorecard_versions (scorecard_id, lineage_id, version_number, scorecard, parameters, change_summary, created_by, created_at)
+SELECT
+  s.id,
+  l.root_id,
+  ROW_NUMBER() OVER (PARTITION BY l.root_id ORDER BY s.created_at, s.version),
+  jsonb_build_object(
+    'name', s.name,
+    'description', s.description,
+    'table_name', s.table_name,
+    'version', s.version,
+    'scoring_type', s.scoring_type,
+    'passing_threshold', s.passing_threshold,
+    'max_bonus_points', s.max_bonus_points,
+    'allow_over_100', s.allow_over_100,
+    'category_weights', s.category_weights,
+    'channels', s.channels
+  ),
+  COALESCE((
+    SELECT jsonb_agg(jsonb_build_object(
+      'field_id', p.field_id,
+      'error_name', p.error_name,
+      'description', p.description,
+      'parameter_type', p.parameter_type,
+      'field_type', p.field_type,
+      'error_category', p.error_category,
+      'penalty_points', p.penalty_points,
+      'max_occurrences', p.max_occurrences,
+      'is_fail_all', p.is_fail_all,
+      'fail_action', p.fail_action,
+      'fail_action_value', p.fail_action_value,
+      'enable_ai_audit', p.enable_ai_audit,
+      'prompt', p.prompt,
+      'display_order', p.display_order
+    ) ORDER BY p.display_order)
+    FROM scorecard_parameters p
+    WHERE p.scorecard_id = s.id AND p.is_active = true
+  ), '[]'::jsonb),
+  'Snapshot of existing definition',
+  s.created_by,
+  COALESCE(s.created_at, now())
+FROM scorecards s
+JOIN lineage l ON l.id = s.id
+WHERE NOT EXISTS (SELECT 1 FROM scorecard_versions v WHERE v.scorecard_id = s.id);
+
+-- Add scorecard_version_id to every existing audit table and pin existing
+-- audits to the snapshot above (the best record of what they were scored with)
+DO $$
+DECLARE
+  sc RECORD;
+BEGIN
+  FOR sc IN
+    SELECT s.table_name, v.id AS version_id
+    FROM scorecards s
+    JOIN scorecard_versions v ON v.scorecard_id = s.id
+    WHERE v.version_number = (
+      SELECT MIN(v2.version_number) FROM scorecard_versions v2 WHERE v2.scorecard_id = s.id
+    )
+  LOOP
+    IF to_regclass('public.' || quote_ident(sc.table_name)) IS NOT NULL THEN
+      PERFORM add_scorecard_version_column(sc.table_name);
+      EXECUTE format(
+        'UPDATE public.%I SET scorecard_version_id = $1 WHERE scorecard_version_id IS NULL',
+        sc.table_name
+      ) USING sc.version_id;
+    END IF;
+  END LOOP;
+END $$;
@@ -0,0 +1,20 @@
+-- Scorecard test bench cases
+-- A named set of hypothetical parameter values plus the score and passing
+-- status it produced when saved. Cases belong to a scorecard lineage (see
+-- scorecard_versions.lineage_id) and are re-run whenever the scorecard is
+-- edited to flag changed outcomes.
+
+CREATE TABLE IF NOT EXISTS scorecard_test_cases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lineage_id UUID NOT NULL,
+  scorecard_id UUID REFERENCES scorecards(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  parameter_values JSONB NOT NULL DEFAULT '{}'::jsonb,
+  expected_score NUMERIC NOT NULL,
+  expected_passing_status TEXT NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scorecard_test_cases_lineage_id
+  ON scorecard_test_cases (lineage_id);
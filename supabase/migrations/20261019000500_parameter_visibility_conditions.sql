@@ -0,0 +1,24 @@
+-- Conditional scorecard parameters
+-- A parameter with a visibility_condition is only shown (and scored) when the
+-- condition holds for the audit being filled in:
+--   {"source": "channel", "operator": "equals" | "not_equals", "value": "Email"}
+--   {"source": "parameter", "field_id": "<earlier field_id>",
+--    "operator": "equals" | "not_equals" | "greater_than" | "at_least" | "less_than",
+--    "value": 0}
+-- NULL means the parameter is always shown. Hidden parameters are saved as
+-- NULL in the audit row.
+
+ALTER TABLE scorecard_parameters
+  ADD COLUMN IF NOT EXISTS visibility_condition JSONB
+    CHECK (
+      visibility_condition IS NULL
+      OR (
+        visibility_condition->>'source' IN ('channel', 'parameter')
+        AND visibility_condition->>'operator' IN ('equals', 'not_equals', 'greater_than', 'at_least', 'less_than')
+      )
+    );
+
+-- Test bench cases record the channel they were run for, since channel
+-- conditions change which parameters are scored
+ALTER TABLE scorecard_test_cases
+  ADD COLUMN IF NOT EXISTS channel TEXT;
@@ -0,0 +1,22 @@
+-- Transcript evidence per audit parameter
+-- Auditors attach Intercom conversation parts (message bubbles) to the
+-- parameter they are marking. Each row keeps the conversation_part id and a
+-- quoted snippet so audit-view can highlight and jump to the message, and the
+-- quote survives if the transcript is unavailable. audit_id is the id of the
+-- row in the scorecard's audit table.
+
+CREATE TABLE IF NOT EXISTS audit_parameter_evidence (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scorecard_id UUID NOT NULL REFERENCES scorecards(id) ON DELETE CASCADE,
+  audit_id TEXT NOT NULL,
+  field_id TEXT NOT NULL,
+  conversation_id TEXT,
+  conversation_part_id TEXT NOT NULL,
+  snippet TEXT NOT NULL,
+  author_name TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_parameter_evidence_audit
+  ON audit_parameter_evidence (scorecard_id, audit_id);
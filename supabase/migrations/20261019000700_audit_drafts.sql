@@ -0,0 +1,26 @@
+-- Server-side drafts of in-progress audits
+-- audit-form.html autosaves the form (in audit row shape) and the timer here so
+-- an auditor can resume a draft on another device. session_key is the timer
+-- session id (assignment_<id>, interaction_<id>, session_<...>). revision is
+-- bumped on every save; a save that expects an older revision is a conflict
+-- (the draft was saved from another tab or device in between).
+
+CREATE TABLE IF NOT EXISTS audit_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  auditor_email TEXT NOT NULL,
+  session_key TEXT NOT NULL,
+  scorecard_id UUID REFERENCES scorecards(id) ON DELETE SET NULL,
+  assignment_id TEXT,
+  interaction_id TEXT,
+  employee_name TEXT,
+  form_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  elapsed_seconds INTEGER NOT NULL DEFAULT 0,
+  audit_start_time TIMESTAMPTZ,
+  revision INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (auditor_email, session_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_drafts_auditor_email
+  ON audit_drafts (auditor_email, updated_at DESC);
@@ -0,0 +1,77 @@
+-- Reversal SLAs
+-- Time allowed for each reversal stage: Team Lead review, QC review (including
+-- CQC) and the agent's acknowledgement of the decision. A policy applies to a
+-- scorecard, a channel, both, or neither (the default); the most specific
+-- active policy wins (see reversal-sla.js).
+--
+-- The reversal-sla-monitor edge function checks open reversals against them
+-- on a schedule. Past sla_hours the stage is breached: the reversal is
+-- escalated to the next role in the chain (Team Lead -> QC -> CQC; for the
+-- acknowledgement stage the agent's Team Lead is notified) unless escalate is
+-- off, and a notification is sent. Past hard_expiry_hours the stage expires
+-- and auto_decision, if set, is taken. An escalated Team Lead review leaves
+-- its stage, so a Team Lead auto-decision only applies with escalate off.
+
+CREATE TABLE IF NOT EXISTS reversal_sla_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scorecard_id UUID REFERENCES scorecards(id) ON DELETE CASCADE,
+  channel TEXT,
+  stage TEXT NOT NULL CHECK (stage IN ('team_lead_review', 'qa_review', 'acknowledgement')),
+  sla_hours NUMERIC NOT NULL CHECK (sla_hours > 0),
+  escalate BOOLEAN NOT NULL DEFAULT true,
+  hard_expiry_hours NUMERIC,
+  auto_decision TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (hard_expiry_hours IS NULL OR hard_expiry_hours > sla_hours),
+  CHECK (auto_decision IS NULL OR hard_expiry_hours IS NOT NULL),
+  -- QC approval needs corrected parameters, so it is never automatic
+  CHECK (
+    auto_decision IS NULL
+    OR (stage = 'team_lead_review' AND auto_decision IN ('approved', 'rejected'))
+    OR (stage = 'qa_review' AND auto_decision = 'rejected')
+    OR (stage = 'acknowledgement' AND auto_decision = 'acknowledged')
+  )
+);
+
+-- One policy per scope and stage
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reversal_sla_policies_scope
+  ON reversal_sla_policies (
+    COALESCE(scorecard_id, '00000000-0000-0000-0000-000000000000'::uuid),
+    COALESCE(channel, ''),
+    stage
+  );
+
+-- Breaches and expiries found by the monitor. A stage is recorded once per
+-- kind; stage_entered_at tells a resubmitted reversal's new run of a stage
+-- apart from the earlier one.
+CREATE TABLE IF NOT EXISTS reversal_sla_breaches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reversal_request_id UUID NOT NULL REFERENCES reversal_requests(id) ON DELETE CASCADE,
+  policy_id UUID REFERENCES reversal_sla_policies(id) ON DELETE SET NULL,
+  stage TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('breach', 'expiry')),
+  workflow_state TEXT NOT NULL,
+  stage_entered_at TIMESTAMPTZ NOT NULL,
+  due_at TIMESTAMPTZ NOT NULL,
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  escalated_to_state TEXT,
+  auto_decision TEXT,
+  notified_at TIMESTAMPTZ,
+  notification_error TEXT,
+  UNIQUE (reversal_request_id, stage, kind, stage_entered_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reversal_sla_breaches_detected_at
+  ON reversal_sla_breaches (detected_at DESC);
+
+-- Defaults: no auto-decisions until an admin configures them
+INSERT INTO reversal_sla_policies (stage, sla_hours)
+SELECT stage, sla_hours
+FROM (VALUES ('team_lead_review', 24), ('qa_review', 48), ('acknowledgement', 72)) AS defaults (stage, sla_hours)
+WHERE NOT EXISTS (
+  SELECT 1 FROM reversal_sla_policies p
+  WHERE p.scorecard_id IS NULL AND p.channel IS NULL AND p.stage = defaults.stage
+);
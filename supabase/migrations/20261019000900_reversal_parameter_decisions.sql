@@ -0,0 +1,20 @@
+-- Per-parameter reversal decisions
+-- Each parameter the agent disputes (a parameter_comments entry) is a line
+-- item that QC accepts or rejects with its own justification. The new score
+-- applies only the corrections of accepted items; the reversal counts as
+-- approved when at least one item is accepted (see reversal-items.js).
+--
+-- parameter_decisions holds one entry per disputed parameter:
+--   { parameter_key, parameter_label, agent_comment, decision ('accepted' |
+--     'rejected'), justification, original_value, new_value }
+-- Reversals decided before this change have no entries.
+
+ALTER TABLE reversal_change_log
+  ADD COLUMN IF NOT EXISTS parameter_decisions JSONB,
+  ADD COLUMN IF NOT EXISTS accepted_parameters_count INTEGER,
+  ADD COLUMN IF NOT EXISTS rejected_parameters_count INTEGER;
+
+-- The latest decision is also kept on the request, so the audit page can show
+-- the agent which disputes were accepted without reading the change log
+ALTER TABLE reversal_requests
+  ADD COLUMN IF NOT EXISTS parameter_decisions JSONB;
@@ -0,0 +1,78 @@
+-- Acknowledgement reminder campaigns
+-- A supervisor selects agents on acknowledgement-management.html and reminds
+-- them of their unacknowledged audits: an in-app notification on the home page
+-- plus an email through the n8n acknowledgement-reminder webhook. Each agent's
+-- audits are fixed when the campaign starts (audits under reversal are left
+-- out, they can't be acknowledged yet).
+--
+-- The acknowledgement-reminders edge function runs on a schedule. It sends a
+-- follow-up every follow_up_interval_hours, up to max_follow_ups, while any of
+-- an agent's audits is still unacknowledged. With auto_acknowledge_after_days
+-- set, audits still unacknowledged that many days after the agent's first
+-- reminder are acknowledged for them and logged in audit_activity_log
+-- ('audit_auto_acknowledged'). See acknowledgement-reminders.js.
+
+CREATE TABLE IF NOT EXISTS acknowledgement_reminder_campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  message TEXT,
+  follow_up_interval_hours NUMERIC NOT NULL DEFAULT 48 CHECK (follow_up_interval_hours > 0),
+  max_follow_ups INTEGER NOT NULL DEFAULT 2 CHECK (max_follow_ups >= 0),
+  auto_acknowledge_after_days INTEGER CHECK (auto_acknowledge_after_days IS NULL OR auto_acknowledge_after_days > 0),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+  created_by_email TEXT,
+  created_by_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_acknowledgement_reminder_campaigns_created_at
+  ON acknowledgement_reminder_campaigns (created_at DESC);
+
+-- Agents of a campaign. audits holds the reminded audits as
+-- [{ audit_id, table_name }]. An agent is done (completed_at) once every audit
+-- is acknowledged, when follow-ups run out without auto-acknowledge, or when
+-- the campaign is cancelled.
+CREATE TABLE IF NOT EXISTS acknowledgement_reminder_recipients (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES acknowledgement_reminder_campaigns(id) ON DELETE CASCADE,
+  agent_email TEXT NOT NULL,
+  agent_name TEXT,
+  team_lead_email TEXT,
+  audits JSONB NOT NULL DEFAULT '[]'::jsonb,
+  follow_ups_sent INTEGER NOT NULL DEFAULT 0,
+  first_reminded_at TIMESTAMPTZ,
+  last_reminded_at TIMESTAMPTZ,
+  next_follow_up_at TIMESTAMPTZ,
+  auto_acknowledged_count INTEGER NOT NULL DEFAULT 0,
+  completed_at TIMESTAMPTZ,
+  completion_reason TEXT CHECK (completion_reason IS NULL OR completion_reason IN ('acknowledged', 'follow_ups_exhausted', 'cancelled')),
+  UNIQUE (campaign_id, agent_email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_acknowledgement_reminder_recipients_due
+  ON acknowledgement_reminder_recipients (next_follow_up_at)
+  WHERE completed_at IS NULL;
+
+-- Every reminder sent: who was reminded, when, and about how many audits.
+-- The agent's in-app notification is this row; read_at is set when they open it.
+CREATE TABLE IF NOT EXISTS acknowledgement_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES acknowledgement_reminder_campaigns(id) ON DELETE CASCADE,
+  recipient_id UUID NOT NULL REFERENCES acknowledgement_reminder_recipients(id) ON DELETE CASCADE,
+  agent_email TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('initial', 'follow_up')),
+  sequence INTEGER NOT NULL DEFAULT 0,
+  pending_count INTEGER NOT NULL DEFAULT 0,
+  message TEXT,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  sent_by_email TEXT,
+  sent_by_name TEXT,
+  emailed_at TIMESTAMPTZ,
+  email_error TEXT,
+  read_at TIMESTAMPTZ,
+  UNIQUE (recipient_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_acknowledgement_reminders_agent
+  ON acknowledgement_reminders (agent_email, sent_at DESC);
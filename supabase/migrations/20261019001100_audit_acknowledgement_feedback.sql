@@ -0,0 +1,27 @@
+-- Agent feedback given while acknowledging an audit
+-- All of it is optional: whether the agent agrees with the audit, a free-text
+-- reflection, and an improvement goal for the audit's top error parameter
+-- (the error parameter with the most occurrences). goal_type is one of the
+-- goals offered on audit-view.html or 'custom' for the agent's own wording;
+-- goal holds the text either way (see acknowledgement-feedback.js).
+-- audit_id is the id of the row in the scorecard's audit table.
+
+CREATE TABLE IF NOT EXISTS audit_acknowledgement_feedback (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  audit_id TEXT NOT NULL,
+  scorecard_table_name TEXT NOT NULL,
+  employee_email TEXT NOT NULL,
+  employee_name TEXT,
+  agrees BOOLEAN,
+  reflection TEXT,
+  goal_parameter_key TEXT,
+  goal_parameter_label TEXT,
+  goal_type TEXT CHECK (goal_type IS NULL OR goal_type IN ('review_guideline', 'no_repeat', 'coaching', 'custom')),
+  goal TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (goal_type IS NULL OR goal IS NOT NULL),
+  UNIQUE (audit_id, scorecard_table_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_acknowledgement_feedback_employee
+  ON audit_acknowledgement_feedback (employee_email, created_at DESC);
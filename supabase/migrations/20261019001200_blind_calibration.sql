@@ -0,0 +1,58 @@
+-- Blind calibration
+-- Participants score a calibration sample without seeing each other's scores
+-- until the session is completed (see calibration-blind.js). Submissions are
+-- locked: a result can't be edited, a participant can submit once, and only
+-- while the session is active.
+--
+-- Completing a session records the calibrated "gold" answer chosen by the
+-- session owner, one value per parameter in the same shape as
+-- calibration_results.error_parameters ({ field_id: count | null for N/A }).
+-- The reveal on calibration.html compares every participant with it.
+
+ALTER TABLE calibration_sessions ADD COLUMN IF NOT EXISTS gold_error_parameters JSONB;
+ALTER TABLE calibration_sessions ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+ALTER TABLE calibration_sessions ADD COLUMN IF NOT EXISTS completed_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_calibration_results_session_participant
+  ON calibration_results (calibration_session_id, lower(participant_email));
+
+-- One submission per participant, only into active sessions
+CREATE OR REPLACE FUNCTION check_calibration_result_submission()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM calibration_sessions
+    WHERE id = NEW.calibration_session_id AND status = 'active'
+  ) THEN
+    RAISE EXCEPTION 'Calibration session % is not active', NEW.calibration_session_id;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM calibration_results
+    WHERE calibration_session_id = NEW.calibration_session_id
+      AND lower(participant_email) = lower(NEW.participant_email)
+  ) THEN
+    RAISE EXCEPTION '% has already submitted to calibration session %', NEW.participant_email, NEW.calibration_session_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS calibration_results_submission_check ON calibration_results;
+CREATE TRIGGER calibration_results_submission_check
+  BEFORE INSERT ON calibration_results
+  FOR EACH ROW EXECUTE FUNCTION check_calibration_result_submission();
+
+-- Submitted results are locked
+CREATE OR REPLACE FUNCTION prevent_calibration_result_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Calibration submissions are locked';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS calibration_results_locked ON calibration_results;
+CREATE TRIGGER calibration_results_locked
+  BEFORE UPDATE ON calibration_results
+  FOR EACH ROW EXECUTE FUNCTION prevent_calibration_result_update();
@@ -0,0 +1,75 @@
+-- Recurring calibration schedules
+-- A schedule creates calibration sessions for a scorecard every day, week,
+-- two weeks or month. The calibration-scheduler edge function runs on a
+-- schedule; for each due schedule it picks samples from the scorecard's recent
+-- audits (sample_strategy) and opens one session per sample. Every active
+-- Quality Analyst except the sample's own auditor is invited, and the session
+-- deadline is deadline_hours after it opens. See calibration-schedules.js.
+--
+-- Sample strategies:
+--   random             - any audit submitted in the last lookback_days
+--   borderline         - audits scoring within borderline_margin points of the
+--                        scorecard's passing_threshold, closest first
+--   recently_reversed  - audits whose reversal was approved in the last
+--                        lookback_days
+-- An audit is never used as a calibration sample twice.
+
+CREATE TABLE IF NOT EXISTS calibration_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  scorecard_id UUID NOT NULL REFERENCES scorecards(id) ON DELETE CASCADE,
+  description TEXT,
+  frequency TEXT NOT NULL DEFAULT 'weekly' CHECK (frequency IN ('daily', 'weekly', 'biweekly', 'monthly')),
+  sample_strategy TEXT NOT NULL DEFAULT 'random' CHECK (sample_strategy IN ('random', 'borderline', 'recently_reversed')),
+  samples_per_run INTEGER NOT NULL DEFAULT 1 CHECK (samples_per_run BETWEEN 1 AND 10),
+  lookback_days INTEGER NOT NULL DEFAULT 14 CHECK (lookback_days > 0),
+  borderline_margin NUMERIC NOT NULL DEFAULT 5 CHECK (borderline_margin > 0),
+  deadline_hours INTEGER NOT NULL DEFAULT 72 CHECK (deadline_hours > 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  next_run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_run_at TIMESTAMPTZ,
+  last_run_error TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_calibration_schedules_due
+  ON calibration_schedules (next_run_at)
+  WHERE is_active = true;
+
+-- Sessions opened by a schedule
+ALTER TABLE calibration_sessions ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES calibration_schedules(id) ON DELETE SET NULL;
+ALTER TABLE calibration_sessions ADD COLUMN IF NOT EXISTS sample_strategy TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_calibration_sessions_schedule_id
+  ON calibration_sessions (schedule_id);
+
+-- Deadlines are enforced: no submissions once a session's deadline has passed
+CREATE OR REPLACE FUNCTION check_calibration_result_submission()
+RETURNS TRIGGER AS $$
+DECLARE
+  session_deadline TIMESTAMPTZ;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM calibration_sessions
+    WHERE id = NEW.calibration_session_id AND status = 'active'
+  ) THEN
+    RAISE EXCEPTION 'Calibration session % is not active', NEW.calibration_session_id;
+  END IF;
+
+  SELECT deadline INTO session_deadline FROM calibration_sessions WHERE id = NEW.calibration_session_id;
+  IF session_deadline IS NOT NULL AND session_deadline < now() THEN
+    RAISE EXCEPTION 'The deadline of calibration session % has passed', NEW.calibration_session_id;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM calibration_results
+    WHERE calibration_session_id = NEW.calibration_session_id
+      AND lower(participant_email) = lower(NEW.participant_email)
+  ) THEN
+    RAISE EXCEPTION '% has already submitted to calibration session %', NEW.participant_email, NEW.calibration_session_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,53 @@
+-- ATA (audit-the-auditor) rubrics
+-- A rubric grades the quality of an auditor's audit, next to the re-score the
+-- reviewer does on create-audit.html. Each criterion (e.g. correct error
+-- identification, feedback quality, tone) is rated from 1 to scale_max and
+-- carries a weight; the rubric score is the weighted mean as a percentage (see
+-- ata-rubrics.js). criteria is an array of
+--   { key, label, description, weight, suggest_from_parameters }
+-- where suggest_from_parameters pre-fills the rating from how many parameters
+-- the reviewer scored the same as the auditor.
+--
+-- A rubric applies to one scorecard, or to every scorecard without a rubric of
+-- its own when scorecard_id is null. Only one rubric per scorecard (and one
+-- general rubric) can be active at a time.
+
+CREATE TABLE IF NOT EXISTS ata_rubrics (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT,
+  scorecard_id UUID REFERENCES scorecards(id) ON DELETE CASCADE,
+  scale_max INTEGER NOT NULL DEFAULT 5 CHECK (scale_max BETWEEN 2 AND 10),
+  criteria JSONB NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof(criteria) = 'array'),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ata_rubrics_one_active
+  ON ata_rubrics (COALESCE(scorecard_id::text, ''))
+  WHERE is_active = true;
+
+-- The rubric a review was graded with. rubric_scores is a snapshot of the
+-- criteria with the rating and comment given to each, so later rubric edits
+-- don't change past reviews; rubric_score is the weighted percentage.
+ALTER TABLE ata_reviews ADD COLUMN IF NOT EXISTS rubric_id UUID REFERENCES ata_rubrics(id) ON DELETE SET NULL;
+ALTER TABLE ata_reviews ADD COLUMN IF NOT EXISTS rubric_name TEXT;
+ALTER TABLE ata_reviews ADD COLUMN IF NOT EXISTS rubric_scores JSONB;
+ALTER TABLE ata_reviews ADD COLUMN IF NOT EXISTS rubric_score NUMERIC(5,2) CHECK (rubric_score IS NULL OR rubric_score BETWEEN 0 AND 100);
+
+CREATE INDEX IF NOT EXISTS idx_ata_reviews_auditor_reviewed
+  ON ata_reviews (lower(original_auditor_email), reviewed_at DESC);
+
+-- Seed a general rubric so ATA reviews are graded from day one
+INSERT INTO ata_rubrics (name, description, criteria)
+SELECT
+  'Standard ATA Rubric',
+  'Applies to every scorecard without a rubric of its own',
+  '[
+    {"key": "error_identification", "label": "Correct error identification", "description": "Errors were found and scored on the right parameters, with none missed or invented", "weight": 50, "suggest_from_parameters": true},
+    {"key": "feedback_quality", "label": "Feedback quality", "description": "Feedback is specific, explains each error and gives the agent a clear next step", "weight": 30, "suggest_from_parameters": false},
+    {"key": "tone", "label": "Tone", "description": "Feedback is respectful, objective and constructive", "weight": 20, "suggest_from_parameters": false}
+  ]'::jsonb
+WHERE NOT EXISTS (SELECT 1 FROM ata_rubrics);
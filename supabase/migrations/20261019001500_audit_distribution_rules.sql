@@ -0,0 +1,48 @@
+-- Rule-based audit distribution
+-- A distribution rule gives every agent of a scorecard's channels a number of
+-- audits per week or month, assigned round-robin to Quality Analysts. The
+-- audit-distribution-rules edge function runs due rules on a schedule and
+-- writes audit_assignments; audit-distribution.html manages the rules and can
+-- preview a rule (dry run) before anything is written. See
+-- distribution-rules.js.
+--
+-- Runs top agents up to audits_per_agent: assignments the agent already has
+-- for the scorecard in the current period, manual ones included, count
+-- towards it, so running a rule twice in a period doesn't assign twice.
+--
+-- auditor_pool:
+--   same_channel - only Quality Analysts of the agent's channel
+--   all          - every active Quality Analyst
+-- exclude_quality_mentor skips the agent's own Quality Mentor
+-- (users.quality_mentor), so agents are audited by someone other than the QA
+-- who coaches them.
+
+CREATE TABLE IF NOT EXISTS audit_distribution_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  scorecard_id UUID NOT NULL REFERENCES scorecards(id) ON DELETE CASCADE,
+  channel TEXT, -- limit to one of the scorecard's channels; null for all of them
+  audits_per_agent INTEGER NOT NULL DEFAULT 4 CHECK (audits_per_agent BETWEEN 1 AND 50),
+  period TEXT NOT NULL DEFAULT 'week' CHECK (period IN ('week', 'month')),
+  auditor_pool TEXT NOT NULL DEFAULT 'same_channel' CHECK (auditor_pool IN ('same_channel', 'all')),
+  exclude_quality_mentor BOOLEAN NOT NULL DEFAULT true,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  round_robin_offset INTEGER NOT NULL DEFAULT 0,
+  next_run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_run_at TIMESTAMPTZ,
+  last_run_created INTEGER,
+  last_run_error TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_distribution_rules_due
+  ON audit_distribution_rules (next_run_at)
+  WHERE is_active = true;
+
+-- Assignments written by a rule
+ALTER TABLE audit_assignments ADD COLUMN IF NOT EXISTS distribution_rule_id UUID REFERENCES audit_distribution_rules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_assignments_scorecard_scheduled
+  ON audit_assignments (scorecard_id, scheduled_date);
@@ -0,0 +1,34 @@
+-- Monthly audit targets per agent
+-- Replaces the targets audit-distribution.html kept in each browser's
+-- localStorage, so every page and every QA sees the same numbers (see
+-- audit-targets.js). A target row applies to:
+--   scope 'default' - every agent (scope_value '')
+--   scope 'role'    - agents with users.role = scope_value
+--   scope 'channel' - agents with users.channel = scope_value
+--   scope 'agent'   - one agent, scope_value is the lowercased email
+-- An agent's target comes from the most specific scope that has a row:
+-- agent, then channel, then role, then default. Within a scope a row for the
+-- month (year, month) beats the standing row (year = 0, month = 0).
+
+CREATE TABLE IF NOT EXISTS audit_targets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope TEXT NOT NULL CHECK (scope IN ('default', 'role', 'channel', 'agent')),
+  scope_value TEXT NOT NULL DEFAULT '',
+  year INTEGER NOT NULL DEFAULT 0,
+  month INTEGER NOT NULL DEFAULT 0 CHECK (month BETWEEN 0 AND 12),
+  monthly_target INTEGER NOT NULL CHECK (monthly_target >= 0),
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT audit_targets_scope_value CHECK ((scope = 'default') = (scope_value = '')),
+  CONSTRAINT audit_targets_month_year CHECK ((year = 0) = (month = 0)),
+  CONSTRAINT audit_targets_unique UNIQUE (scope, scope_value, year, month)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_targets_period
+  ON audit_targets (year, month);
+
+-- The default every page used until now
+INSERT INTO audit_targets (scope, scope_value, monthly_target)
+VALUES ('default', '', 22)
+ON CONFLICT (scope, scope_value, year, month) DO NOTHING;
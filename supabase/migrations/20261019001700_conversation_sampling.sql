@@ -0,0 +1,20 @@
+-- Conversation sampling
+-- create-audit.html can pick which of an agent's pulled conversations to
+-- audit with a sampling strategy (random, lowest CSAT first, longest handle
+-- time, reopened, tagged, stratified by product type) instead of by hand; see
+-- conversation-sampling.js. The same strategy, seed and parameters over the
+-- same conversations give the same sample, so recording them on the
+-- assignment lets anyone reproduce how its conversation was chosen.
+--
+-- sampling_strategy: a ConversationSampling.STRATEGIES value; null when the
+--                    conversation was picked by hand
+-- sampling_seed:     the seed the sample was drawn with
+-- sampling_params:   { size, tags, rank, reason, pool_size }
+
+ALTER TABLE audit_assignments ADD COLUMN IF NOT EXISTS sampling_strategy TEXT;
+ALTER TABLE audit_assignments ADD COLUMN IF NOT EXISTS sampling_seed TEXT;
+ALTER TABLE audit_assignments ADD COLUMN IF NOT EXISTS sampling_params JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_audit_assignments_sampling_strategy
+  ON audit_assignments (sampling_strategy)
+  WHERE sampling_strategy IS NOT NULL;
@@ -0,0 +1,18 @@
+-- QA working hours for capacity planning
+-- audit-distribution.html's QA Capacity view compares each QA's open
+-- assignments for a week with the time they have to audit in it (see
+-- qa-capacity.js). Time available comes from these working hours, less leave
+-- recorded as 'leave' events in event-management.html. QAs without a row work
+-- the dashboard's default shift: 8 hours from 10:30, Monday to Friday.
+--
+-- work_days uses JavaScript's day numbers: 0 = Sunday ... 6 = Saturday.
+
+CREATE TABLE IF NOT EXISTS qa_working_hours (
+  auditor_email TEXT PRIMARY KEY,
+  shift_start TIME NOT NULL DEFAULT '10:30',
+  hours_per_day NUMERIC(4, 2) NOT NULL DEFAULT 8 CHECK (hours_per_day > 0 AND hours_per_day <= 16),
+  work_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}' CHECK (work_days <@ '{0,1,2,3,4,5,6}'::SMALLINT[]),
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
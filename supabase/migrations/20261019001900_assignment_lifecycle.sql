@@ -0,0 +1,176 @@
+-- Audit assignment lifecycle
+-- Assignments can now be reassigned with a reason, snoozed until a date and
+-- expire automatically once their scheduled week is over (see
+-- assignment-lifecycle.js and the assignment-lifecycle edge function).
+--
+-- snoozed_until:    the assignment is hidden from the auditor's pending list
+--                   until this Dhaka date; it also pushes back expiry
+-- expired_at:       when it expired (status 'expired')
+-- rolled_over_from: the expired assignment this one replaced, when expiry
+--                   rolls assignments over to the current week
+--
+-- Every change of status, auditor, snooze or scheduled date, and every insert
+-- and delete, is recorded in audit_assignment_history by a trigger, so changes
+-- made from any page (or the edge functions) are covered. Whoever makes a
+-- change can say who they are and why by setting changed_by_email,
+-- changed_by_name and change_reason in the same insert or update; the trigger
+-- moves them into the history and clears them on the row. Each history entry
+-- is also written to audit_activity_log as activity_type 'assignment_<action>',
+-- under the assignment's audit_id once it has one and its own id before that.
+
+ALTER TABLE audit_assignments ADD COLUMN IF NOT EXISTS snoozed_until DATE;
+ALTER TABLE audit_assignments ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;
+ALTER TABLE audit_assignments ADD COLUMN IF NOT EXISTS rolled_over_from UUID REFERENCES audit_assignments(id) ON DELETE SET NULL;
+ALTER TABLE audit_assignments ADD COLUMN IF NOT EXISTS changed_by_email TEXT;
+ALTER TABLE audit_assignments ADD COLUMN IF NOT EXISTS changed_by_name TEXT;
+ALTER TABLE audit_assignments ADD COLUMN IF NOT EXISTS change_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_audit_assignments_pending_scheduled
+  ON audit_assignments (scheduled_date)
+  WHERE status = 'pending';
+
+-- No foreign key: the history of a deleted assignment is kept
+CREATE TABLE IF NOT EXISTS audit_assignment_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assignment_id UUID NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('created', 'rolled_over', 'status_changed', 'reassigned', 'snoozed', 'unsnoozed', 'rescheduled', 'expired', 'deleted')),
+  from_status TEXT,
+  to_status TEXT,
+  from_auditor_email TEXT,
+  to_auditor_email TEXT,
+  reason TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}'::JSONB,
+  performed_by_email TEXT,
+  performed_by_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_assignment_history_assignment
+  ON audit_assignment_history (assignment_id, created_at);
+
+-- Expiry settings; a single row
+CREATE TABLE IF NOT EXISTS audit_assignment_lifecycle_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  auto_expire BOOLEAN NOT NULL DEFAULT true,
+  rollover BOOLEAN NOT NULL DEFAULT false, -- replace expired assignments with new ones for the current week
+  grace_days INTEGER NOT NULL DEFAULT 0 CHECK (grace_days BETWEEN 0 AND 14), -- days after the scheduled week before expiring
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO audit_assignment_lifecycle_settings (id) VALUES (true)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION record_audit_assignment_history(
+  p_assignment audit_assignments,
+  p_action TEXT,
+  p_from_status TEXT,
+  p_to_status TEXT,
+  p_from_auditor TEXT,
+  p_to_auditor TEXT,
+  p_reason TEXT,
+  p_actor_email TEXT,
+  p_actor_name TEXT,
+  p_metadata JSONB
+)
+RETURNS VOID AS $$
+DECLARE
+  v_table_name TEXT;
+BEGIN
+  INSERT INTO audit_assignment_history (
+    assignment_id, action, from_status, to_status, from_auditor_email, to_auditor_email,
+    reason, metadata, performed_by_email, performed_by_name
+  ) VALUES (
+    p_assignment.id, p_action, p_from_status, p_to_status, p_from_auditor, p_to_auditor,
+    p_reason, COALESCE(p_metadata, '{}'::JSONB), p_actor_email, p_actor_name
+  );
+
+  -- The activity log must never block the assignment change itself
+  BEGIN
+    SELECT table_name INTO v_table_name FROM scorecards WHERE id = p_assignment.scorecard_id;
+
+    INSERT INTO audit_activity_log (
+      audit_id, scorecard_table_name, activity_type, activity_timestamp,
+      performed_by_email, performed_by_name, change_reason, metadata
+    ) VALUES (
+      COALESCE(p_assignment.audit_id::TEXT, p_assignment.id::TEXT),
+      v_table_name,
+      'assignment_' || p_action,
+      now(),
+      p_actor_email,
+      COALESCE(p_actor_name, p_actor_email, 'System'),
+      p_reason,
+      COALESCE(p_metadata, '{}'::JSONB) || jsonb_build_object(
+        'assignment_id', p_assignment.id,
+        'employee_email', p_assignment.employee_email,
+        'from_status', p_from_status,
+        'to_status', p_to_status,
+        'from_auditor_email', p_from_auditor,
+        'to_auditor_email', p_to_auditor
+      )
+    );
+  EXCEPTION WHEN OTHERS THEN
+    RAISE WARNING 'Could not log assignment % to audit_activity_log: %', p_assignment.id, SQLERRM;
+  END;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION track_audit_assignment_lifecycle()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_reason TEXT;
+  v_actor_email TEXT;
+  v_actor_name TEXT;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    PERFORM record_audit_assignment_history(OLD, 'deleted', OLD.status, NULL, OLD.auditor_email, NULL, NULL, NULL, NULL, NULL);
+    RETURN OLD;
+  END IF;
+
+  v_reason := NEW.change_reason;
+  v_actor_email := NEW.changed_by_email;
+  v_actor_name := NEW.changed_by_name;
+  NEW.change_reason := NULL;
+  NEW.changed_by_email := NULL;
+  NEW.changed_by_name := NULL;
+
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.rolled_over_from IS NULL THEN
+      PERFORM record_audit_assignment_history(NEW, 'created', NULL, NEW.status, NULL, NEW.auditor_email,
+        v_reason, COALESCE(v_actor_email, NEW.assigned_by), v_actor_name, NULL);
+    ELSE
+      PERFORM record_audit_assignment_history(NEW, 'rolled_over', NULL, NEW.status, NULL, NEW.auditor_email,
+        v_reason, v_actor_email, v_actor_name, jsonb_build_object('rolled_over_from', NEW.rolled_over_from));
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.auditor_email IS DISTINCT FROM OLD.auditor_email THEN
+    PERFORM record_audit_assignment_history(NEW, 'reassigned', OLD.status, NEW.status, OLD.auditor_email, NEW.auditor_email,
+      v_reason, v_actor_email, v_actor_name, NULL);
+  END IF;
+
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    PERFORM record_audit_assignment_history(NEW, CASE WHEN NEW.status = 'expired' THEN 'expired' ELSE 'status_changed' END,
+      OLD.status, NEW.status, NULL, NULL, v_reason, v_actor_email, v_actor_name, NULL);
+  END IF;
+
+  IF NEW.snoozed_until IS DISTINCT FROM OLD.snoozed_until THEN
+    PERFORM record_audit_assignment_history(NEW, CASE WHEN NEW.snoozed_until IS NULL THEN 'unsnoozed' ELSE 'snoozed' END,
+      NULL, NULL, NULL, NULL, v_reason, v_actor_email, v_actor_name,
+      jsonb_build_object('from_snoozed_until', OLD.snoozed_until, 'snoozed_until', NEW.snoozed_until));
+  END IF;
+
+  IF NEW.scheduled_date IS DISTINCT FROM OLD.scheduled_date THEN
+    PERFORM record_audit_assignment_history(NEW, 'rescheduled', NULL, NULL, NULL, NULL, v_reason, v_actor_email, v_actor_name,
+      jsonb_build_object('from_scheduled_date', OLD.scheduled_date, 'scheduled_date', NEW.scheduled_date));
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_assignments_lifecycle ON audit_assignments;
+CREATE TRIGGER audit_assignments_lifecycle
+  BEFORE INSERT OR UPDATE OR DELETE ON audit_assignments
+  FOR EACH ROW EXECUTE FUNCTION track_audit_assignment_lifecycle();
@@ -0,0 +1,102 @@
+-- Scorecard version integrity
+-- - record_scorecard_version() numbers and writes versions in the database,
+--   under a per-lineage lock, so concurrent audit submissions no longer race
+--   for the same version_number. It returns the latest version instead when
+--   the snapshot is unchanged (jsonb equality ignores key order).
+-- - Versions can't be deleted either, except by the cascade when their
+--   scorecard is deleted.
+-- - Audit tables' scorecard_version_id is cleared (instead of blocking the
+--   delete) when that cascade removes the version.
+
+CREATE OR REPLACE FUNCTION record_scorecard_version(
+  p_scorecard_id UUID,
+  p_lineage_id UUID,
+  p_scorecard JSONB,
+  p_parameters JSONB,
+  p_change_summary TEXT DEFAULT NULL,
+  p_created_by TEXT DEFAULT NULL
+)
+RETURNS scorecard_versions AS $$
+DECLARE
+  v_latest scorecard_versions;
+  v_version scorecard_versions;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('scorecard_versions:' || p_lineage_id::TEXT));
+
+  SELECT * INTO v_latest
+  FROM scorecard_versions
+  WHERE scorecard_id = p_scorecard_id
+  ORDER BY version_number DESC
+  LIMIT 1;
+
+  IF FOUND AND v_latest.scorecard = p_scorecard AND v_latest.parameters = COALESCE(p_parameters, '[]'::JSONB) THEN
+    RETURN v_latest;
+  END IF;
+
+  INSERT INTO scorecard_versions (scorecard_id, lineage_id, version_number, scorecard, parameters, change_summary, created_by)
+  SELECT
+    p_scorecard_id,
+    p_lineage_id,
+    COALESCE(MAX(version_number), 0) + 1,
+    p_scorecard,
+    COALESCE(p_parameters, '[]'::JSONB),
+    p_change_summary,
+    p_created_by
+  FROM scorecard_versions
+  WHERE lineage_id = p_lineage_id
+  RETURNING * INTO v_version;
+
+  RETURN v_version;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION prevent_scorecard_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Deleting the scorecard cascades to its versions; by then the scorecard
+  -- row is already gone
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM scorecards WHERE id = OLD.scorecard_id) THEN
+    RETURN OLD;
+  END IF;
+  RAISE EXCEPTION 'scorecard_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS scorecard_versions_immutable ON scorecard_versions;
+CREATE TRIGGER scorecard_versions_immutable
+  BEFORE UPDATE OR DELETE ON scorecard_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_scorecard_version_update();
+
+CREATE OR REPLACE FUNCTION add_scorecard_version_column(p_table_name TEXT)
+RETURNS VOID AS $$
+BEGIN
+  EXECUTE format(
+    'ALTER TABLE IF EXISTS public.%I ADD COLUMN IF NOT EXISTS scorecard_version_id UUID REFERENCES scorecard_versions(id) ON DELETE SET NULL',
+    p_table_name
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Existing audit tables: recreate their scorecard_version_id foreign keys
+DO $$
+DECLARE
+  fk RECORD;
+BEGIN
+  FOR fk IN
+    SELECT c.conrelid::regclass AS table_name, c.conname
+    FROM pg_constraint c
+    WHERE c.contype = 'f'
+      AND c.confrelid = 'scorecard_versions'::regclass
+      AND c.confdeltype <> 'n'
+      AND c.conkey = ARRAY[(
+        SELECT a.attnum FROM pg_attribute a
+        WHERE a.attrelid = c.conrelid AND a.attname = 'scorecard_version_id'
+      )]
+  LOOP
+    EXECUTE format('ALTER TABLE %s DROP CONSTRAINT %I', fk.table_name, fk.conname);
+    EXECUTE format(
+      'ALTER TABLE %s ADD CONSTRAINT %I FOREIGN KEY (scorecard_version_id) REFERENCES scorecard_versions(id) ON DELETE SET NULL',
+      fk.table_name, fk.conname
+    );
+  END LOOP;
+END $$;
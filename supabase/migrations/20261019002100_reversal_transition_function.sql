@@ -0,0 +1,114 @@
+-- Reversal state transitions in one transaction
+-- transition_reversal_state() locks the reversal request, checks that its
+-- current state is still the one the caller checked the move against, and
+-- then writes the new reversal_workflow_states row (plus the pass-through
+-- `next` row, if any) and moves reversal_requests.current_state_id. Two
+-- reviewers deciding the same reversal at once no longer both succeed: the
+-- second one gets a serialization_failure (40001).
+--
+-- p_audit_changes, when given, is applied to the request's audit row in the
+-- same transaction, so a decision can't move the workflow without updating
+-- the audit (or the other way round). Keys that aren't columns of the audit
+-- table are ignored.
+
+CREATE OR REPLACE FUNCTION transition_reversal_state(
+  p_reversal_request_id UUID,
+  p_from_state TEXT,
+  p_to_state TEXT,
+  p_next_state TEXT DEFAULT NULL,
+  p_actor_email TEXT DEFAULT NULL,
+  p_actor_name TEXT DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_next_notes TEXT DEFAULT NULL,
+  p_rejection_reason TEXT DEFAULT NULL,
+  p_entered_at TIMESTAMPTZ DEFAULT NULL,
+  p_audit_changes JSONB DEFAULT NULL
+)
+RETURNS reversal_workflow_states AS $$
+DECLARE
+  v_request reversal_requests;
+  v_current reversal_workflow_states;
+  v_state reversal_workflow_states;
+  v_entered_at TIMESTAMPTZ := COALESCE(p_entered_at, now());
+  v_assignments TEXT;
+  v_updated INTEGER;
+BEGIN
+  SELECT * INTO v_request
+  FROM reversal_requests
+  WHERE id = p_reversal_request_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Reversal request % not found', p_reversal_request_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_request.current_state_id IS NOT NULL THEN
+    SELECT * INTO v_current
+    FROM reversal_workflow_states
+    WHERE id = v_request.current_state_id;
+  END IF;
+
+  IF v_current.state IS DISTINCT FROM p_from_state THEN
+    RAISE EXCEPTION 'Reversal request % is in state %, not %',
+      p_reversal_request_id, COALESCE(v_current.state, '(none)'), COALESCE(p_from_state, '(none)')
+      USING ERRCODE = '40001';
+  END IF;
+
+  IF v_current.id IS NOT NULL THEN
+    UPDATE reversal_workflow_states SET is_current = false WHERE id = v_current.id;
+  END IF;
+
+  INSERT INTO reversal_workflow_states (
+    reversal_request_id, state, entered_at, entered_by_email, entered_by_name,
+    previous_state_id, is_current, rejection_reason, notes
+  )
+  VALUES (
+    v_request.id, p_to_state, v_entered_at, p_actor_email, p_actor_name,
+    v_current.id, p_next_state IS NULL, p_rejection_reason, p_notes
+  )
+  RETURNING * INTO v_state;
+
+  IF p_next_state IS NOT NULL THEN
+    INSERT INTO reversal_workflow_states (
+      reversal_request_id, state, entered_at, entered_by_email, entered_by_name,
+      previous_state_id, is_current, notes
+    )
+    VALUES (
+      v_request.id, p_next_state, v_entered_at, p_actor_email, p_actor_name,
+      v_state.id, true, p_next_notes
+    )
+    RETURNING * INTO v_state;
+  END IF;
+
+  UPDATE reversal_requests
+  SET current_state_id = v_state.id, updated_at = v_entered_at
+  WHERE id = v_request.id;
+
+  IF p_audit_changes IS NOT NULL AND p_audit_changes <> '{}'::JSONB THEN
+    SELECT string_agg(format('%I = r.%I', c.column_name, c.column_name), ', ')
+    INTO v_assignments
+    FROM information_schema.columns c
+    WHERE c.table_schema = 'public'
+      AND c.table_name = v_request.scorecard_table_name
+      AND c.column_name <> 'id'
+      AND p_audit_changes ? c.column_name;
+
+    IF v_assignments IS NOT NULL THEN
+      EXECUTE format(
+        'UPDATE public.%I AS t SET %s FROM jsonb_populate_record(NULL::public.%I, $1) AS r WHERE t.id::TEXT = $2',
+        v_request.scorecard_table_name, v_assignments, v_request.scorecard_table_name
+      )
+      USING p_audit_changes, v_request.audit_id::TEXT;
+
+      GET DIAGNOSTICS v_updated = ROW_COUNT;
+      IF v_updated = 0 THEN
+        RAISE EXCEPTION 'Audit % not found in %', v_request.audit_id, v_request.scorecard_table_name
+          USING ERRCODE = 'P0002';
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN v_state;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,61 @@
+-- Blind calibration, enforced by the database
+-- Until a session is completed its participants may only read their own
+-- calibration_results row; the row-level security policy below hides peers'
+-- rows from any query, not just from calibration.html. Users who aren't
+-- participants of the session (the owner, other reviewers) still see every
+-- row. calibration_session_submissions() lists who has submitted, without
+-- their scores, for the blind session view.
+--
+-- One submission per participant is now a unique index, so two submissions
+-- sent at the same time can't both get through the insert trigger's check.
+
+-- Earlier duplicates: the first submission is the one the app uses
+DELETE FROM calibration_results r
+USING calibration_results earlier
+WHERE earlier.calibration_session_id = r.calibration_session_id
+  AND lower(earlier.participant_email) = lower(r.participant_email)
+  AND (earlier.submitted_at, earlier.id::TEXT) < (r.submitted_at, r.id::TEXT);
+
+DROP INDEX IF EXISTS idx_calibration_results_session_participant;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calibration_results_session_participant
+  ON calibration_results (calibration_session_id, lower(participant_email));
+
+-- Whether the signed-in user may read a result
+CREATE OR REPLACE FUNCTION can_see_calibration_result(p_result calibration_results)
+RETURNS BOOLEAN AS $$
+  SELECT lower(p_result.participant_email) = lower(COALESCE(auth.jwt() ->> 'email', ''))
+    OR NOT EXISTS (
+      SELECT 1
+      FROM calibration_sessions s
+      CROSS JOIN LATERAL jsonb_array_elements_text(COALESCE(to_jsonb(s.participants), '[]'::JSONB)) AS participant(email)
+      WHERE s.id = p_result.calibration_session_id
+        AND s.status IS DISTINCT FROM 'completed'
+        AND lower(trim(participant.email)) = lower(auth.jwt() ->> 'email')
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+ALTER TABLE calibration_results ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS calibration_results_select ON calibration_results;
+CREATE POLICY calibration_results_select ON calibration_results
+  FOR SELECT USING (can_see_calibration_result(calibration_results));
+
+-- Participants submit as themselves
+DROP POLICY IF EXISTS calibration_results_insert ON calibration_results;
+CREATE POLICY calibration_results_insert ON calibration_results
+  FOR INSERT WITH CHECK (lower(participant_email) = lower(COALESCE(auth.jwt() ->> 'email', '')));
+
+-- Who has submitted to a session, without their scores
+CREATE OR REPLACE FUNCTION calibration_session_submissions(p_session_id calibration_results.calibration_session_id%TYPE)
+RETURNS TABLE (
+  id calibration_results.id%TYPE,
+  calibration_session_id calibration_results.calibration_session_id%TYPE,
+  participant_email TEXT,
+  participant_name TEXT,
+  submitted_at calibration_results.submitted_at%TYPE
+) AS $$
+  SELECT r.id, r.calibration_session_id, r.participant_email::TEXT, r.participant_name::TEXT, r.submitted_at
+  FROM calibration_results r
+  WHERE r.calibration_session_id = p_session_id
+  ORDER BY r.submitted_at DESC;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,6 @@
+-- Conversation sampling parameters
+-- Draws are now per conversation (seed + conversation id), and sampling_params
+-- also records where the pool came from, so the sample can be drawn again.
+
+COMMENT ON COLUMN audit_assignments.sampling_params IS
+  '{ size, tags, rank, reason, pool_size, intercom_admin_id, date_range: { range, start_date, end_date }, filters } - see conversation-sampling.js';
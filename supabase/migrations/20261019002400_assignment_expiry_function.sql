@@ -0,0 +1,52 @@
+-- Assignment expiry in one transaction
+-- expire_audit_assignment() expires a pending assignment and, with a rollover
+-- date, inserts its replacement for the current week in the same transaction.
+-- Before, the assignment-lifecycle edge function expired the row and inserted
+-- the replacement in two requests: when the insert failed the assignment was
+-- already out of 'pending', so no later run retried it and the auditor lost it.
+--
+-- Returns the expired row, or NULL when the assignment was no longer pending
+-- (started, or expired by an overlapping run).
+
+CREATE OR REPLACE FUNCTION expire_audit_assignment(
+  p_assignment_id UUID,
+  p_reason TEXT,
+  p_actor_email TEXT,
+  p_actor_name TEXT,
+  p_rollover_date DATE DEFAULT NULL,
+  p_rollover_week INTEGER DEFAULT NULL,
+  p_rollover_reason TEXT DEFAULT NULL
+)
+RETURNS audit_assignments AS $$
+DECLARE
+  v_expired audit_assignments;
+BEGIN
+  UPDATE audit_assignments
+  SET status = 'expired',
+      expired_at = now(),
+      changed_by_email = p_actor_email,
+      changed_by_name = p_actor_name,
+      change_reason = p_reason
+  WHERE id = p_assignment_id
+    AND status = 'pending'
+  RETURNING * INTO v_expired;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF p_rollover_date IS NOT NULL THEN
+    INSERT INTO audit_assignments (
+      employee_email, employee_name, auditor_email, scorecard_id, status, assigned_by,
+      scheduled_date, week, distribution_rule_id, rolled_over_from,
+      changed_by_email, changed_by_name, change_reason
+    ) VALUES (
+      v_expired.employee_email, v_expired.employee_name, v_expired.auditor_email, v_expired.scorecard_id, 'pending', v_expired.assigned_by,
+      p_rollover_date, p_rollover_week, v_expired.distribution_rule_id, v_expired.id,
+      p_actor_email, p_actor_name, p_rollover_reason
+    );
+  END IF;
+
+  RETURN v_expired;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,23 @@
+-- add_scorecard_version_column(), locked down
+-- The function runs as its owner so it can alter audit tables, but it had no
+-- fixed search_path and accepted any table name from any caller, including
+-- anonymous ones. It now only alters tables registered in
+-- scorecards.table_name, and only signed-in users may call it.
+
+CREATE OR REPLACE FUNCTION add_scorecard_version_column(p_table_name TEXT)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM scorecards WHERE table_name = p_table_name) THEN
+    RAISE EXCEPTION 'Table % is not a scorecard audit table', p_table_name
+      USING ERRCODE = '42501';
+  END IF;
+
+  EXECUTE format(
+    'ALTER TABLE IF EXISTS public.%I ADD COLUMN IF NOT EXISTS scorecard_version_id UUID REFERENCES scorecard_versions(id) ON DELETE SET NULL',
+    p_table_name
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION add_scorecard_version_column(TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION add_scorecard_version_column(TEXT) TO authenticated;
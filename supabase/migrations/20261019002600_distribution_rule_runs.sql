@@ -0,0 +1,23 @@
+-- Distribution rule runs: one at a time, and an atomic round-robin
+-- run_started_at is the claim every run of a rule takes before writing
+-- assignments, "Run now" included; the audit-distribution-rules edge function
+-- clears it when the run finishes, and a claim older than 15 minutes is
+-- treated as left behind by a run that died. Before, only scheduled runs
+-- claimed the rule, so "Run now" during a scheduled run assigned twice.
+--
+-- advance_distribution_rule_offset() moves a rule's round-robin offset on by
+-- the number of assignments a run wrote, in one statement instead of a read
+-- and a write that could lose another run's update.
+
+ALTER TABLE audit_distribution_rules ADD COLUMN IF NOT EXISTS run_started_at TIMESTAMPTZ;
+
+CREATE OR REPLACE FUNCTION advance_distribution_rule_offset(p_rule_id UUID, p_count INTEGER)
+RETURNS INTEGER AS $$
+  UPDATE audit_distribution_rules
+  SET round_robin_offset = round_robin_offset + p_count
+  WHERE id = p_rule_id
+  RETURNING round_robin_offset;
+$$ LANGUAGE sql;
+
+-- Only the edge function (service role) moves the round-robin
+REVOKE EXECUTE ON FUNCTION advance_distribution_rule_offset(UUID, INTEGER) FROM anon, authenticated, public;
@@ -0,0 +1,114 @@
+/**
+ * Service Worker
+ *
+ * Keeps the audit form usable offline. The audit-form.html shell (page,
+ * scripts, styles, sidebar) is precached on install; same-origin pages and
+ * assets are served network-first with the cache as fallback, and CDN
+ * libraries are cached as they are fetched. Supabase API calls and other
+ * non-GET requests are never cached: offline submissions go through the
+ * audit outbox (audit-outbox.js) instead.
+ *
+ * Background Sync events for the outbox are forwarded to open pages, which
+ * replay the queued audits with their own Supabase session.
+ */
+
+const CACHE_VERSION = 'cqms-shell-v1'
+const OUTBOX_SYNC_TAG = 'audit-outbox'
+
+const SHELL_ASSETS = [
+  'audit-form.html',
+  'sidebar.html',
+  'theme.css',
+  'sidebar.css',
+  'env-config.js',
+  'supabase-config.js',
+  'auth-check.js',
+  'access-control.js',
+  'confirmation-dialog.js',
+  'reversal-workflow.js',
+  'load-sidebar.js',
+  'dark-mode.js',
+  'search.js',
+  'form-validation.js',
+  'intercom-config.js',
+  'audit-template.js',
+  'scoring-engine.js',
+  'scorecard-versions.js',
+  'calibration-blind.js',
+  'audit-evidence.js',
+  'audit-drafts.js',
+  'audit-outbox.js',
+  'keyboard-shortcuts.js'
+]
+
+const CACHEABLE_CDN_HOSTS = [
+  'cdn.jsdelivr.net',
+  'cdn.quilljs.com',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com'
+]
+
+const UNCACHED_PATH_PREFIXES = ['/rest/v1', '/auth/v1', '/functions/v1', '/storage/v1', '/realtime/v1']
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_VERSION)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put(request, response.clone())
+    return response
+  } catch (error) {
+    // Pages are matched without their query string (audit-form.html?draft=...)
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' })
+    if (cached) return cached
+    throw error
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_VERSION)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone())
+  return response
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if (UNCACHED_PATH_PREFIXES.some(prefix => url.pathname.startsWith(prefix))) return
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request))
+  } else if (CACHEABLE_CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request))
+  }
+})
+
+self.addEventListener('sync', event => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+      clients.forEach(client => client.postMessage({ type: 'audit-outbox-sync' }))
+    })
+  )
+})